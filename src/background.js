@@ -1,13 +1,37 @@
-import { saveImage, getImage, deleteImage, clearAllImages } from './db.js';
+import {
+	saveImage, getImage, deleteImage, createJob, getJob, updateJob, deleteJob, JOB_STATES,
+	createCacheKey, getCachedResult, saveCachedResult, clearCache
+} from './db.js';
+import { sweepJobs, SWEEP_ALARM_NAME, SWEEP_INTERVAL_MINUTES } from './jobSweeper.js';
+import { PORT_NAMES, MESSAGE_TYPES, PROGRESS_STAGES } from './messaging.js';
+import { createChunkCollector, postBlobChunks } from './utils/binary.js';
+import { byteBudget, numberedFileName, lowerMaxDimension } from './utils/image.js';
+import { getSettings, conversionSettings } from './settings.js';
+import { syncHostContentScripts } from './hosts.js';
+// Built file name of the content script's loader, for registering it on custom hosts
+import contentScriptPath from './content.js?script';
 
 let creating; // A global promise to avoid concurrency issues
+let closing; // Pending closeDocument(), awaited before creating a new document
 
-async function setupOffscreenDocument(path) {
-	// Check if already exists
+const OFFSCREEN_IDLE_ALARM_NAME = 'offscreen-idle';
+// How long to wait for the OFFSCREEN_READY handshake after createDocument
+const OFFSCREEN_READY_TIMEOUT_MS = 15000;
+
+// Offscreen reports every stage and every move in its queue, and a sandbox gives up on a
+// file after at most 90s, so a job that hears nothing for this long is stuck
+const JOB_STALL_TIMEOUT_MS = 120000;
+
+async function hasOffscreenDocument() {
 	const existingContexts = await chrome.runtime.getContexts({
 		contextTypes: ['OFFSCREEN_DOCUMENT']
 	});
-	if (existingContexts.length > 0) {
+	return existingContexts.length > 0;
+}
+
+async function setupOffscreenDocument(path) {
+	// Check if already exists
+	if (await hasOffscreenDocument()) {
 		console.log('Offscreen document already exists');
 		return true;
 	}
@@ -28,119 +52,643 @@ async function setupOffscreenDocument(path) {
 	return true;
 }
 
-// 現在のリクエスト以外の古いデータをクリーンアップ
-async function cleanupAllData(currentRequestId) {
+// Offscreen document への接続（結果はこのポート経由でプッシュされる）
+let offscreenPort = null;
+let connectingOffscreen = null;
+// Callbacks waiting for the offscreen document's OFFSCREEN_READY handshake
+let offscreenReadyWaiters = [];
+// requestId -> content script のポート
+const activeJobs = new Map();
+// requestId -> timer that fails the job if it stalls
+const jobWatchdogs = new Map();
+
+/**
+ * Post a message to a content port, ignoring ports that have already gone away.
+ * @param {chrome.runtime.Port} port
+ * @param {object} message
+ */
+function postToContent(port, message) {
 	try {
-		const currentKey = `request_${currentRequestId}`;
-
-		// Get all keys from storage
-		const allData = await chrome.storage.local.get(null);
-		const keysToRemove = Object.keys(allData).filter(key =>
-			key !== currentKey && (
-				key.startsWith('request_') || key.startsWith('result_') || key.startsWith('convert_')
-			)
-		);
-
-		if (keysToRemove.length > 0) {
-			await chrome.storage.local.remove(keysToRemove);
-			console.log('Cleaned up old storage keys:', keysToRemove.length);
+		port.postMessage(message);
+	} catch (e) {
+		console.warn('Content port closed, dropping message:', message.type, message.requestId);
+	}
+}
+
+/**
+ * (Re)starts the countdown after which a job that has made no progress is failed.
+ * @param {string} requestId
+ */
+function armWatchdog(requestId) {
+	clearTimeout(jobWatchdogs.get(requestId));
+	jobWatchdogs.set(requestId, setTimeout(() => timeOutJob(requestId), JOB_STALL_TIMEOUT_MS));
+}
+
+/**
+ * @param {string} requestId
+ */
+function disarmWatchdog(requestId) {
+	clearTimeout(jobWatchdogs.get(requestId));
+	jobWatchdogs.delete(requestId);
+}
+
+/**
+ * Fails a stalled job wherever it is stuck (queued, on a sandbox, or waiting for a result
+ * that never came) and tells the content script, which can then retry it.
+ * @param {string} requestId
+ */
+function timeOutJob(requestId) {
+	jobWatchdogs.delete(requestId);
+	const contentPort = activeJobs.get(requestId);
+	if (!contentPort) {
+		return;
+	}
+
+	const error = `Conversion timed out after ${JOB_STALL_TIMEOUT_MS / 1000}s without progress`;
+	console.error(`${requestId}: ${error}`);
+	if (offscreenPort) {
+		offscreenPort.postMessage({
+			type: MESSAGE_TYPES.CANCEL,
+			requestId
+		});
+	}
+	failJob(requestId, error);
+	postToContent(contentPort, { type: MESSAGE_TYPES.ERROR, requestId, error });
+}
+
+/**
+ * Streams converted files to the content script, followed by the RESULT message.
+ * @param {chrome.runtime.Port} contentPort
+ * @param {string} requestId
+ * @param {{ files: object[], privacy: object }} resultData - Stored result; each file carries its Blob
+ */
+async function streamResult(contentPort, requestId, resultData) {
+	postToContent(contentPort, { type: MESSAGE_TYPES.PROGRESS, requestId, stage: PROGRESS_STAGES.FINISHING });
+
+	// Each output file is streamed in turn; chunks carry the file's index
+	const files = [];
+	for (const [fileIndex, file] of resultData.files.entries()) {
+		const chunkCount = await postBlobChunks(contentPort, requestId, file.blob, MESSAGE_TYPES.RESULT_CHUNK, { fileIndex });
+		const { blob, ...report } = file;
+		files.push({ ...report, size: blob.size, chunkCount });
+	}
+
+	postToContent(contentPort, {
+		type: MESSAGE_TYPES.RESULT,
+		requestId,
+		files,
+		privacy: resultData.privacy
+	});
+	console.log(`Delivered result for ${requestId} (${files.length} file(s))`);
+}
+
+/**
+ * Adds a finished job's result to the conversion cache, if the job was given a cache key.
+ * @param {string} requestId
+ * @param {string|null|undefined} cacheKey
+ * @param {{ files: object[], privacy: object }} resultData
+ */
+async function cacheResult(requestId, cacheKey, resultData) {
+	if (!cacheKey) {
+		return;
+	}
+
+	const { cacheSizeMB } = await getSettings();
+	if (await saveCachedResult(cacheKey, resultData, byteBudget(cacheSizeMB))) {
+		console.log(`Cached result for ${requestId}`);
+	}
+}
+
+/**
+ * Streams the converted image from IndexedDB back to the content script.
+ * @param {chrome.runtime.Port} contentPort
+ * @param {object} message - RESULT message from offscreen
+ */
+async function deliverResult(contentPort, message) {
+	const { requestId } = message;
+	const resultKey = `result_${requestId}`;
+
+	try {
+		const resultData = await getImage(resultKey);
+		if (!resultData || !resultData.files?.length) {
+			throw new Error(`No result found in IndexedDB for ${requestId}`);
 		}
 
-		// Also clear IndexedDB
-		await clearAllImages();
-	} catch (e) {
-		console.error('Cleanup error:', e);
+		// The content script disconnects as soon as it has the result, which would cancel
+		// (and delete) a job it still owned, so the job is let go before streaming starts
+		const job = await getJob(requestId);
+		releaseJob(requestId);
+
+		await streamResult(contentPort, requestId, resultData);
+		await cacheResult(requestId, job?.cacheKey, resultData).catch(e => console.error('Cache write error:', e));
+	} catch (error) {
+		failDelivery(contentPort, requestId, error);
+		return;
 	}
+
+	await deleteJob(requestId).catch(e => console.error('Cleanup error:', e));
 }
 
-// 変換を実行する関数
-async function performConversion(requestId) {
-	const requestKey = `request_${requestId}`;
+/**
+ * Fails a job whose result could not be delivered; its request bytes are kept for a retry.
+ * @param {chrome.runtime.Port} contentPort
+ * @param {string} requestId
+ * @param {Error} error
+ */
+function failDelivery(contentPort, requestId, error) {
+	console.error('Result delivery error:', error);
+	failJob(requestId, error.message);
+	postToContent(contentPort, {
+		type: MESSAGE_TYPES.ERROR,
+		requestId,
+		error: error.message
+	});
+}
+
+/**
+ * Routes messages pushed by the offscreen document to the content port that owns the job.
+ * @param {object} message
+ */
+function handleOffscreenMessage(message) {
+	const contentPort = activeJobs.get(message.requestId);
+	if (!contentPort) {
+		// Job was cancelled, or failed, while offscreen was still working on it
+		console.warn('No active job for offscreen message:', message.type, message.requestId);
+		if (message.type === MESSAGE_TYPES.RESULT) {
+			dropLateResult(message.requestId).catch(e => console.error('Cleanup error:', e));
+		}
+		return;
+	}
+
+	if (message.type === MESSAGE_TYPES.RESULT) {
+		disarmWatchdog(message.requestId);
+		// Stays in activeJobs until its result is read so the sweeper leaves that alone
+		updateJob(message.requestId, { state: JOB_STATES.DONE })
+			.then(() => deliverResult(contentPort, message))
+			.catch(error => failDelivery(contentPort, message.requestId, error));
+		return;
+	}
+
+	if (message.type === MESSAGE_TYPES.ERROR) {
+		failJob(message.requestId, message.error);
+	} else {
+		armWatchdog(message.requestId);
+	}
 
-	// Cleanup all old data first (except current request)
-	await cleanupAllData(requestId);
+	postToContent(contentPort, message);
+}
 
-	// 1. Get data from storage
-	console.log(`Reading request data for ${requestId} from storage...`);
-	const storedData = await chrome.storage.local.get(requestKey);
-	const requestData = storedData[requestKey];
+/**
+ * Frees a result that came in for a job nobody is waiting on. A cancelled job goes with
+ * it; a failed one (one that timed out) keeps its request bytes for a retry.
+ * @param {string} requestId
+ */
+async function dropLateResult(requestId) {
+	const job = await getJob(requestId);
+	if (job?.state === JOB_STATES.FAILED) {
+		await deleteImage(`result_${requestId}`);
+	} else {
+		await deleteJob(requestId);
+	}
+}
 
+/**
+ * Returns a connected port to the offscreen document, creating the document if needed.
+ * @returns {Promise<chrome.runtime.Port>}
+ */
+async function getOffscreenPort() {
+	if (closing) {
+		await closing;
+	}
+
+	if (offscreenPort) {
+		return offscreenPort;
+	}
+
+	if (connectingOffscreen) {
+		return connectingOffscreen;
+	}
+
+	connectingOffscreen = connectOffscreen();
+	try {
+		return await connectingOffscreen;
+	} finally {
+		connectingOffscreen = null;
+	}
+}
+
+/**
+ * Resolves with the offscreen port once the document has sent OFFSCREEN_READY.
+ * @returns {Promise<chrome.runtime.Port>}
+ */
+function waitForOffscreenReady() {
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			offscreenReadyWaiters = offscreenReadyWaiters.filter(waiter => waiter !== onReady);
+			reject(new Error(`Offscreen document did not become ready within ${OFFSCREEN_READY_TIMEOUT_MS}ms`));
+		}, OFFSCREEN_READY_TIMEOUT_MS);
+
+		const onReady = (port) => {
+			clearTimeout(timer);
+			resolve(port);
+		};
+		offscreenReadyWaiters.push(onReady);
+	});
+}
+
+/**
+ * Creates the offscreen document and waits for its ready handshake.
+ * @returns {Promise<chrome.runtime.Port>}
+ */
+async function connectOffscreen() {
+	const ready = waitForOffscreenReady();
+
+	// A document without a port is left over from before a service worker restart;
+	// it will never connect again, so replace it
+	if (await hasOffscreenDocument()) {
+		console.log('Replacing offscreen document that lost its connection');
+		await chrome.offscreen.closeDocument();
+	}
+
+	await setupOffscreenDocument('offscreen.html');
+	return ready;
+}
+
+/**
+ * Wires up a port opened by the offscreen document.
+ * @param {chrome.runtime.Port} port
+ */
+function handleOffscreenConnect(port) {
+	port.onMessage.addListener((message) => {
+		if (message.type === MESSAGE_TYPES.OFFSCREEN_READY) {
+			console.log(`Offscreen document ready (sandbox pool size: ${message.poolSize})`);
+			offscreenPort = port;
+			const waiters = offscreenReadyWaiters;
+			offscreenReadyWaiters = [];
+			waiters.forEach(onReady => onReady(port));
+			return;
+		}
+
+		handleOffscreenMessage(message);
+	});
+
+	port.onDisconnect.addListener(() => {
+		if (port !== offscreenPort) {
+			return;
+		}
+
+		console.warn('Offscreen port disconnected');
+		offscreenPort = null;
+
+		// Fail every job that was waiting on the offscreen document
+		const error = 'Offscreen document disconnected during conversion';
+		for (const [requestId, contentPort] of [...activeJobs]) {
+			postToContent(contentPort, { type: MESSAGE_TYPES.ERROR, requestId, error });
+			failJob(requestId, error);
+		}
+	});
+}
+
+/**
+ * Stops tracking a job and, if it was the last one, starts the idle countdown.
+ * @param {string} requestId
+ */
+function releaseJob(requestId) {
+	disarmWatchdog(requestId);
+	activeJobs.delete(requestId);
+	if (activeJobs.size === 0) {
+		scheduleIdleShutdown().catch(e => console.error('Idle shutdown scheduling error:', e));
+	}
+}
+
+// chrome.alarms survives the service worker being suspended, unlike setTimeout
+async function scheduleIdleShutdown() {
+	const { offscreenIdleSeconds } = await getSettings();
+	await chrome.alarms.create(OFFSCREEN_IDLE_ALARM_NAME, {
+		when: Date.now() + offscreenIdleSeconds * 1000
+	});
+}
+
+/**
+ * Closes the offscreen document so the sandbox iframes and the heic2any WASM heap are freed.
+ * The next conversion recreates it through getOffscreenPort().
+ */
+async function closeOffscreenDocument() {
+	if (activeJobs.size > 0 || connectingOffscreen || !(await hasOffscreenDocument())) {
+		return;
+	}
+
+	console.log('Closing idle offscreen document');
+	offscreenPort = null;
+	closing = chrome.offscreen.closeDocument();
+	try {
+		await closing;
+	} finally {
+		closing = null;
+	}
+}
+
+/**
+ * Stops tracking a job that failed but keeps its record and request bytes, so that the
+ * content script can retry it. The sweeper removes it if nobody does.
+ * @param {string} requestId
+ * @param {string} error
+ */
+function failJob(requestId, error) {
+	releaseJob(requestId);
+	updateJob(requestId, { state: JOB_STATES.FAILED, error }).catch(e => console.error('Job update error:', e));
+}
+
+/**
+ * Takes a failed job back out of the job store for a retry: its request bytes, and the
+ * settings it is to be converted with this time. The job record is dropped, since
+ * performConversion() registers the job anew.
+ * @param {string} requestId
+ * @param {boolean} lowerResolution - Halve the longest edge of the previous attempt
+ * @returns {Promise<{ requestData: object, overrides: object }>}
+ */
+async function takeFailedJob(requestId, lowerResolution) {
+	const job = await getJob(requestId);
+	const requestData = job?.state === JOB_STATES.FAILED ? await getImage(`request_${requestId}`) : null;
 	if (!requestData) {
+		throw new Error('The original image is no longer available; please paste it again');
+	}
+
+	const overrides = { ...job.overrides };
+	if (lowerResolution) {
+		const { maxDimension } = { ...await getSettings(), ...overrides };
+		overrides.maxDimension = lowerMaxDimension(maxDimension);
+	}
+
+	await deleteJob(requestId);
+	return { requestData, overrides };
+}
+
+/**
+ * Cancels a job: stops tracking it, tells offscreen to abort it and frees its stored data.
+ * @param {string} requestId
+ * @param {string} reason
+ */
+function cancelJob(requestId, reason) {
+	if (!activeJobs.has(requestId)) {
+		return;
+	}
+
+	console.log(`Cancelling ${requestId}: ${reason}`);
+	releaseJob(requestId);
+
+	if (offscreenPort) {
+		offscreenPort.postMessage({
+			type: MESSAGE_TYPES.CANCEL,
+			requestId
+		});
+	}
+
+	deleteJob(requestId).catch(e => console.error('Cleanup error:', e));
+}
+
+/**
+ * 変換を実行する関数
+ * @param {string} requestId
+ * @param {{ blob: Blob, fileName: string, mimeType: string }} requestData
+ * @param {number|null} tabId
+ * @param {object} [overrides] - Settings that differ for this job (a retry at lower resolution)
+ */
+async function performConversion(requestId, requestData, tabId, overrides = {}) {
+	const requestKey = `request_${requestId}`;
+
+	if (!requestData || !requestData.blob || requestData.blob.size === 0) {
 		throw new Error(`No data found for request ${requestId}`);
 	}
 
-	// 2. Save to IndexedDB for offscreen access
-	console.log(`Saving request data to IndexedDB...`);
+	// 1. Serve the same bytes converted with the same settings from the cache.
+	// The job keeps the settings in effect right now, whatever happens to them meanwhile
+	const settings = { ...await getSettings(), ...overrides };
+	const cacheKey = byteBudget(settings.cacheSizeMB) > 0
+		? await createCacheKey(requestData.blob, conversionSettings(settings))
+		: null;
+	const cached = cacheKey && await getCachedResult(cacheKey);
+	if (cached) {
+		console.log(`Serving ${requestId} from the conversion cache`);
+		// Cached names come from whichever file filled the entry
+		const files = cached.files.map((file, index) => ({
+			...file,
+			fileName: numberedFileName(requestData.fileName, file.fileName.split('.').pop(), index, cached.files.length)
+		}));
+		if (activeJobs.has(requestId)) {
+			await streamResult(activeJobs.get(requestId), requestId, { files, privacy: cached.privacy });
+		}
+		releaseJob(requestId);
+		return;
+	}
+
+	// 2. Register the job (before its bytes, so the sweeper never sees unowned data)
+	await createJob({ jobId: requestId, tabId, fileName: requestData.fileName });
+
+	// Save to IndexedDB (as a Blob) for offscreen access
+	console.log(`Saving request data to IndexedDB (${requestData.blob.size} bytes)...`);
 	await saveImage(requestKey, requestData);
 
-	// 3. Setup offscreen document
+	// 3. Setup offscreen document and connect to it
 	console.log('Setting up offscreen document...');
-	await setupOffscreenDocument('offscreen.html');
+	const port = await getOffscreenPort();
 
-	// 4. Wait a moment for offscreen to initialize
-	await new Promise(resolve => setTimeout(resolve, 500));
+	// Cancelled while we were getting ready
+	if (!activeJobs.has(requestId)) {
+		await deleteJob(requestId);
+		console.log(`Request ${requestId} was cancelled before reaching offscreen`);
+		return;
+	}
 
-	// 5. Send message to offscreen (fire-and-forget, no response expected)
+	// 4. Hand the job over to offscreen; the result is pushed back through the port
+	await updateJob(requestId, { state: JOB_STATES.CONVERTING, cacheKey, overrides });
 	console.log('Sending conversion request to offscreen...');
-	chrome.runtime.sendMessage({
-		target: 'offscreen',
-		action: 'CONVERT_HEIC',
-		requestId: requestId
+	port.postMessage({
+		type: MESSAGE_TYPES.REQUEST,
+		requestId: requestId,
+		settings: settings
 	});
+}
 
-	// 6. Wait for result in IndexedDB (polling)
-	const resultKey = `result_${requestId}`;
-	const startTime = Date.now();
-	const timeout = 60000;
-
-	while (Date.now() - startTime < timeout) {
-		const resultData = await getImage(resultKey);
-		if (resultData) {
-			console.log(`Got result from IndexedDB for ${requestId}`);
+// Content script connections: one port per conversion job
+chrome.runtime.onConnect.addListener((port) => {
+	if (port.name === PORT_NAMES.OFFSCREEN) {
+		handleOffscreenConnect(port);
+		return;
+	}
 
-			// Save result to chrome.storage.local for content script
-			await chrome.storage.local.set({
-				[resultKey]: resultData
-			});
+	if (port.name !== PORT_NAMES.CONTENT) {
+		return;
+	}
 
-			// Cleanup IndexedDB
-			await deleteImage(requestKey);
-			await deleteImage(resultKey);
+	const requestChunks = createChunkCollector();
 
-			console.log('Conversion complete');
+	port.onMessage.addListener((message) => {
+		if (message.type === MESSAGE_TYPES.REQUEST_CHUNK) {
+			requestChunks.add(message.requestId, message.data);
 			return;
 		}
 
-		await new Promise(resolve => setTimeout(resolve, 300));
-	}
+		if (message.type === MESSAGE_TYPES.CANCEL) {
+			requestChunks.discard(message.requestId);
+			cancelJob(message.requestId, 'cancelled by content script');
+			return;
+		}
 
-	throw new Error('Conversion timeout');
-}
+		if (message.type === MESSAGE_TYPES.DISCARD) {
+			// The user gave up on a failed job
+			if (!activeJobs.has(message.requestId)) {
+				deleteJob(message.requestId).catch(e => console.error('Cleanup error:', e));
+			}
+			return;
+		}
 
-// Message listener
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-	// Ignore messages meant for offscreen
-	if (request.target === 'offscreen') {
-		return false;
-	}
+		let loadRequest;
+		if (message.type === MESSAGE_TYPES.REQUEST) {
+			loadRequest = () => ({
+				requestData: {
+					blob: requestChunks.take(message.requestId, message.mimeType, message.chunkCount),
+					fileName: message.fileName,
+					mimeType: message.mimeType
+				}
+			});
+		} else if (message.type === MESSAGE_TYPES.RETRY) {
+			loadRequest = () => takeFailedJob(message.requestId, Boolean(message.lowerResolution));
+		} else {
+			return;
+		}
 
-	if (request.action === 'CONVERT_HEIC') {
-		console.log('Background received CONVERT_HEIC request for:', request.requestId);
+		console.log(`Background received conversion ${message.type === MESSAGE_TYPES.RETRY ? 'retry' : 'request'} for:`, message.requestId);
+		activeJobs.set(message.requestId, port);
+		armWatchdog(message.requestId);
+		chrome.alarms.clear(OFFSCREEN_IDLE_ALARM_NAME);
 
-		// Start conversion asynchronously (don't wait for sendResponse)
-		performConversion(request.requestId)
-			.then(() => {
-				console.log('Conversion completed for:', request.requestId);
-			})
+		Promise.resolve()
+			.then(loadRequest)
+			.then(({ requestData, overrides }) => performConversion(message.requestId, requestData, port.sender?.tab?.id ?? null, overrides))
 			.catch((error) => {
 				console.error('Conversion error:', error);
-				// Save error to storage so content script can see it
-				chrome.storage.local.set({
-					[`result_${request.requestId}`]: { error: error.message }
+				failJob(message.requestId, error.message);
+				postToContent(port, {
+					type: MESSAGE_TYPES.ERROR,
+					requestId: message.requestId,
+					error: error.message
 				});
 			});
+	});
+
+	// Tab closed or navigated away: cancel whatever this port still owns
+	port.onDisconnect.addListener(() => {
+		for (const [requestId, contentPort] of activeJobs) {
+			if (contentPort === port) {
+				cancelJob(requestId, 'content port disconnected');
+			}
+		}
+	});
+});
 
-		// Return immediately (no async wait)
+/**
+ * True if nothing is waiting on the job any more: the service worker lost track
+ * of it (e.g. it was restarted) or the tab that started it is gone.
+ * @param {object} job
+ * @returns {Promise<boolean>}
+ */
+async function isJobOrphaned(job) {
+	// Failed jobs wait for a retry for as long as their tab is open (and the TTL allows)
+	if (!activeJobs.has(job.jobId) && job.state !== JOB_STATES.FAILED) {
+		return true;
+	}
+	if (job.tabId === null) {
 		return false;
 	}
+	try {
+		await chrome.tabs.get(job.tabId);
+		return false;
+	} catch (e) {
+		return true;
+	}
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+	if (alarm.name === OFFSCREEN_IDLE_ALARM_NAME) {
+		closeOffscreenDocument().catch(e => console.error('Offscreen close error:', e));
+		return;
+	}
+
+	if (alarm.name !== SWEEP_ALARM_NAME) {
+		return;
+	}
+
+	// 期限切れ・孤立したジョブを定期的に掃除する
+	sweepJobs({ isOrphaned: isJobOrphaned })
+		.then(({ jobs, images }) => {
+			if (jobs.length > 0 || images.length > 0) {
+				console.log(`Sweeper removed ${jobs.length} jobs and ${images.length} images`);
+			}
+		})
+		.catch(e => console.error('Sweeper error:', e));
+});
+
+/**
+ * Removes request_/result_ keys left in chrome.storage.local by older versions,
+ * which passed image data through storage instead of ports.
+ */
+async function removeLegacyStorageKeys() {
+	const allData = await chrome.storage.local.get(null);
+	const keysToRemove = Object.keys(allData).filter(key =>
+		key.startsWith('request_') || key.startsWith('result_') || key.startsWith('convert_')
+	);
+
+	if (keysToRemove.length > 0) {
+		await chrome.storage.local.remove(keysToRemove);
+		console.log('Removed legacy storage keys:', keysToRemove.length);
+	}
+}
+
+// Pending syncCustomHosts() runs. Adding a host fires permissions.onAdded and then
+// storage.onChanged, and two overlapping runs would both register the script
+let hostSync = Promise.resolve();
+
+/**
+ * Registers the content script on the custom hosts that are listed and granted. Runs one
+ * at a time, each reading the settings afresh, so the last one leaves the current hosts.
+ * @returns {Promise<void>}
+ */
+function syncCustomHosts() {
+	const run = hostSync.then(async () => {
+		const { customHosts } = await getSettings();
+		const origins = await syncHostContentScripts(customHosts, [contentScriptPath]);
+		console.log(`Content script registered on ${origins.length} custom host(s)`);
+	});
+	// A failed run must not hold up the next one
+	hostSync = run.catch(() => {});
+	return run;
+}
+
+// Hosts come and go through the options page, and permissions can also be revoked from
+// chrome://extensions, so both are watched
+chrome.storage.onChanged.addListener((changes, areaName) => {
+	if (areaName === 'sync' && 'customHosts' in changes) {
+		syncCustomHosts().catch(e => console.error('Custom host registration error:', e));
+	}
+});
+chrome.permissions.onAdded.addListener(() => {
+	syncCustomHosts().catch(e => console.error('Custom host registration error:', e));
+});
+chrome.permissions.onRemoved.addListener(() => {
+	syncCustomHosts().catch(e => console.error('Custom host registration error:', e));
+});
+
+chrome.runtime.onInstalled.addListener((details) => {
+	chrome.alarms.create(SWEEP_ALARM_NAME, { periodInMinutes: SWEEP_INTERVAL_MINUTES });
+	removeLegacyStorageKeys().catch(e => console.error('Cleanup error:', e));
+	syncCustomHosts().catch(e => console.error('Custom host registration error:', e));
+	// A new version may convert differently, so results cached by the old one are dropped
+	if (details.reason === 'update') {
+		clearCache().catch(e => console.error('Cache clear error:', e));
+	}
+});
+
+chrome.runtime.onStartup.addListener(() => {
+	chrome.alarms.create(SWEEP_ALARM_NAME, { periodInMinutes: SWEEP_INTERVAL_MINUTES });
 });
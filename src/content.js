@@ -1,336 +1,587 @@
-console.log('GitHub HEIC to JPEG Converter loaded (v5 - Converting placeholder).');
+import { PORT_NAMES, MESSAGE_TYPES, PROGRESS_STAGES } from './messaging.js';
+import { createChunkCollector, postBlobChunks } from './utils/binary.js';
+import { createPlaceholderToken, formatFailedPlaceholder, formatPlaceholder } from './utils/placeholder.js';
+import { formatPrivacyNotice } from './utils/privacy.js';
+import { describeOutput, formatBudgetNotice } from './utils/image.js';
+import { applyFileNameTemplate } from './utils/fileName.js';
+import { DEFAULT_SETTINGS, watchSettings } from './settings.js';
+import { claimedFormat, detectFileFormat } from './formats.js';
+import { getSiteAdapter } from './sites/index.js';
+import { isHandedOver } from './sites/handOver.js';
+import { showToast } from './notifications.js';
+
+console.log('GitHub HEIC to JPEG Converter loaded (v17 - Retry).');
 
 /**
- * Converts a file to a base64 string.
+ * Creates a collision-free job ID.
+ * @returns {string}
+ */
+function createRequestId() {
+	return crypto.randomUUID();
+}
+
+/**
+ * Sends a conversion request to the background over a dedicated port and
+ * resolves as soon as the result is pushed back.
+ * @param {string} requestId
  * @param {File} file
- * @returns {Promise<string>}
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting cancels the job in every layer
+ * @param {(progress: { stage: string, position?: number, total?: number }) => void} [options.onProgress]
+ * @param {(report: { outputs: object[], privacy?: { removed: string[], kept: string[] } }) => void} [options.onReport]
+ *   - Final dimensions/quality of each output and the metadata removed/kept
+ * @param {{ lowerResolution: boolean }} [options.retry] - Convert the bytes the background kept
+ *   when this job failed, instead of sending the file
+ * @returns {Promise<File[]>} - The converted files (several for a multi-image HEIF)
  */
-function fileToBase64(file) {
+function requestConversion(requestId, file, { signal, onProgress, onReport, retry } = {}) {
 	return new Promise((resolve, reject) => {
-		const reader = new FileReader();
-		reader.onload = () => resolve(reader.result);
-		reader.onerror = reject;
-		reader.readAsDataURL(file);
+		if (signal?.aborted) {
+			reject(signal.reason);
+			return;
+		}
+
+		let settled = false;
+		const port = chrome.runtime.connect({ name: PORT_NAMES.CONTENT });
+		const resultChunks = createChunkCollector();
+
+		const settle = (fn, value) => {
+			if (settled) return;
+			settled = true;
+			port.disconnect();
+			fn(value);
+		};
+
+		signal?.addEventListener('abort', () => {
+			if (settled) return;
+			console.log(`Cancelling ${requestId}...`);
+			try {
+				port.postMessage({ type: MESSAGE_TYPES.CANCEL, requestId });
+			} catch (e) {
+				// Port already gone; background treats the disconnect as a cancel anyway
+			}
+			settle(reject, signal.reason);
+		}, { once: true });
+
+		port.onMessage.addListener((message) => {
+			if (message.requestId !== requestId) return;
+
+			if (message.type === MESSAGE_TYPES.PROGRESS) {
+				console.log(`Progress for ${requestId}:`, message.stage, message.position ? `${message.position}/${message.total}` : '');
+				onProgress?.({ stage: message.stage, position: message.position, total: message.total });
+			} else if (message.type === MESSAGE_TYPES.RESULT_CHUNK) {
+				resultChunks.add(`${requestId}:${message.fileIndex}`, message.data);
+			} else if (message.type === MESSAGE_TYPES.RESULT) {
+				try {
+					const files = message.files.map((file, fileIndex) => {
+						const blob = resultChunks.take(`${requestId}:${fileIndex}`, file.mimeType, file.chunkCount);
+						return new File([blob], file.fileName, {
+							type: file.mimeType,
+							lastModified: new Date().getTime(),
+						});
+					});
+					onReport?.({ outputs: message.files, privacy: message.privacy });
+					settle(resolve, files);
+				} catch (error) {
+					settle(reject, error);
+				}
+			} else if (message.type === MESSAGE_TYPES.ERROR) {
+				settle(reject, new Error(message.error || 'Conversion failed'));
+			}
+		});
+
+		port.onDisconnect.addListener(() => {
+			if (settled) return;
+			settled = true;
+			reject(new Error('Extension context invalidated during conversion. Please refresh the page.'));
+		});
+
+		if (retry) {
+			port.postMessage({ type: MESSAGE_TYPES.RETRY, requestId, lowerResolution: retry.lowerResolution });
+			return;
+		}
+
+		// Stream the original bytes, then send the request that closes the transfer
+		postBlobChunks(port, requestId, file, MESSAGE_TYPES.REQUEST_CHUNK)
+			.then((chunkCount) => {
+				port.postMessage({
+					type: MESSAGE_TYPES.REQUEST,
+					requestId,
+					fileName: file.name,
+					mimeType: file.type,
+					size: file.size,
+					chunkCount
+				});
+			})
+			.catch(error => settle(reject, error));
 	});
 }
 
 /**
- * Inserts placeholder text into textarea at cursor position.
- * @param {HTMLTextAreaElement} textarea
- * @param {string} text
- * @returns {number} - The start position where text was inserted
+ * Describes a job's progress for its toast: "Queued 2/5", "Decoding...".
+ * @param {{ stage: string, position?: number, total?: number }} progress
+ * @returns {string}
  */
-function insertPlaceholder(textarea, text) {
-	const start = textarea.selectionStart;
-	const end = textarea.selectionEnd;
-	const before = textarea.value.substring(0, start);
-	const after = textarea.value.substring(end);
+function describeProgress({ stage, position, total }) {
+	if (stage === PROGRESS_STAGES.QUEUED) {
+		return position && total ? `Queued ${position}/${total}` : 'Queued';
+	}
+	return `${stage.charAt(0).toUpperCase()}${stage.slice(1)}...`;
+}
 
-	textarea.value = before + text + after;
-	textarea.selectionStart = textarea.selectionEnd = start + text.length;
+// requestId -> in-flight job ({ file, token, placeholder, controller, ... })
+const activeJobs = new Map();
 
-	// Trigger input event so GitHub's JS updates properly
-	textarea.dispatchEvent(new Event('input', { bubbles: true }));
+/**
+ * Cancels jobs whose placeholder the user has deleted from the editor.
+ * @param {import('./editors.js').EditorAdapter} editor
+ * @param {Array<object>} jobs
+ */
+function watchPlaceholders(editor, jobs) {
+	const stop = editor.onChange(() => {
+		const pending = jobs.filter(job => activeJobs.has(job.requestId));
+		if (pending.length === 0) {
+			stop();
+			return;
+		}
 
-	return start;
+		for (const job of pending) {
+			if (!editor.contains(job.token)) {
+				job.controller.abort(new DOMException(`Placeholder for ${job.file.name} was removed`, 'AbortError'));
+			}
+		}
+	});
 }
 
 /**
- * Removes placeholder text from textarea.
- * @param {HTMLTextAreaElement} textarea
- * @param {string} placeholder
- * @param {number} insertPosition - The position where placeholder was inserted
+ * Whether a file says (by MIME type or extension) it is in a format we convert.
+ * @param {File} file
+ * @returns {boolean}
  */
-function removePlaceholder(textarea, placeholder, insertPosition) {
-	const value = textarea.value;
-	const placeholderIndex = value.indexOf(placeholder, insertPosition);
+function claimsConvertible(file) {
+	return Boolean(claimedFormat(file)?.decoder);
+}
 
-	if (placeholderIndex !== -1) {
-		textarea.value = value.substring(0, placeholderIndex) + value.substring(placeholderIndex + placeholder.length);
-		textarea.selectionStart = textarea.selectionEnd = placeholderIndex;
+/**
+ * Whether a file's bytes have to be checked: it claims a format we convert, or it may
+ * be a HEIC export saved under the wrong name (e.g. IMG_0001.jpg that is really HEIC).
+ * @param {File} file
+ * @returns {boolean}
+ */
+function needsSniffing(file) {
+	return claimsConvertible(file) || file.type === 'image/jpeg' || file.type === '';
+}
 
-		// Trigger input event
-		textarea.dispatchEvent(new Event('input', { bubbles: true }));
-	}
+/**
+ * The toast action that cancels a job.
+ * @param {object} job
+ * @returns {{ label: string, onClick: () => void }}
+ */
+function cancelAction(job) {
+	return {
+		label: 'Cancel',
+		onClick: () => job.controller.abort(new DOMException(`Conversion of ${job.file.name} was cancelled`, 'AbortError'))
+	};
 }
 
 /**
- * Displays an error banner on the page with animation.
- * @param {string} message
+ * Tells the background a failed job will not be retried, so its bytes can go.
+ * @param {string} requestId
  */
-function showErrorBanner(message) {
-	// Remove existing error banners first
-	const existingBanners = document.querySelectorAll('[data-heic-error-banner]');
-	existingBanners.forEach(b => b.remove());
-
-	// Add keyframes for animation (once)
-	if (!document.getElementById('heic-error-styles')) {
-		const style = document.createElement('style');
-		style.id = 'heic-error-styles';
-		style.textContent = `
-			@keyframes heicErrorSlideIn {
-				from { transform: translateY(-100%); opacity: 0; }
-				to { transform: translateY(0); opacity: 1; }
-			}
-			@keyframes heicErrorPulse {
-				0%, 100% { box-shadow: 0 4px 12px rgba(255,0,0,0.3); }
-				50% { box-shadow: 0 4px 20px rgba(255,0,0,0.6); }
-			}
-		`;
-		document.head.appendChild(style);
+function discardJob(requestId) {
+	try {
+		const port = chrome.runtime.connect({ name: PORT_NAMES.CONTENT });
+		port.postMessage({ type: MESSAGE_TYPES.DISCARD, requestId });
+		port.disconnect();
+	} catch (error) {
+		// Extension context gone; the sweeper removes the job with its tab
+		console.warn(`Could not discard ${requestId}:`, error);
 	}
-
-	const banner = document.createElement('div');
-	banner.setAttribute('data-heic-error-banner', 'true');
-	banner.style.cssText = `
-		position: fixed;
-		top: 0;
-		left: 0;
-		width: 100%;
-		background: linear-gradient(135deg, #ff4444 0%, #cc0000 100%);
-		color: white;
-		text-align: center;
-		padding: 16px 20px;
-		z-index: 2147483647;
-		font-weight: bold;
-		font-size: 14px;
-		box-shadow: 0 4px 12px rgba(255,0,0,0.3);
-		font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
-		animation: heicErrorSlideIn 0.3s ease-out, heicErrorPulse 1.5s ease-in-out 0.3s 5;
-	`;
-
-	// Warning icon
-	const icon = document.createElement('span');
-	icon.textContent = '⚠️ ';
-	icon.style.marginRight = '8px';
-	icon.style.fontSize = '16px';
-	banner.appendChild(icon);
-
-	// Message text
-	const text = document.createElement('span');
-	text.textContent = message;
-	banner.appendChild(text);
-
-	// Close button
-	const closeBtn = document.createElement('button');
-	closeBtn.textContent = '✕';
-	closeBtn.style.cssText = `
-		margin-left: 20px;
-		background: rgba(255,255,255,0.2);
-		border: none;
-		color: white;
-		cursor: pointer;
-		font-size: 14px;
-		padding: 4px 10px;
-		border-radius: 4px;
-		transition: background 0.2s;
-	`;
-	closeBtn.onmouseover = () => closeBtn.style.background = 'rgba(255,255,255,0.3)';
-	closeBtn.onmouseout = () => closeBtn.style.background = 'rgba(255,255,255,0.2)';
-	closeBtn.onclick = () => banner.remove();
-	banner.appendChild(closeBtn);
-
-	document.body.prepend(banner);
-
-	// Auto-remove after 30 seconds
-	setTimeout(() => {
-		if (banner.parentNode) {
-			banner.style.animation = 'heicErrorSlideIn 0.3s ease-out reverse';
-			setTimeout(() => banner.remove(), 300);
-		}
-	}, 30000);
 }
 
 /**
- * Wait for conversion result via storage polling
- * @param {string} requestId
- * @param {number} timeout
- * @returns {Promise<object>}
+ * Converts one job, keeping its placeholder and toast up to date. A failed job leaves a
+ * "Failed to convert" placeholder where the file was, and a toast offering to retry it.
+ * @param {object} job - { file, token, requestId, controller, editor, toast, ... }
+ * @param {{ lowerResolution: boolean }} [retry] - Convert the bytes the background kept
+ * @returns {Promise<File[]|null>} - The converted files; null if cancelled or failed
  */
-function waitForResult(requestId, timeout = 60000) {
-	return new Promise((resolve, reject) => {
-		const resultKey = `result_${requestId}`;
-		const startTime = Date.now();
-
-		const checkResult = async () => {
-			// Check if extension context is still valid before each poll
-			if (!chrome?.runtime?.id) {
-				reject(new Error('Extension context invalidated during conversion. Please refresh the page.'));
-				return;
-			}
+async function runJob(job, retry) {
+	const { file, token, requestId, controller, editor } = job;
 
-			try {
-				const data = await chrome.storage.local.get(resultKey);
-				if (data[resultKey]) {
-					resolve(data[resultKey]);
-					return;
-				}
+	// Update the placeholder in place as the job moves through its stages (only the toast
+	// while the user is typing in the editor, see EditorAdapter.progress)
+	const onProgress = (progress) => {
+		if (!activeJobs.has(requestId)) return;
 
-				if (Date.now() - startTime > timeout) {
-					reject(new Error('Conversion timeout'));
-					return;
-				}
+		const next = formatPlaceholder(file.name, progress, token);
+		if (next !== job.placeholder && editor.progress(token, next)) {
+			job.placeholder = next;
+		}
+		job.toast.update({
+			status: progress.stage === PROGRESS_STAGES.QUEUED ? 'queued' : 'converting',
+			message: describeProgress(progress)
+		});
+	};
+
+	try {
+		console.log(`Converting ${file.name}${retry ? ' again' : ''}...`);
+
+		// Send request to background and wait for the pushed result
+		console.log(`Waiting for conversion result for ${requestId}...`);
+		const onReport = (report) => {
+			job.report = report;
+		};
+		const newFiles = await requestConversion(requestId, file, { signal: controller.signal, onProgress, onReport, retry });
+		activeJobs.delete(requestId);
+
+		// Remove placeholder before proceeding; a retried file goes where its placeholder was
+		editor.remove(token, { placeCaret: Boolean(retry) });
+		console.log(`Removed placeholder for ${file.name}`);
+
+		console.log(`Converted to ${job.report.outputs.map(o => `${o.fileName} (${describeOutput(o) || o.mimeType}, ${o.size} bytes)`).join(', ')}`);
+
+		// What the size budget did to the file, and what metadata it lost (or kept)
+		const notices = [
+			formatBudgetNotice(file.name, job.report.outputs, settings.maxFileSizeMB),
+			formatPrivacyNotice(file.name, job.report.privacy)
+		].filter(Boolean);
+		job.toast.update({
+			status: 'done',
+			message: [`Converted to ${job.report.outputs.map(o => describeOutput(o) || o.mimeType).join(', ')}`, ...notices].join('. '),
+			actions: [],
+			onClose: undefined,
+			// Long enough to read the notices
+			...(notices.length > 0 && { timeoutMs: 10000 })
+		});
+		return newFiles;
+
+	} catch (err) {
+		activeJobs.delete(requestId);
+
+		if (err.name === 'AbortError') {
+			// Cancelled by the user (the placeholder is already gone) or by leaving the page
+			editor.remove(token);
+			job.toast.dismiss();
+			console.log(`Conversion cancelled for ${file.name}:`, err.message);
+			return null;
+		}
 
-				// Poll every 500ms
-				setTimeout(checkResult, 500);
-			} catch (error) {
-				// Handle extension context invalidation specifically
-				if (error.message?.includes('Extension context') || !chrome?.runtime?.id) {
-					reject(new Error('Extension context invalidated during conversion. Please refresh the page.'));
-				} else {
-					reject(error);
-				}
+		console.error('Conversion failed for', file.name, err);
+		const contextLost = err.message?.includes('Extension context') || err.message?.includes('invalidated') || err.message?.includes('refresh') || !chrome?.runtime?.id;
+		if (contextLost) {
+			// Nothing left to retry with; remove placeholder on error too
+			editor.remove(token);
+			job.toast.update({
+				status: 'failed',
+				message: 'Extension context lost. Please REFRESH this page (Cmd+R / Ctrl+R) to restore functionality.',
+				actions: [],
+				onClose: undefined
+			});
+			return null;
+		}
+
+		// The background keeps the original bytes, so the file can be retried from here
+		const failed = formatFailedPlaceholder(file.name, token);
+		if (editor.replace(token, failed)) {
+			job.placeholder = failed;
+		}
+		job.toast.update({
+			status: 'failed',
+			message: `Failed to convert: ${err.message}`,
+			actions: [
+				{ label: 'Retry', onClick: () => retryJob(job, false) },
+				{ label: 'Retry at lower resolution', onClick: () => retryJob(job, true) }
+			],
+			// Closing gives up on the file
+			onClose: () => {
+				editor.remove(token);
+				discardJob(requestId);
 			}
-		};
+		});
+		return null;
+	}
+}
 
-		checkResult();
+/**
+ * Converts a failed job again from the bytes the background kept, and hands the result to
+ * the page as the original paste, drop or file selection would have, at the placeholder.
+ * @param {object} job
+ * @param {boolean} lowerResolution - Halve the maximum dimension (or cap an unlimited one)
+ */
+async function retryJob(job, lowerResolution) {
+	if (activeJobs.has(job.requestId) || !checkExtensionContext()) return;
+
+	const { file, token, editor, site, request } = job;
+	const placeholder = formatPlaceholder(file.name, undefined, token);
+	if (!editor.replace(token, placeholder)) {
+		// The user deleted the failed placeholder; the file goes in at the caret instead
+		editor.remove(token);
+		editor.insert(token, placeholder);
+	}
+	job.placeholder = placeholder;
+	job.controller = new AbortController();
+	job.toast.update({
+		status: 'queued',
+		message: lowerResolution ? 'Waiting to convert at lower resolution' : 'Waiting to convert',
+		actions: [cancelAction(job)],
+		onClose: undefined
 	});
+	activeJobs.set(job.requestId, job);
+	watchPlaceholders(editor, [job]);
+
+	const files = await runJob(job, { lowerResolution });
+	if (!files) return;
+
+	// A retry can finish before the rest of the paste has, and is named after it
+	const reserved = await job.pasteNames;
+	const named = await applyFileNameTemplate(files, settings.fileNameTemplate, {
+		...site.parseContext(location.href),
+		firstIndex: job.index,
+		reserved
+	});
+	reserved.push(...named.map(file => file.name));
+	// The text of the original paste or drop went in with the files that converted first
+	site.handOver(request.type === 'input' ? request : { ...request, strings: [] }, named);
 }
 
 /**
- * Handles file items from paste or drop events.
- * @param {DataTransferItemList} items - The list of items from the event.
- * @param {Event} originalEvent - The original paste or drop event.
- * @param {string} eventType - 'paste' or 'drop'.
+ * Whether a paste or drop has to be held back while its files are sniffed. The event the
+ * page gets afterwards is a synthetic, untrusted one, for which the browser inserts no
+ * text itself. That is a price worth paying for a file that says it needs converting, but
+ * not for a JPEG or untyped file that only might be misnamed HEIC when text comes with it.
+ * @param {File[]} files
+ * @param {DataTransfer} transfer
+ * @returns {boolean}
  */
-async function handleDataTransfer(items, originalEvent, eventType) {
-	if (!items) return;
+function holdsTransfer(files, transfer) {
+	if (files.some(claimsConvertible)) return true;
+	return files.some(needsSniffing) && [...transfer.types].every(type => type === 'Files');
+}
 
-	// Early check for extension context
-	if (!chrome?.runtime?.id) {
-		showErrorBanner('GitHub HEIC Converter: Extension context invalidated. Please REFRESH this page to restore functionality.');
-		return;
+/**
+ * Converts the files the forge would reject and works out what to upload instead.
+ * Files are routed by their contents (see formats.js), not by MIME type or name.
+ * @param {File[]} files - Every file of the paste, drop or file picker selection
+ * @param {import('./editors.js').EditorAdapter} editor - Where placeholders go
+ * @param {import('./sites/site.js').SiteAdapter} site - The page's forge, for {repo} and {issue}
+ * @param {object} request - What to hand a retried file over to, as for site.handOver()
+ * @returns {Promise<File[]>} - The files to upload, in the original order
+ */
+async function convertFiles(files, editor, site, request) {
+	const detected = await Promise.all(files.map(file => needsSniffing(file)
+		? detectFileFormat(file).catch((error) => {
+			console.warn(`Could not read ${file.name}:`, error);
+			return null;
+		})
+		: null));
+
+	const entries = files.map((file, i) => ({
+		file,
+		format: detected[i],
+		convert: Boolean(detected[i]?.decoder),
+		outputs: [file]
+	}));
+	for (const entry of entries) {
+		const claimed = claimedFormat(entry.file);
+		if (claimed?.decoder && !entry.convert) {
+			// Named or typed as a format we convert, but something else: uploading it would only fail later
+			const actual = entry.format ? ` (its contents are ${entry.format.label})` : '';
+			showToast({ status: 'failed', title: entry.file.name, message: `Not a valid ${claimed.label} image${actual}, so it was not uploaded.` });
+			entry.outputs = [];
+		} else if (entry.convert && claimed?.id !== entry.format.id) {
+			console.log(`${entry.file.name} is ${entry.format.label} despite its name/type (${entry.file.type || 'none'}); converting`);
+		}
 	}
+	const convertEntries = entries.filter(entry => entry.convert);
 
-	const heicItems = [];
-	for (const item of items) {
-		if (item.type === 'image/heic' || item.getAsFile()?.name.toLowerCase().endsWith('.heic')) {
-			heicItems.push(item);
-		}
+	// Resolves with the names the paste has taken once its files are named (see retryJob())
+	let namePaste;
+	const pasteNames = new Promise((resolve) => {
+		namePaste = resolve;
+	});
+
+	// Insert every placeholder up front so the user sees all pending files
+	const jobs = [];
+	for (const entry of convertEntries) {
+		const file = entry.file;
+
+		// Insert placeholder text (like GitHub's "Uploading..."); the token tells it apart
+		// from the placeholder of another file with the same name
+		const token = createPlaceholderToken();
+		const placeholder = formatPlaceholder(file.name, undefined, token);
+		editor.insert(token, placeholder);
+		console.log(`Inserted placeholder for ${file.name} (${editor.kind})`);
+
+		const job = {
+			entry,
+			file,
+			token,
+			placeholder,
+			requestId: createRequestId(),
+			controller: new AbortController(),
+			editor,
+			site,
+			request,
+			pasteNames
+		};
+		// Its own toast too, so progress is visible wherever the user scrolls
+		job.toast = showToast({
+			status: 'queued',
+			title: file.name,
+			message: 'Waiting to convert',
+			actions: [cancelAction(job)]
+		});
+		jobs.push(job);
+		activeJobs.set(job.requestId, job);
 	}
 
-	if (heicItems.length === 0) return;
+	watchPlaceholders(editor, jobs);
 
-	// Prevent default behavior immediately
-	originalEvent.preventDefault();
-	originalEvent.stopPropagation();
+	// Convert concurrently; the offscreen sandbox pool runs the jobs in parallel
+	const results = await Promise.all(jobs.map(job => runJob(job)));
+	jobs.forEach((job, i) => {
+		job.entry.outputs = results[i] || [];
+	});
 
-	// Find textarea for placeholder insertion
-	let textarea = originalEvent.target;
-	if (textarea.tagName !== 'TEXTAREA') {
-		textarea = textarea.closest('textarea') || document.activeElement;
+	// Name the converted files after the template; {index} and de-duplication span the whole paste
+	const convertedEntries = convertEntries.filter(entry => entry.outputs.length > 0);
+	const named = await applyFileNameTemplate(convertedEntries.flatMap(entry => entry.outputs), settings.fileNameTemplate, {
+		...site.parseContext(location.href),
+		reserved: entries.filter(entry => !entry.convert).flatMap(entry => entry.outputs.map(file => file.name))
+	});
+	for (const entry of convertedEntries) {
+		entry.outputs = named.splice(0, entry.outputs.length);
 	}
-	const canUsePlaceholder = textarea && textarea.tagName === 'TEXTAREA';
 
-	const convertedFiles = [];
+	// A file that failed is named when it is retried: at its place in the paste for
+	// {index}, and clear of the names the rest of the paste has taken
+	let index = 1;
+	for (const job of jobs) {
+		job.index = index;
+		index += job.entry.outputs.length;
+	}
+	namePaste(entries.flatMap(entry => entry.outputs.map(file => file.name)));
 
-	for (const item of heicItems) {
-		const file = item.getAsFile();
-		if (file) {
-			// Insert placeholder text (like GitHub's "Uploading...")
-			const placeholder = `![Converting ${file.name}...]()\n`;
-			let placeholderPosition = -1;
+	// Everything else goes through unchanged, in the original order
+	return entries.flatMap(entry => entry.outputs);
+}
 
-			if (canUsePlaceholder) {
-				placeholderPosition = insertPlaceholder(textarea, placeholder);
-				console.log(`Inserted placeholder for ${file.name}`);
-			}
+/**
+ * Whether the extension can still reach its background; shows a toast if not.
+ * @returns {boolean}
+ */
+function checkExtensionContext() {
+	if (chrome?.runtime?.id) return true;
 
-			try {
-				console.log(`Converting ${file.name}...`);
+	showToast({
+		status: 'failed',
+		title: 'GitHub HEIC Converter',
+		message: 'Extension context invalidated. Please REFRESH this page to restore functionality.'
+	});
+	return false;
+}
 
-				const base64Data = await fileToBase64(file);
-				const requestId = Date.now().toString();
+/**
+ * Handles file items from paste or drop events.
+ * @param {DataTransfer} transfer - clipboardData or dataTransfer of the event.
+ * @param {Event} originalEvent - The original paste or drop event.
+ * @param {string} eventType - 'paste' or 'drop'.
+ */
+async function handleDataTransfer(transfer, originalEvent, eventType) {
+	if (!transfer || isHandedOver(originalEvent)) return;
 
-				// Save request to storage
-				await chrome.storage.local.set({
-					[`request_${requestId}`]: {
-						data: base64Data,
-						fileName: file.name
-					}
-				});
+	const files = [...transfer.items]
+		.filter(item => item.kind === 'file')
+		.map(item => item.getAsFile())
+		.filter(Boolean);
 
-				// Send message to background (fire-and-forget, no async wait)
-				chrome.runtime.sendMessage({
-					action: 'CONVERT_HEIC',
-					requestId: requestId
-				});
+	if (!holdsTransfer(files, transfer)) return;
 
-				// Wait for result via storage polling
-				console.log(`Waiting for conversion result for ${requestId}...`);
-				const result = await waitForResult(requestId);
+	// Early check for extension context
+	if (!checkExtensionContext()) return;
 
-				// Remove placeholder before proceeding
-				if (canUsePlaceholder && placeholderPosition !== -1) {
-					removePlaceholder(textarea, placeholder, placeholderPosition);
-					console.log(`Removed placeholder for ${file.name}`);
-				}
+	// The bytes can only be read asynchronously, so hold the event now and re-dispatch
+	// whatever is not converted afterwards. Text has to be copied while the event is live.
+	const strings = [...transfer.types]
+		.filter(type => type !== 'Files')
+		.map(type => ({ type, data: transfer.getData(type) }));
+	originalEvent.preventDefault();
+	originalEvent.stopPropagation();
 
-				if (result && result.data) {
-					// Convert back to File
-					const res = await fetch(result.data);
-					const blob = await res.blob();
-					const newFile = new File([blob], result.fileName, {
-						type: 'image/jpeg',
-						lastModified: new Date().getTime(),
-					});
-					convertedFiles.push(newFile);
-					console.log(`Converted to ${newFile.name}`);
+	// Textarea, rich-text or CodeMirror editor; anywhere else progress is only in the toasts
+	const site = getSiteAdapter();
+	const request = { type: eventType, event: originalEvent, strings };
+	const converted = await convertFiles(files, site.findEditor(originalEvent.target), site, request);
+	site.handOver(request, converted);
+}
 
-					// Cleanup
-					chrome.storage.local.remove([`request_${requestId}`, `result_${requestId}`]);
-				} else {
-					throw new Error(result?.error || 'Conversion failed');
-				}
+// File inputs whose selection is being converted; their input/change events are held back
+const convertingInputs = new WeakSet();
 
-			} catch (err) {
-				// Remove placeholder on error too
-				if (canUsePlaceholder && placeholderPosition !== -1) {
-					removePlaceholder(textarea, placeholder, placeholderPosition);
-				}
+/**
+ * Handles a selection made in a file picker (GitHub's "Paste, drop, or click to add files"
+ * or any other <input type="file">). The page's handlers only see the input once its
+ * FileList holds the converted files.
+ * @param {Event} event - input or change event of the file input
+ */
+async function handleFileInput(event) {
+	const input = event.target;
+	if (isHandedOver(event) || !(input instanceof HTMLInputElement) || input.type !== 'file') return;
 
-				console.error('Conversion failed for', file.name, err);
-				if (err.message?.includes('Extension context') || err.message?.includes('invalidated') || err.message?.includes('refresh') || !chrome?.runtime?.id) {
-					showErrorBanner('GitHub HEIC Converter: Extension context lost. Please REFRESH this page (Cmd+R / Ctrl+R) to restore functionality.');
-				} else {
-					showErrorBanner(`GitHub HEIC Converter: Failed to convert ${file.name}. Error: ${err.message}`);
-				}
-			}
-		}
+	// The input event comes first; both are held while the selection converts
+	if (convertingInputs.has(input)) {
+		event.stopImmediatePropagation();
+		return;
 	}
 
-	if (convertedFiles.length > 0) {
-		const dataTransfer = new DataTransfer();
-		for (const file of convertedFiles) {
-			dataTransfer.items.add(file);
-		}
-
-		if (eventType === 'paste') {
-			const newEvent = new ClipboardEvent('paste', {
-				bubbles: true,
-				cancelable: true,
-				clipboardData: dataTransfer,
-			});
-			originalEvent.target.dispatchEvent(newEvent);
-		} else if (eventType === 'drop') {
-			const newEvent = new DragEvent('drop', {
-				bubbles: true,
-				cancelable: true,
-				dataTransfer: dataTransfer,
-				clientX: originalEvent.clientX,
-				clientY: originalEvent.clientY,
-				screenX: originalEvent.screenX,
-				screenY: originalEvent.screenY,
-			});
-			originalEvent.target.dispatchEvent(newEvent);
-		}
+	const files = [...(input.files ?? [])];
+	if (!files.some(needsSniffing) || !checkExtensionContext()) return;
+
+	// change and input cannot be cancelled, but stopping them here in the capture phase
+	// keeps them from ever reaching the page's listeners
+	event.stopImmediatePropagation();
+	convertingInputs.add(input);
+
+	try {
+		// Placeholders go into the editor the picker belongs to
+		const site = getSiteAdapter();
+		const request = { type: 'input', input };
+		const converted = await convertFiles(files, site.findInputEditor(input), site, request);
+		site.handOver(request, converted);
+	} finally {
+		convertingInputs.delete(input);
 	}
 }
 
+// Leaving the page cancels everything still converting
+window.addEventListener('pagehide', () => {
+	for (const job of activeJobs.values()) {
+		job.controller.abort(new DOMException('Page was closed', 'AbortError'));
+	}
+});
+
+// Event handlers must decide synchronously, so keep a live copy of the settings
+let settings = { ...DEFAULT_SETTINGS };
+watchSettings((newSettings) => {
+	settings = newSettings;
+});
+
 document.addEventListener('paste', (event) => {
-	handleDataTransfer(event.clipboardData?.items, event, 'paste');
+	if (!settings.convertOnPaste) return;
+	handleDataTransfer(event.clipboardData, event, 'paste');
 }, true);
 
 document.addEventListener('drop', (event) => {
-	handleDataTransfer(event.dataTransfer?.items, event, 'drop');
+	if (!settings.convertOnDrop) return;
+	handleDataTransfer(event.dataTransfer, event, 'drop');
 }, true);
+
+// Capturing on the document also covers inputs GitHub creates later, such as those inside
+// file-attachment elements. Inputs never attached to the document are out of reach.
+for (const type of ['input', 'change']) {
+	document.addEventListener(type, (event) => {
+		if (!settings.convertOnFileInput) return;
+		handleFileInput(event);
+	}, true);
+}
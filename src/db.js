@@ -1,6 +1,18 @@
+import { sha256Hex } from './utils/binary.js';
+
 const DB_NAME = 'HeicConverterDB';
 const STORE_NAME = 'images';
-const DB_VERSION = 1;
+const JOB_STORE_NAME = 'jobs';
+const CACHE_STORE_NAME = 'cache';
+const DB_VERSION = 3;
+
+// Job states tracked in the job registry
+export const JOB_STATES = {
+	PENDING: 'pending',       // received by background, bytes being stored
+	CONVERTING: 'converting', // handed to offscreen
+	DONE: 'done',             // result stored, being delivered
+	FAILED: 'failed'
+};
 
 export const openDB = () => {
 	return new Promise((resolve, reject) => {
@@ -12,6 +24,13 @@ export const openDB = () => {
 			if (!db.objectStoreNames.contains(STORE_NAME)) {
 				db.createObjectStore(STORE_NAME);
 			}
+			if (!db.objectStoreNames.contains(JOB_STORE_NAME)) {
+				db.createObjectStore(JOB_STORE_NAME, { keyPath: 'jobId' });
+			}
+			if (!db.objectStoreNames.contains(CACHE_STORE_NAME)) {
+				const cache = db.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+				cache.createIndex('lastUsedAt', 'lastUsedAt');
+			}
 		};
 	});
 };
@@ -59,3 +78,231 @@ export const clearAllImages = async () => {
 		request.onsuccess = () => resolve();
 	});
 };
+
+export const getAllImageKeys = async () => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(STORE_NAME, 'readonly');
+		const store = transaction.objectStore(STORE_NAME);
+		const request = store.getAllKeys();
+		request.onerror = () => reject(request.error);
+		request.onsuccess = () => resolve(request.result);
+	});
+};
+
+// --- Job registry ---
+// One record per conversion job so concurrent jobs (other tabs, other pastes)
+// never touch each other's data. Image bytes live in the images store under
+// `request_${jobId}` / `result_${jobId}` and are deleted together with the job.
+
+export const createJob = async ({ jobId, tabId = null, fileName = null }) => {
+	const now = Date.now();
+	const job = {
+		jobId,
+		state: JOB_STATES.PENDING,
+		tabId,
+		fileName,
+		createdAt: now,
+		updatedAt: now
+	};
+
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(JOB_STORE_NAME, 'readwrite');
+		const store = transaction.objectStore(JOB_STORE_NAME);
+		const request = store.put(job);
+		request.onerror = () => reject(request.error);
+		request.onsuccess = () => resolve(job);
+	});
+};
+
+export const getJob = async (jobId) => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(JOB_STORE_NAME, 'readonly');
+		const store = transaction.objectStore(JOB_STORE_NAME);
+		const request = store.get(jobId);
+		request.onerror = () => reject(request.error);
+		request.onsuccess = () => resolve(request.result);
+	});
+};
+
+export const updateJob = async (jobId, changes) => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(JOB_STORE_NAME, 'readwrite');
+		const store = transaction.objectStore(JOB_STORE_NAME);
+		const getRequest = store.get(jobId);
+		getRequest.onerror = () => reject(getRequest.error);
+		getRequest.onsuccess = () => {
+			// Job was already deleted (e.g. cancelled); nothing to update
+			if (!getRequest.result) {
+				resolve(undefined);
+				return;
+			}
+
+			const job = { ...getRequest.result, ...changes, jobId, updatedAt: Date.now() };
+			const putRequest = store.put(job);
+			putRequest.onerror = () => reject(putRequest.error);
+			putRequest.onsuccess = () => resolve(job);
+		};
+	});
+};
+
+export const getAllJobs = async () => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(JOB_STORE_NAME, 'readonly');
+		const store = transaction.objectStore(JOB_STORE_NAME);
+		const request = store.getAll();
+		request.onerror = () => reject(request.error);
+		request.onsuccess = () => resolve(request.result);
+	});
+};
+
+// Deletes the job record and its request/result images in one transaction
+export const deleteJob = async (jobId) => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction([JOB_STORE_NAME, STORE_NAME], 'readwrite');
+		transaction.objectStore(JOB_STORE_NAME).delete(jobId);
+		transaction.objectStore(STORE_NAME).delete(`request_${jobId}`);
+		transaction.objectStore(STORE_NAME).delete(`result_${jobId}`);
+		transaction.onerror = () => reject(transaction.error);
+		transaction.oncomplete = () => resolve();
+	});
+};
+
+// --- Conversion cache ---
+// Converted outputs keyed by the SHA-256 of the input bytes plus the settings that shape
+// the output, so pasting the same image again skips the offscreen document entirely.
+// Entries are evicted least recently used first once the total size passes the cap.
+
+/**
+ * Builds the cache key for an input file converted with the given settings.
+ * @param {Blob} blob - Input bytes
+ * @param {object} settings - Output of conversionSettings() (settings.js)
+ * @returns {Promise<string>}
+ */
+export const createCacheKey = async (blob, settings) => {
+	return `${await sha256Hex(blob)}:${JSON.stringify(settings)}`;
+};
+
+/**
+ * Looks up a cached result and marks it as just used.
+ * @param {string} key
+ * @returns {Promise<{ key: string, files: object[], privacy: object, size: number, lastUsedAt: number }|undefined>}
+ */
+export const getCachedResult = async (key) => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+		const store = transaction.objectStore(CACHE_STORE_NAME);
+		const getRequest = store.get(key);
+		getRequest.onerror = () => reject(getRequest.error);
+		getRequest.onsuccess = () => {
+			if (!getRequest.result) {
+				resolve(undefined);
+				return;
+			}
+
+			const entry = { ...getRequest.result, lastUsedAt: Date.now() };
+			const putRequest = store.put(entry);
+			putRequest.onerror = () => reject(putRequest.error);
+			putRequest.onsuccess = () => resolve(entry);
+		};
+	});
+};
+
+/**
+ * Evicts least recently used entries inside an open transaction until the rest fit.
+ * @param {IDBObjectStore} store
+ * @param {number} maxBytes
+ * @param {(keys: string[]) => void} done - Receives the evicted keys
+ */
+const evictLeastRecentlyUsed = (store, maxBytes, done) => {
+	const evicted = [];
+	const sizeRequest = store.getAll();
+	sizeRequest.onsuccess = () => {
+		let total = sizeRequest.result.reduce((sum, entry) => sum + entry.size, 0);
+		const cursorRequest = store.index('lastUsedAt').openCursor();
+		cursorRequest.onsuccess = () => {
+			const cursor = cursorRequest.result;
+			if (!cursor || total <= maxBytes) {
+				done(evicted);
+				return;
+			}
+			total -= cursor.value.size;
+			evicted.push(cursor.value.key);
+			cursor.delete();
+			cursor.continue();
+		};
+	};
+};
+
+/**
+ * Stores a conversion result and trims the cache back under its cap.
+ * A result larger than the whole cap is not stored.
+ * @param {string} key
+ * @param {{ files: { blob: Blob }[], privacy: object }} result - As stored under `result_${jobId}`
+ * @param {number} maxBytes
+ * @returns {Promise<boolean>} - Whether the result was stored
+ */
+export const saveCachedResult = async (key, { files, privacy }, maxBytes) => {
+	const size = files.reduce((sum, file) => sum + file.blob.size, 0);
+	if (size > maxBytes) {
+		return false;
+	}
+
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+		const store = transaction.objectStore(CACHE_STORE_NAME);
+		store.put({ key, files, privacy, size, lastUsedAt: Date.now() });
+		evictLeastRecentlyUsed(store, maxBytes, () => {});
+		transaction.onerror = () => reject(transaction.error);
+		transaction.oncomplete = () => resolve(true);
+	});
+};
+
+/**
+ * Evicts least recently used entries until the cache fits in `maxBytes`.
+ * @param {number} maxBytes
+ * @returns {Promise<string[]>} - Evicted keys
+ */
+export const trimCache = async (maxBytes) => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+		let evicted = [];
+		evictLeastRecentlyUsed(transaction.objectStore(CACHE_STORE_NAME), maxBytes, (keys) => { evicted = keys; });
+		transaction.onerror = () => reject(transaction.error);
+		transaction.oncomplete = () => resolve(evicted);
+	});
+};
+
+/**
+ * @returns {Promise<{ entries: number, bytes: number }>}
+ */
+export const getCacheStats = async () => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(CACHE_STORE_NAME, 'readonly');
+		const request = transaction.objectStore(CACHE_STORE_NAME).getAll();
+		request.onerror = () => reject(request.error);
+		request.onsuccess = () => resolve({
+			entries: request.result.length,
+			bytes: request.result.reduce((sum, entry) => sum + entry.size, 0)
+		});
+	});
+};
+
+export const clearCache = async () => {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+		const request = transaction.objectStore(CACHE_STORE_NAME).clear();
+		request.onerror = () => reject(request.error);
+		request.onsuccess = () => resolve();
+	});
+};
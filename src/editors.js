@@ -0,0 +1,377 @@
+/**
+ * Editor adapters: how placeholders get into, and back out of, whatever editor a file
+ * was pasted or dropped into.
+ *
+ * - textarea: GitHub's classic comment boxes
+ * - contenteditable: rich-text and React-based editors (wiki, Projects item bodies)
+ * - codemirror: CodeMirror 6 (the web file editor)
+ * - status: anything else, including CodeMirror 5, whose hidden textarea does not hold the
+ *   document; progress is only shown in the file's toast
+ *
+ * Every adapter has the same shape, so content.js never needs to know which one it has.
+ */
+
+import { findPlaceholder } from './utils/placeholder.js';
+
+/**
+ * @typedef {object} EditorAdapter
+ * @property {'textarea'|'contenteditable'|'codemirror'|'status'} kind
+ * @property {(token: string, text: string) => void} insert - Inserts a placeholder at the cursor
+ * @property {(token: string, text: string) => boolean} replace - False if the placeholder is gone
+ * @property {(token: string, text: string) => boolean} progress - Rewrites the placeholder with
+ *   progress, unless the editor has focus: editors such as CodeMirror 6 and ProseMirror record
+ *   any change to their DOM as an undo step, so progress is then only shown in the toast.
+ *   True only if the placeholder was rewritten.
+ * @property {(token: string, options?: { placeCaret?: boolean }) => boolean} remove - True only for
+ *   the call that removed it. `placeCaret` leaves the caret where it was, so that what the
+ *   page inserts next (the uploaded file's link) takes its place.
+ * @property {(token: string) => boolean} contains - False once the user has deleted the placeholder
+ * @property {(listener: () => void) => () => void} onChange - Called after edits; returns an unsubscribe function
+ *
+ * Placeholders are found by their token (see utils/placeholder.js), not by position or
+ * text, so typing above one, or two files of the same name, cannot mix them up.
+ */
+
+// A trailing line break separates a placeholder from what follows; it is inserted and
+// removed with it, but never replaced, so a line break the user has deleted stays deleted
+const inlineText = (text) => text.replace(/\n$/, '');
+
+/**
+ * Replaces part of a textarea's value. While the textarea has focus this goes through
+ * execCommand, which keeps the native undo stack working (assigning `value` or calling
+ * setRangeText wipes it); otherwise setRangeText edits it without moving the user's focus.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} start
+ * @param {number} end
+ * @param {string} text
+ */
+function editTextarea(textarea, start, end, text) {
+	if (typeof document.execCommand === 'function' && document.activeElement === textarea) {
+		textarea.setSelectionRange(start, end);
+		if (document.execCommand(text ? 'insertText' : 'delete', false, text)) return;
+	}
+
+	textarea.setRangeText(text, start, end);
+	// Trigger input event so GitHub's JS updates properly
+	textarea.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: text ? 'insertText' : 'deleteContent', data: text || null }));
+}
+
+/**
+ * Replaces a range of a textarea, keeping the user's selection where it was.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} start
+ * @param {number} end
+ * @param {string} text
+ */
+function replaceRange(textarea, start, end, text) {
+	const { selectionStart, selectionEnd } = textarea;
+	const delta = text.length - (end - start);
+	// Positions after the range move with it; positions inside snap to its end
+	const adjust = (pos) => pos >= end ? pos + delta : pos > start ? start + text.length : pos;
+
+	editTextarea(textarea, start, end, text);
+	textarea.setSelectionRange(adjust(selectionStart), adjust(selectionEnd));
+}
+
+/**
+ * Inserts placeholder text into textarea at cursor position.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {string} text
+ * @returns {number} - The start position where text was inserted
+ */
+export function insertPlaceholder(textarea, text) {
+	const start = textarea.selectionStart;
+	editTextarea(textarea, start, textarea.selectionEnd, text);
+	textarea.setSelectionRange(start + text.length, start + text.length);
+	return start;
+}
+
+/**
+ * Removes a placeholder, with its line break, from textarea.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {string} token
+ * @param {object} [options]
+ * @param {boolean} [options.placeCaret] - Put the caret where the placeholder was
+ * @returns {boolean} - Whether the placeholder was found
+ */
+export function removePlaceholder(textarea, token, { placeCaret = false } = {}) {
+	const found = findPlaceholder(textarea.value, token);
+	if (!found) return false;
+
+	const end = textarea.value[found.end] === '\n' ? found.end + 1 : found.end;
+	replaceRange(textarea, found.start, end, '');
+	if (placeCaret) {
+		textarea.setSelectionRange(found.start, found.start);
+	}
+	return true;
+}
+
+/**
+ * Replaces a placeholder in place, keeping the user's cursor where it was.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {string} token
+ * @param {string} newText
+ * @returns {boolean} - Whether the placeholder was found
+ */
+export function replacePlaceholder(textarea, token, newText) {
+	const found = findPlaceholder(textarea.value, token);
+	if (!found) return false;
+
+	replaceRange(textarea, found.start, found.end, inlineText(newText));
+	return true;
+}
+
+/**
+ * Wraps the text operations of an editor with the bookkeeping every adapter shares: a
+ * token is only acted on while its placeholder is live, so each one is removed once.
+ * @param {'textarea'|'contenteditable'|'codemirror'} kind
+ * @param {HTMLElement} root - Where input events arrive
+ * @param {object} ops
+ * @param {(text: string) => void} ops.insert
+ * @param {(token: string, text: string) => boolean} ops.replace
+ * @param {(token: string, options?: { placeCaret?: boolean }) => boolean} ops.remove
+ * @param {(token: string) => boolean} ops.find
+ * @param {() => boolean} ops.focused
+ * @returns {EditorAdapter}
+ */
+function createTextAdapter(kind, root, ops) {
+	const live = new Set();
+
+	return {
+		kind,
+		insert: (token, text) => {
+			live.add(token);
+			ops.insert(text);
+		},
+		replace: (token, text) => live.has(token) && ops.replace(token, text),
+		progress: (token, text) => live.has(token) && !ops.focused() && ops.replace(token, text),
+		remove: (token, options) => live.delete(token) && ops.remove(token, options),
+		contains: (token) => live.has(token) && ops.find(token),
+		onChange: (listener) => {
+			root.addEventListener('input', listener);
+			return () => root.removeEventListener('input', listener);
+		}
+	};
+}
+
+/**
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {EditorAdapter}
+ */
+function createTextareaAdapter(textarea) {
+	return createTextAdapter('textarea', textarea, {
+		insert: (text) => insertPlaceholder(textarea, text),
+		replace: (token, text) => replacePlaceholder(textarea, token, text),
+		remove: (token, options) => removePlaceholder(textarea, token, options),
+		find: (token) => Boolean(findPlaceholder(textarea.value, token)),
+		focused: () => document.activeElement === textarea
+	});
+}
+
+// --- Rich-text editors ---
+// Positions are offsets into the editor's textContent. The trailing line break is dropped
+// from placeholders: it would become a new paragraph or <br>, which textContent cannot see.
+
+/**
+ * Finds the text node and offset at a textContent offset.
+ * @param {HTMLElement} root
+ * @param {number} offset
+ * @returns {{ node: Node, offset: number }}
+ */
+function locate(root, offset) {
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	let remaining = offset;
+	let last = null;
+	for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+		if (remaining <= node.length) return { node, offset: remaining };
+		remaining -= node.length;
+		last = node;
+	}
+	return last ? { node: last, offset: last.length } : { node: root, offset: root.childNodes.length };
+}
+
+/**
+ * @param {HTMLElement} root
+ * @param {number} start
+ * @param {number} end
+ * @returns {Range}
+ */
+function rangeAt(root, start, end) {
+	const range = document.createRange();
+	const from = locate(root, start);
+	const to = locate(root, end);
+	range.setStart(from.node, from.offset);
+	range.setEnd(to.node, to.offset);
+	return range;
+}
+
+/**
+ * textContent offset of a DOM position inside root.
+ * @param {HTMLElement} root
+ * @param {Node} node
+ * @param {number} offset
+ * @returns {number}
+ */
+function offsetOf(root, node, offset) {
+	const range = document.createRange();
+	range.selectNodeContents(root);
+	range.setEnd(node, offset);
+	return range.toString().length;
+}
+
+/**
+ * The selection as textContent offsets, or null when it is not inside root.
+ * @param {HTMLElement} root
+ * @returns {{ start: number, end: number }|null}
+ */
+function selectionOffsets(root) {
+	const selection = document.getSelection();
+	if (!selection || selection.rangeCount === 0) return null;
+
+	const range = selection.getRangeAt(0);
+	if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+	return {
+		start: offsetOf(root, range.startContainer, range.startOffset),
+		end: offsetOf(root, range.endContainer, range.endOffset)
+	};
+}
+
+/**
+ * @param {HTMLElement} root
+ * @param {number} start
+ * @param {number} end
+ */
+function selectOffsets(root, start, end) {
+	const selection = document.getSelection();
+	selection.removeAllRanges();
+	selection.addRange(rangeAt(root, start, end));
+}
+
+/**
+ * Replaces a range with text. While the editor has focus this goes through execCommand,
+ * so the editor's own model (React, ProseMirror, CodeMirror) sees an ordinary edit that
+ * can be undone. Otherwise the DOM is edited directly, leaving the user's focus alone,
+ * and the editor learns of it through an input event and its mutation observer.
+ * @param {HTMLElement} root
+ * @param {Range} range
+ * @param {string} text
+ */
+function editRange(root, range, text) {
+	if (typeof document.execCommand === 'function' && root.contains(document.activeElement)) {
+		const selection = document.getSelection();
+		selection.removeAllRanges();
+		selection.addRange(range);
+		if (document.execCommand(text ? 'insertText' : 'delete', false, text)) return;
+	}
+
+	range.deleteContents();
+	if (text) {
+		range.insertNode(document.createTextNode(text));
+	}
+	root.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: text ? 'insertText' : 'deleteContent', data: text || null }));
+}
+
+/**
+ * @param {'contenteditable'|'codemirror'} kind
+ * @param {HTMLElement} root - The editing host
+ * @returns {EditorAdapter}
+ */
+function createRichTextAdapter(kind, root) {
+	const replace = (token, text) => {
+		const found = findPlaceholder(root.textContent, token);
+		if (!found) return false;
+
+		const { start, end } = found;
+		const saved = selectionOffsets(root);
+		const delta = text.length - (end - start);
+		// Same cursor rules as replaceRange()
+		const adjust = (pos) => pos >= end ? pos + delta : pos > start ? start + text.length : pos;
+
+		editRange(root, rangeAt(root, start, end), text);
+		if (saved) {
+			selectOffsets(root, adjust(saved.start), adjust(saved.end));
+		}
+		return true;
+	};
+
+	return createTextAdapter(kind, root, {
+		insert: (text) => {
+			const inline = inlineText(text);
+			const end = root.textContent.length;
+			const { start, end: selectionEnd } = selectionOffsets(root) ?? { start: end, end };
+
+			editRange(root, rangeAt(root, start, selectionEnd), inline);
+			if (root.contains(document.activeElement)) {
+				selectOffsets(root, start + inline.length, start + inline.length);
+			}
+		},
+		replace: (token, text) => replace(token, inlineText(text)),
+		remove: (token, { placeCaret = false } = {}) => {
+			const found = findPlaceholder(root.textContent, token);
+			if (!found || !replace(token, '')) return false;
+
+			if (placeCaret) {
+				selectOffsets(root, found.start, found.start);
+			}
+			return true;
+		},
+		find: (token) => Boolean(findPlaceholder(root.textContent, token)),
+		focused: () => root.contains(document.activeElement)
+	});
+}
+
+// --- No editor ---
+
+/**
+ * For targets that are not an editor. Progress and the cancel button are in each file's
+ * toast (see notifications.js), so placeholders here are only kept track of.
+ * @returns {EditorAdapter}
+ */
+function createStatusAdapter() {
+	const live = new Set();
+
+	return {
+		kind: 'status',
+		insert: (token) => {
+			live.add(token);
+		},
+		replace: (token) => live.has(token),
+		progress: () => false,
+		remove: (token) => live.delete(token),
+		contains: (token) => live.has(token),
+		onChange: () => () => {}
+	};
+}
+
+// Editing hosts; contenteditable="false" marks islands inside them
+const EDITABLE_SELECTOR = '[contenteditable=""], [contenteditable="true"], [contenteditable="plaintext-only"]';
+
+/**
+ * Picks the adapter for the editor an event landed in: its target first, then whatever has focus.
+ * @param {EventTarget} target
+ * @returns {EditorAdapter}
+ */
+export function getEditorAdapter(target) {
+	for (const candidate of [target, document.activeElement]) {
+		if (!(candidate instanceof Element)) continue;
+
+		const codeMirrorContent = candidate.closest('.cm-editor')?.querySelector('.cm-content');
+		if (codeMirrorContent) {
+			return createRichTextAdapter('codemirror', codeMirrorContent);
+		}
+		// CodeMirror 5 keeps its document in JS; its textarea only catches keystrokes
+		if (candidate.closest('.CodeMirror')) continue;
+
+		const textarea = candidate.closest('textarea');
+		if (textarea && !textarea.readOnly) {
+			return createTextareaAdapter(textarea);
+		}
+
+		const editable = candidate.closest(EDITABLE_SELECTOR);
+		if (editable) {
+			return createRichTextAdapter('contenteditable', editable);
+		}
+	}
+
+	return createStatusAdapter();
+}
@@ -0,0 +1,142 @@
+/**
+ * Registry of the image formats the extension knows.
+ *
+ * Every entry has a detector (judging the file's first bytes) and names the decoder
+ * the sandbox uses for it. Formats with `decoder: null` are ones GitHub accepts as-is;
+ * they are listed so a file can be identified (e.g. a ".heic" that is really a JPEG).
+ * The decoders themselves live in the sandbox, keeping heic2any and the TIFF decoder
+ * out of the content script.
+ */
+
+import { readFtyp, HEIF_BRANDS, SNIFF_LENGTH } from './utils/sniff.js';
+
+export const DECODERS = {
+	HEIC2ANY: 'heic2any', // libheif via heic2any
+	NATIVE: 'native',     // the browser's own decoder, via createImageBitmap
+	TIFF: 'tiff'          // bundled UTIF decoder
+};
+
+// AVIF is HEIF-structured too (and declares mif1), but browsers decode it natively
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+
+const startsWith = (bytes, ...signature) => signature.every((byte, i) => bytes[i] === byte);
+const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+const ftypBrands = (bytes) => {
+	const ftyp = readFtyp(bytes);
+	return ftyp ? [ftyp.majorBrand, ...ftyp.compatibleBrands] : [];
+};
+
+// Order matters: AVIF must be checked before HEIF, as AVIF files also carry HEIF brands
+export const FORMATS = [
+	{
+		id: 'avif',
+		label: 'AVIF',
+		mimeTypes: ['image/avif', 'image/avif-sequence'],
+		extensions: ['avif', 'avifs'],
+		decoder: DECODERS.NATIVE,
+		detect: (bytes) => ftypBrands(bytes).some(brand => AVIF_BRANDS.has(brand))
+	},
+	{
+		id: 'heif',
+		label: 'HEIC/HEIF',
+		mimeTypes: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+		extensions: ['heic', 'heics', 'heif', 'heifs', 'hif'],
+		decoder: DECODERS.HEIC2ANY,
+		detect: (bytes) => ftypBrands(bytes).some(brand => HEIF_BRANDS.has(brand))
+	},
+	{
+		id: 'webp',
+		label: 'WebP',
+		mimeTypes: ['image/webp'],
+		extensions: ['webp'],
+		decoder: DECODERS.NATIVE,
+		detect: (bytes) => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP'
+	},
+	{
+		id: 'bmp',
+		label: 'BMP',
+		mimeTypes: ['image/bmp', 'image/x-bmp', 'image/x-ms-bmp'],
+		extensions: ['bmp', 'dib'],
+		decoder: DECODERS.NATIVE,
+		detect: (bytes) => ascii(bytes, 0, 2) === 'BM' && bytes.length >= 14
+	},
+	{
+		id: 'ico',
+		label: 'ICO',
+		mimeTypes: ['image/x-icon', 'image/vnd.microsoft.icon'],
+		extensions: ['ico', 'cur'],
+		decoder: DECODERS.NATIVE,
+		// Reserved 0, type 1 (icon) or 2 (cursor), at least one image
+		detect: (bytes) => startsWith(bytes, 0x00, 0x00) && (bytes[2] === 1 || bytes[2] === 2) && bytes[3] === 0 && (bytes[4] | bytes[5]) !== 0
+	},
+	{
+		id: 'tiff',
+		label: 'TIFF',
+		mimeTypes: ['image/tiff', 'image/tiff-fx'],
+		extensions: ['tif', 'tiff'],
+		decoder: DECODERS.TIFF,
+		detect: (bytes) => startsWith(bytes, 0x49, 0x49, 0x2a, 0x00) || startsWith(bytes, 0x4d, 0x4d, 0x00, 0x2a)
+	},
+	{
+		id: 'jpeg',
+		label: 'JPEG',
+		mimeTypes: ['image/jpeg'],
+		extensions: ['jpg', 'jpeg'],
+		decoder: null,
+		detect: (bytes) => startsWith(bytes, 0xff, 0xd8, 0xff)
+	},
+	{
+		id: 'png',
+		label: 'PNG',
+		mimeTypes: ['image/png'],
+		extensions: ['png'],
+		decoder: null,
+		detect: (bytes) => startsWith(bytes, 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)
+	},
+	{
+		id: 'gif',
+		label: 'GIF',
+		mimeTypes: ['image/gif'],
+		extensions: ['gif'],
+		decoder: null,
+		detect: (bytes) => ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a'
+	}
+];
+
+/**
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getFormat(id) {
+	return FORMATS.find(format => format.id === id);
+}
+
+/**
+ * Identifies a format from a file's first bytes.
+ * @param {Uint8Array} bytes - At least the first SNIFF_LENGTH bytes (or the whole file if shorter)
+ * @returns {object|null} - The registry entry
+ */
+export function detectFormat(bytes) {
+	return FORMATS.find(format => format.detect(bytes)) || null;
+}
+
+/**
+ * The format a file claims to be by MIME type or extension (not by content).
+ * @param {File} file
+ * @returns {object|null}
+ */
+export function claimedFormat(file) {
+	const type = file.type.toLowerCase();
+	const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+	return FORMATS.find(format => format.mimeTypes.includes(type) || format.extensions.includes(extension)) || null;
+}
+
+/**
+ * Reads the start of a file and identifies it.
+ * @param {Blob} file
+ * @returns {Promise<object|null>}
+ */
+export async function detectFileFormat(file) {
+	const buffer = await file.slice(0, SNIFF_LENGTH).arrayBuffer();
+	return detectFormat(new Uint8Array(buffer));
+}
@@ -0,0 +1,88 @@
+/**
+ * Extra hosts (GitHub Enterprise Server, custom domains) the content script runs on.
+ *
+ * github.com and its subdomains are covered by the manifest. Every other host is listed in
+ * the `customHosts` setting as an origin, granted at runtime from the options page through
+ * chrome.permissions.request, and gets the content script through one dynamically
+ * registered script whose matches are the granted origins.
+ */
+
+// ID of the dynamically registered content script
+export const HOST_SCRIPT_ID = 'custom-hosts';
+
+/**
+ * Turns what the user typed ("github.example.com", "https://github.example.com/login",
+ * "https://ghe.internal:8443") into an origin.
+ *
+ * Only https hosts are accepted: plain-http pages are not secure contexts, so the content
+ * script would lack crypto.randomUUID() and crypto.subtle there.
+ * @param {string} input
+ * @returns {string|null} - null if it is not a usable https host
+ */
+export function parseOrigin(input) {
+	const text = input.trim();
+	if (!text) return null;
+
+	let url;
+	try {
+		url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+	} catch (e) {
+		return null;
+	}
+
+	// Wildcards would grant far more than one server
+	if (url.protocol !== 'https:' || !url.hostname || url.hostname.includes('*')) {
+		return null;
+	}
+	return url.origin;
+}
+
+/**
+ * Whether the manifest's content script already runs on an origin.
+ * @param {string} origin
+ * @returns {boolean}
+ */
+export function isBuiltInOrigin(origin) {
+	const { protocol, hostname } = new URL(origin);
+	return protocol === 'https:' && (hostname === 'github.com' || hostname.endsWith('.github.com'));
+}
+
+/**
+ * Match pattern covering every page of an origin, as used for permissions and content scripts.
+ * @param {string} origin
+ * @returns {string}
+ */
+export function originMatchPattern(origin) {
+	return `${origin}/*`;
+}
+
+/**
+ * Registers the content script on the custom hosts that have been granted, replacing
+ * any earlier registration. Hosts whose permission was revoked are left out.
+ * @param {string[]} origins - The `customHosts` setting
+ * @param {string[]} js - Content script files, as built
+ * @returns {Promise<string[]>} - The origins the script is now registered on
+ */
+export async function syncHostContentScripts(origins, js) {
+	const granted = [];
+	for (const origin of origins) {
+		if (await chrome.permissions.contains({ origins: [originMatchPattern(origin)] })) {
+			granted.push(origin);
+		}
+	}
+
+	const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [HOST_SCRIPT_ID] });
+	if (registered.length > 0) {
+		await chrome.scripting.unregisterContentScripts({ ids: [HOST_SCRIPT_ID] });
+	}
+
+	if (granted.length > 0) {
+		await chrome.scripting.registerContentScripts([{
+			id: HOST_SCRIPT_ID,
+			matches: granted.map(originMatchPattern),
+			js,
+			persistAcrossSessions: true
+		}]);
+	}
+	return granted;
+}
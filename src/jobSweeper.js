@@ -0,0 +1,42 @@
+import { getAllJobs, getJob, deleteJob, getAllImageKeys, deleteImage } from './db.js';
+
+// Name of the chrome.alarms alarm that drives the sweeper
+export const SWEEP_ALARM_NAME = 'job-sweeper';
+export const SWEEP_INTERVAL_MINUTES = 5;
+// No job legitimately lives this long (the offscreen timeout is 90s)
+export const JOB_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Deletes expired and orphaned jobs, plus any stored image that no job owns.
+ * Live jobs are never touched, so concurrent conversions are safe.
+ * @param {object} options
+ * @param {number} [options.now]
+ * @param {number} [options.ttlMs]
+ * @param {(job: object) => boolean|Promise<boolean>} [options.isOrphaned] - True if nothing is waiting on the job any more
+ * @returns {Promise<{ jobs: string[], images: string[] }>} - What was removed
+ */
+export async function sweepJobs({ now = Date.now(), ttlMs = JOB_TTL_MS, isOrphaned = () => false } = {}) {
+	const removed = { jobs: [], images: [] };
+	const jobs = await getAllJobs();
+
+	for (const job of jobs) {
+		const expired = now - job.createdAt > ttlMs;
+		if (expired || await isOrphaned(job)) {
+			await deleteJob(job.jobId);
+			removed.jobs.push(job.jobId);
+		}
+	}
+
+	// Images left behind by crashes or by older versions of the extension.
+	// A job record is always created before its image is stored, so checking
+	// the registry per key cannot race with a job that is just starting.
+	for (const key of await getAllImageKeys()) {
+		const jobId = String(key).replace(/^(request|result)_/, '');
+		if (!await getJob(jobId)) {
+			await deleteImage(key);
+			removed.images.push(key);
+		}
+	}
+
+	return removed;
+}
@@ -0,0 +1,60 @@
+/**
+ * Port-based message protocol shared by content, background and offscreen.
+ *
+ * content ──(PORT_NAMES.CONTENT)──▶ background ◀──(PORT_NAMES.OFFSCREEN)── offscreen ──▶ sandbox
+ *
+ * The offscreen document opens its port itself once loaded and sends OFFSCREEN_READY,
+ * which is the background's signal that requests can be forwarded.
+ *
+ * Every message is a plain object with a `type` and the `requestId` it belongs to.
+ * Requests flow downstream, progress/result/error messages are pushed back upstream
+ * the moment they are produced, so no side polls storage for results.
+ *
+ * The background attaches the current settings (see settings.js) to each REQUEST it
+ * forwards to offscreen, so a job converts with the options in effect when it started.
+ *
+ * Image bytes between content and background travel as REQUEST_CHUNK / RESULT_CHUNK
+ * messages sent just before the REQUEST / RESULT they belong to (see utils/binary.js).
+ * A RESULT can hold several files (one per image of a multi-image HEIF); its RESULT_CHUNKs
+ * carry a `fileIndex` into the RESULT's `files` list. Each file entry also reports its final
+ * dimensions and quality, and whether the size budget forced them down. The RESULT's `privacy`
+ * report names the metadata removed from / kept in the output (see utils/privacy.js).
+ *
+ * A job is cancelled by an explicit CANCEL message or by its content port disconnecting
+ * (e.g. the tab navigated away); each layer drops the job and frees what it holds.
+ *
+ * A job that fails keeps its original bytes in the background's job store. RETRY, sent on
+ * a new content port with the same `requestId` (and `lowerResolution` to shrink the
+ * output), converts them again without the page re-sending anything; DISCARD frees them.
+ */
+
+export const PORT_NAMES = {
+	CONTENT: 'heic-converter:content',
+	OFFSCREEN: 'heic-converter:offscreen'
+};
+
+export const MESSAGE_TYPES = {
+	REQUEST: 'CONVERT_REQUEST',
+	REQUEST_CHUNK: 'CONVERT_REQUEST_CHUNK',
+	PROGRESS: 'CONVERT_PROGRESS',
+	RESULT: 'CONVERT_RESULT',
+	RESULT_CHUNK: 'CONVERT_RESULT_CHUNK',
+	ERROR: 'CONVERT_ERROR',
+	// Sent downstream (content -> background -> offscreen) to abort a job
+	CANCEL: 'CONVERT_CANCEL',
+	// content -> background: convert a failed job again, or give up on it
+	RETRY: 'CONVERT_RETRY',
+	DISCARD: 'CONVERT_DISCARD',
+	// First message on the offscreen port: the document and its sandbox are up
+	OFFSCREEN_READY: 'OFFSCREEN_READY'
+};
+
+// Stages reported in PROGRESS messages, in the order a job goes through them.
+// QUEUED messages also carry `position` and `total` (waiting for a sandbox slot).
+export const PROGRESS_STAGES = {
+	QUEUED: 'queued',
+	STARTING: 'starting',   // offscreen is loading the bytes / preparing a sandbox
+	DECODING: 'decoding',   // heic2any is running
+	ENCODING: 'encoding',   // output image is being produced
+	FINISHING: 'finishing'  // result is on its way back to the page
+};
@@ -0,0 +1,314 @@
+/**
+ * In-page notification center: a stack of toasts, one per file (queued, converting, done,
+ * failed) or per problem, each with its own actions. Toasts follow the page's light or
+ * dark theme, and every change of status is announced through ARIA live regions, which
+ * stay in the page so screen readers pick up what is written into them.
+ */
+
+const ROOT_ATTRIBUTE = 'data-heic-toasts';
+const STYLE_ID = 'heic-toast-styles';
+
+/**
+ * @typedef {'queued'|'converting'|'done'|'failed'} ToastStatus
+ *
+ * @typedef {object} ToastOptions
+ * @property {ToastStatus} status
+ * @property {string} title - Usually the file name
+ * @property {string} [message]
+ * @property {Array<{ label: string, onClick: () => void }>} [actions]
+ * @property {number} [timeoutMs] - Dismisses the toast after this long; 0 keeps it until
+ *   the user closes it. Defaults to AUTO_DISMISS_MS for the status.
+ * @property {() => void} [onClose] - Called when the user closes the toast (not when it
+ *   times out or is dismissed by the code)
+ *
+ * @typedef {object} Toast
+ * @property {(changes: Partial<ToastOptions>) => void} update
+ * @property {() => void} dismiss
+ */
+
+// Toasts still in progress or in need of attention stay until they change or are closed
+const AUTO_DISMISS_MS = {
+	queued: 0,
+	converting: 0,
+	done: 6000,
+	failed: 0
+};
+
+const STATUS_ICONS = {
+	queued: '⏳',
+	converting: '🔄',
+	done: '✅',
+	failed: '⚠️'
+};
+
+// Colours of GitHub's Primer light and dark themes
+const STYLES = `
+	[${ROOT_ATTRIBUTE}] {
+		position: fixed;
+		right: 16px;
+		bottom: 16px;
+		z-index: 2147483647;
+		display: flex;
+		flex-direction: column;
+		gap: 8px;
+		width: 360px;
+		max-width: calc(100vw - 32px);
+		max-height: calc(100vh - 32px);
+		overflow-y: auto;
+		pointer-events: none;
+		font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+		font-size: 13px;
+		line-height: 1.4;
+	}
+	[${ROOT_ATTRIBUTE}][data-theme="light"] {
+		--heic-bg: #ffffff;
+		--heic-fg: #1f2328;
+		--heic-muted: #59636e;
+		--heic-border: #d1d9e0;
+		--heic-shadow: rgba(31, 35, 40, 0.15);
+		--heic-button: #f6f8fa;
+		--heic-queued: #818b98;
+		--heic-converting: #0969da;
+		--heic-done: #1a7f37;
+		--heic-failed: #d1242f;
+	}
+	[${ROOT_ATTRIBUTE}][data-theme="dark"] {
+		--heic-bg: #151b23;
+		--heic-fg: #f0f6fc;
+		--heic-muted: #9198a1;
+		--heic-border: #3d444d;
+		--heic-shadow: rgba(1, 4, 9, 0.6);
+		--heic-button: #212830;
+		--heic-queued: #656c76;
+		--heic-converting: #4493f8;
+		--heic-done: #3fb950;
+		--heic-failed: #f85149;
+	}
+	[data-heic-toast] {
+		pointer-events: auto;
+		background: var(--heic-bg);
+		color: var(--heic-fg);
+		border: 1px solid var(--heic-border);
+		border-left: 4px solid var(--heic-accent);
+		border-radius: 6px;
+		padding: 10px 12px;
+		box-shadow: 0 8px 24px var(--heic-shadow);
+		animation: heicToastIn 0.2s ease-out;
+	}
+	[data-heic-toast][data-status="queued"] { --heic-accent: var(--heic-queued); }
+	[data-heic-toast][data-status="converting"] { --heic-accent: var(--heic-converting); }
+	[data-heic-toast][data-status="done"] { --heic-accent: var(--heic-done); }
+	[data-heic-toast][data-status="failed"] { --heic-accent: var(--heic-failed); }
+	.heic-toast-header {
+		display: flex;
+		align-items: center;
+		gap: 8px;
+	}
+	.heic-toast-title {
+		flex: 1;
+		font-weight: 600;
+		overflow: hidden;
+		text-overflow: ellipsis;
+		white-space: nowrap;
+	}
+	.heic-toast-message {
+		margin-top: 4px;
+		color: var(--heic-muted);
+		overflow-wrap: anywhere;
+	}
+	.heic-toast-actions {
+		display: flex;
+		gap: 8px;
+		margin-top: 8px;
+	}
+	.heic-toast-actions:empty {
+		display: none;
+	}
+	[${ROOT_ATTRIBUTE}] button {
+		font: inherit;
+		color: inherit;
+		cursor: pointer;
+	}
+	.heic-toast-actions button {
+		background: var(--heic-button);
+		border: 1px solid var(--heic-border);
+		border-radius: 6px;
+		padding: 3px 10px;
+	}
+	[${ROOT_ATTRIBUTE}] .heic-toast-close {
+		background: none;
+		border: none;
+		padding: 0 4px;
+		color: var(--heic-muted);
+	}
+	.heic-visually-hidden {
+		position: absolute;
+		width: 1px;
+		height: 1px;
+		margin: -1px;
+		overflow: hidden;
+		clip: rect(0 0 0 0);
+		white-space: nowrap;
+	}
+	@keyframes heicToastIn {
+		from { transform: translateY(8px); opacity: 0; }
+		to { transform: translateY(0); opacity: 1; }
+	}
+	@media (prefers-reduced-motion: reduce) {
+		[data-heic-toast] { animation: none; }
+	}
+`;
+
+/**
+ * The page's colour theme. GitHub states it in `data-color-mode` on <html> ("auto"
+ * follows the system); other pages get the system's.
+ * @param {Document} [doc]
+ * @returns {'light'|'dark'}
+ */
+export function resolveTheme(doc = document) {
+	const mode = doc.documentElement.dataset.colorMode;
+	if (mode === 'light' || mode === 'dark') return mode;
+	return doc.defaultView?.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+/**
+ * Returns the notification center, creating it (with its styles and live regions) if needed.
+ * @returns {{ root: HTMLElement, stack: HTMLElement, polite: HTMLElement, assertive: HTMLElement }}
+ */
+function getCenter() {
+	if (!document.getElementById(STYLE_ID)) {
+		const style = document.createElement('style');
+		style.id = STYLE_ID;
+		style.textContent = STYLES;
+		document.head.appendChild(style);
+	}
+
+	let root = document.querySelector(`[${ROOT_ATTRIBUTE}]`);
+	if (!root) {
+		root = document.createElement('div');
+		root.setAttribute(ROOT_ATTRIBUTE, 'true');
+		root.setAttribute('role', 'region');
+		root.setAttribute('aria-label', 'HEIC converter notifications');
+
+		const stack = document.createElement('div');
+		stack.className = 'heic-toast-stack';
+		stack.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+		root.appendChild(stack);
+
+		// Failures interrupt; everything else waits for the screen reader to be idle
+		for (const [politeness, role] of [['polite', 'status'], ['assertive', 'alert']]) {
+			const region = document.createElement('div');
+			region.className = 'heic-visually-hidden';
+			region.dataset.live = politeness;
+			region.setAttribute('role', role);
+			region.setAttribute('aria-live', politeness);
+			region.setAttribute('aria-atomic', 'true');
+			root.appendChild(region);
+		}
+		document.body.appendChild(root);
+	}
+
+	// Re-read on every use: GitHub switches themes without reloading
+	root.dataset.theme = resolveTheme();
+	return {
+		root,
+		stack: root.querySelector('.heic-toast-stack'),
+		polite: root.querySelector('[data-live="polite"]'),
+		assertive: root.querySelector('[data-live="assertive"]')
+	};
+}
+
+/**
+ * Reads a toast out to screen-reader users.
+ * @param {ToastOptions} options
+ */
+function announce({ status, title, message }) {
+	const { polite, assertive } = getCenter();
+	const region = status === 'failed' ? assertive : polite;
+	region.textContent = message ? `${title}: ${message}` : title;
+}
+
+/**
+ * Shows a toast at the bottom of the stack.
+ * @param {ToastOptions} options
+ * @returns {Toast}
+ */
+export function showToast(options) {
+	let current = { message: '', actions: [], ...options };
+	let timer = null;
+
+	const toast = document.createElement('div');
+	toast.setAttribute('data-heic-toast', 'true');
+
+	const header = document.createElement('div');
+	header.className = 'heic-toast-header';
+	const icon = document.createElement('span');
+	icon.setAttribute('aria-hidden', 'true');
+	const title = document.createElement('span');
+	title.className = 'heic-toast-title';
+	const close = document.createElement('button');
+	close.type = 'button';
+	close.className = 'heic-toast-close';
+	close.textContent = '✕';
+	close.title = 'Dismiss';
+	close.setAttribute('aria-label', 'Dismiss');
+	header.append(icon, title, close);
+
+	const message = document.createElement('div');
+	message.className = 'heic-toast-message';
+	const actions = document.createElement('div');
+	actions.className = 'heic-toast-actions';
+	toast.append(header, message, actions);
+
+	const dismiss = () => {
+		clearTimeout(timer);
+		toast.remove();
+	};
+	close.onclick = () => {
+		dismiss();
+		current.onClose?.();
+	};
+
+	const render = () => {
+		const { status } = current;
+		toast.dataset.status = status;
+		icon.textContent = STATUS_ICONS[status];
+		title.textContent = current.title;
+		title.title = current.title;
+		message.textContent = current.message;
+
+		actions.replaceChildren(...current.actions.map(({ label, onClick }) => {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.textContent = label;
+			button.onclick = onClick;
+			return button;
+		}));
+
+		clearTimeout(timer);
+		const timeoutMs = current.timeoutMs ?? AUTO_DISMISS_MS[status];
+		if (timeoutMs > 0) {
+			timer = setTimeout(dismiss, timeoutMs);
+		}
+	};
+
+	render();
+	getCenter().stack.appendChild(toast);
+	announce(current);
+
+	return {
+		update(changes) {
+			if (!toast.isConnected) return;
+
+			const previous = current;
+			current = { ...current, timeoutMs: undefined, ...changes };
+			render();
+			// Progress within a status is visible but not read out, so the screen reader
+			// is not flooded with every stage of every file
+			if (current.status !== previous.status) {
+				announce(current);
+			}
+		},
+		dismiss
+	};
+}
@@ -1,14 +1,24 @@
 import { getImage, saveImage } from './db.js';
+import { PORT_NAMES, MESSAGE_TYPES, PROGRESS_STAGES } from './messaging.js';
+import { createSandboxPool, getPoolSize } from './sandboxPool.js';
 
-console.log('Offscreen script loaded (v8 - Detailed Logging)');
+console.log('Offscreen script loaded (v9 - Sandbox pool)');
 
-let sandboxFrame = null;
-let sandboxReady = false;
 let pendingRequests = new Map();
 
-// Conversion queue to prevent sandbox reset during conversion
+// Sandbox iframes; each slot converts one image at a time
+const pool = createSandboxPool({
+	size: getPoolSize(navigator.hardwareConcurrency, navigator.deviceMemory),
+	url: chrome.runtime.getURL('sandbox.html')
+});
+console.log(`Offscreen: Sandbox pool size ${pool.size} (cores: ${navigator.hardwareConcurrency}, memory: ${navigator.deviceMemory}GB)`);
+
+// Requests waiting for a free slot
 let conversionQueue = [];
-let isProcessing = false;
+// Requests cancelled while being processed
+const cancelledRequests = new Set();
+// requestId -> background port, for requests currently on a slot (progress relay)
+const runningRequests = new Map();
 
 /**
  * Format bytes to human readable string
@@ -20,89 +30,50 @@ function formatBytes(bytes) {
 	return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
 }
 
-// Reset sandbox iframe (cleanup for memory issues)
-function resetSandbox() {
-	if (sandboxFrame) {
-		sandboxFrame.remove();
-		sandboxFrame = null;
-	}
-	sandboxReady = false;
-}
-
-// Create sandbox iframe
-function setupSandbox() {
-	return new Promise((resolve) => {
-		// If sandbox already exists and is ready, reuse it
-		if (sandboxFrame && sandboxReady) {
-			resolve();
-			return;
-		}
-
-		// Reset if exists but not ready
-		if (sandboxFrame) {
-			console.log('Offscreen: Resetting sandbox');
-			resetSandbox();
-		}
-
-		sandboxFrame = document.createElement('iframe');
-		sandboxFrame.src = chrome.runtime.getURL('sandbox.html');
-		sandboxFrame.style.display = 'none';
-		document.body.appendChild(sandboxFrame);
-
-		// Wait for sandbox ready message
-		const readyHandler = (event) => {
-			if (event.data.action === 'SANDBOX_READY') {
-				console.log('Offscreen: Sandbox is ready');
-				sandboxReady = true;
-				window.removeEventListener('message', readyHandler);
-				resolve();
-			}
-		};
-		window.addEventListener('message', readyHandler);
-
-		// Timeout fallback
-		setTimeout(() => {
-			if (!sandboxReady) {
-				console.log('Offscreen: Sandbox ready timeout, proceeding anyway');
-				sandboxReady = true;
-				resolve();
-			}
-		}, 3000);
-	});
-}
-
 // Listen for messages from sandbox
 window.addEventListener('message', (event) => {
 	// Relay sandbox logs to this console
 	if (event.data.action === 'SANDBOX_LOG') {
 		const { level, message } = event.data;
+		const prefix = `[Sandbox ${pool.slotFor(event.source)?.id ?? '?'}→]`;
 		if (level === 'error') {
-			console.error('[Sandbox→]', message);
+			console.error(prefix, message);
 		} else if (level === 'warn') {
-			console.warn('[Sandbox→]', message);
+			console.warn(prefix, message);
 		} else {
-			console.log('[Sandbox→]', message);
+			console.log(prefix, message);
+		}
+		return;
+	}
+
+	if (event.data.action === 'CONVERT_PROGRESS') {
+		const { requestId, stage } = event.data;
+		const port = runningRequests.get(requestId);
+		if (port) {
+			postToBackground(port, { type: MESSAGE_TYPES.PROGRESS, requestId, stage });
 		}
 		return;
 	}
 
 	if (event.data.action === 'CONVERT_RESULT') {
-		const { requestId, success, data, fileName, error } = event.data;
+		const { requestId, success, files, privacy, error } = event.data;
 		console.log('Offscreen: Received result from sandbox for:', requestId);
 
-		const pendingResolve = pendingRequests.get(requestId);
-		if (pendingResolve) {
+		const pending = pendingRequests.get(requestId);
+		if (pending) {
 			pendingRequests.delete(requestId);
-			pendingResolve({ success, data, fileName, error });
+			pending.resolve({ success, files, privacy, error });
 		}
 	}
 });
 
 /**
- * Process a single conversion
+ * Process a single conversion on a reserved sandbox slot
  * @param {string} requestId
+ * @param {object} slot - Slot acquired from the pool
+ * @param {object} settings - Conversion settings sent with the request
  */
-async function processConversion(requestId) {
+async function processConversion(requestId, slot, settings) {
 	const requestKey = `request_${requestId}`;
 	const startTime = performance.now();
 	let fileName = 'unknown';
@@ -110,7 +81,13 @@ async function processConversion(requestId) {
 
 	const log = (msg) => {
 		const elapsed = (performance.now() - startTime).toFixed(0);
-		console.log(`Offscreen [${requestId}] (${elapsed}ms): ${msg}`);
+		console.log(`Offscreen [${requestId}] slot ${slot.id} (${elapsed}ms): ${msg}`);
+	};
+
+	const throwIfCancelled = () => {
+		if (cancelledRequests.has(requestId)) {
+			throw new DOMException(`Request ${requestId} was cancelled`, 'AbortError');
+		}
 	};
 
 	log('Starting conversion');
@@ -119,30 +96,36 @@ async function processConversion(requestId) {
 	log('Reading request data from IndexedDB...');
 	const data = await getImage(requestKey);
 
-	if (!data || !data.data) {
+	if (!data || !data.blob) {
 		throw new Error('[Offscreen Step 1] No image data found in IndexedDB - data may have been cleared');
 	}
 
 	fileName = data.fileName || 'unknown';
-	dataSize = data.data.length;
+	dataSize = data.blob.size;
 	log(`Data loaded: ${fileName}, Size: ${formatBytes(dataSize)}`);
+	throwIfCancelled();
 
-	// 2. Setup sandbox if needed (will reuse existing if ready)
+	// 2. Setup this slot's sandbox if needed (will reuse existing if ready)
 	log('Setting up sandbox...');
-	await setupSandbox();
+	const sandboxWindow = await pool.prepare(slot);
 	log('Sandbox ready');
+	throwIfCancelled();
 
 	// 3. Send to sandbox for conversion
 	log('Sending to sandbox for conversion...');
 
-	const timeoutMs = dataSize > 10 * 1024 * 1024 ? 90000 : 60000; // 90s for >10MB base64
+	const timeoutMs = dataSize > 8 * 1024 * 1024 ? 90000 : 60000; // 90s for >8MB
 	log(`Timeout set to ${timeoutMs/1000}s based on data size`);
 
+	// The buffer is transferred (not copied) into the sandbox
+	const inputBuffer = await data.blob.arrayBuffer();
+
+	let timeoutId;
 	const result = await new Promise((resolve, reject) => {
-		pendingRequests.set(requestId, resolve);
+		pendingRequests.set(requestId, { resolve, reject });
 
 		// Timeout
-		setTimeout(() => {
+		timeoutId = setTimeout(() => {
 			if (pendingRequests.has(requestId)) {
 				pendingRequests.delete(requestId);
 				const elapsed = (performance.now() - startTime).toFixed(0);
@@ -150,95 +133,209 @@ async function processConversion(requestId) {
 			}
 		}, timeoutMs);
 
-		sandboxFrame.contentWindow.postMessage({
+		sandboxWindow.postMessage({
 			action: 'CONVERT_HEIC',
 			requestId: requestId,
-			base64Data: data.data,
-			fileName: data.fileName
-		}, '*');
-	});
+			buffer: inputBuffer,
+			mimeType: data.mimeType,
+			fileName: data.fileName,
+			settings: settings
+		}, '*', [inputBuffer]);
+	}).finally(() => clearTimeout(timeoutId));
 
 	if (!result.success) {
-		// Reset sandbox on error
-		resetSandbox();
 		throw new Error(result.error || '[Offscreen Step 3] Conversion failed in sandbox (unknown error)');
 	}
 
-	log(`Conversion successful, result size: ${formatBytes(result.data?.length || 0)}`);
+	throwIfCancelled();
 
-	// 4. Save result to IndexedDB
-	log('Saving result to IndexedDB...');
-	const resultKey = `result_${requestId}`;
-	const resultData = {
-		success: true,
-		data: result.data,
-		fileName: result.fileName
-	};
+	// A multi-image file yields one entry per image; the rest of each entry is its size report
+	const files = result.files.map(({ buffer, ...file }) => ({
+		...file,
+		blob: new Blob([buffer], { type: file.mimeType })
+	}));
+	const outputSize = files.reduce((sum, file) => sum + file.blob.size, 0);
+	log(`Conversion successful, ${files.length} file(s), result size: ${formatBytes(outputSize)}`);
 
-	await saveImage(resultKey, resultData);
+	// 4. Save result Blobs to IndexedDB; background streams them to the content script
+	log('Saving result to IndexedDB...');
+	await saveImage(`result_${requestId}`, { files, privacy: result.privacy });
 
 	const totalTime = (performance.now() - startTime).toFixed(0);
-	log(`SUCCESS - Total: ${totalTime}ms, Input: ${formatBytes(dataSize)}, Output: ${formatBytes(result.data?.length || 0)}`);
+	log(`SUCCESS - Total: ${totalTime}ms, Input: ${formatBytes(dataSize)}, Output: ${formatBytes(outputSize)}`);
 }
 
 /**
- * Process the conversion queue sequentially
+ * Post a message to the background port, ignoring a port that has already gone away.
+ * @param {chrome.runtime.Port} port
+ * @param {object} message
  */
-async function processQueue() {
-	if (isProcessing) {
-		console.log('Offscreen: Queue already processing, skipping');
-		return; // Already processing
+function postToBackground(port, message) {
+	try {
+		port.postMessage(message);
+	} catch (e) {
+		console.warn('Offscreen: Background port closed, dropping message:', message.type, message.requestId);
 	}
+}
 
-	isProcessing = true;
-	console.log(`Offscreen: Starting queue processing, ${conversionQueue.length} items`);
-
-	while (conversionQueue.length > 0) {
-		const requestId = conversionQueue.shift();
-		console.log(`Offscreen: Processing queue item ${requestId}, ${conversionQueue.length} remaining`);
-
-		try {
-			await processConversion(requestId);
-		} catch (error) {
+/**
+ * Run one queued request on a slot and push its outcome to the background.
+ * @param {{ requestId: string, port: chrome.runtime.Port, settings: object }} item
+ * @param {object} slot
+ */
+async function runConversion({ requestId, port, settings }, slot) {
+	let outcome = 'failed';
+	runningRequests.set(requestId, port);
+
+	try {
+		postToBackground(port, { type: MESSAGE_TYPES.PROGRESS, requestId, stage: PROGRESS_STAGES.STARTING });
+		await processConversion(requestId, slot, settings);
+		outcome = 'succeeded';
+
+		// Push the result notification immediately
+		postToBackground(port, {
+			type: MESSAGE_TYPES.RESULT,
+			requestId
+		});
+	} catch (error) {
+		if (error.name === 'AbortError') {
+			// Background already dropped the job; nothing to report
+			outcome = 'cancelled';
+			console.log(`Offscreen [${requestId}]: Cancelled`);
+		} else {
 			console.error(`Offscreen [${requestId}]: FAILED -`, error.message);
 			console.error('Offscreen: Full error:', error);
 
-			// Save detailed error to IndexedDB
-			const resultKey = `result_${requestId}`;
-			await saveImage(resultKey, {
+			postToBackground(port, {
+				type: MESSAGE_TYPES.ERROR,
+				requestId,
 				error: error.message,
-				errorTime: new Date().toISOString(),
-				errorStack: error.stack
+				errorTime: new Date().toISOString()
 			});
 		}
+	} finally {
+		cancelledRequests.delete(requestId);
+		runningRequests.delete(requestId);
+
+		// A failed or cancelled slot is reset by the pool; the others are unaffected
+		if (outcome === 'cancelled') {
+			pool.abort(slot);
+		} else {
+			pool.release(slot, outcome === 'succeeded');
+		}
+		processQueue();
+	}
+}
+
+/**
+ * Tell every waiting request where it stands in the queue
+ */
+function reportQueuePositions() {
+	conversionQueue.forEach(({ requestId, port }, index) => {
+		postToBackground(port, {
+			type: MESSAGE_TYPES.PROGRESS,
+			requestId,
+			stage: PROGRESS_STAGES.QUEUED,
+			position: index + 1,
+			total: conversionQueue.length
+		});
+	});
+}
+
+/**
+ * Dispatch queued requests to idle sandbox slots
+ */
+function processQueue() {
+	while (conversionQueue.length > 0) {
+		const slot = pool.acquire(conversionQueue[0].requestId);
+		if (!slot) {
+			console.log(`Offscreen: All ${pool.size} slots busy, ${conversionQueue.length} waiting`);
+			return;
+		}
+
+		const item = conversionQueue.shift();
+		console.log(`Offscreen: Dispatching ${item.requestId} to slot ${slot.id}, ${conversionQueue.length} remaining`);
+		runConversion(item, slot);
+		reportQueuePositions();
+	}
+
+	if (pool.busyCount() === 0) {
+		console.log('Offscreen: Queue empty, processing complete', pool.stats());
+	}
+}
+
+/**
+ * Cancel a request wherever it currently is: still queued, or running on a slot.
+ * @param {string} requestId
+ */
+function cancelConversion(requestId) {
+	const queuedBefore = conversionQueue.length;
+	conversionQueue = conversionQueue.filter(item => item.requestId !== requestId);
+	if (conversionQueue.length < queuedBefore) {
+		console.log(`Offscreen: Removed ${requestId} from queue`);
+		reportQueuePositions();
+		return;
+	}
+
+	if (!pool.stats().some(slot => slot.busyWith === requestId)) {
+		return;
 	}
 
-	isProcessing = false;
-	console.log('Offscreen: Queue empty, processing complete');
+	cancelledRequests.add(requestId);
+
+	// Stop waiting on the sandbox; runConversion then tears the slot down
+	const pending = pendingRequests.get(requestId);
+	if (pending) {
+		pendingRequests.delete(requestId);
+		pending.reject(new DOMException(`Request ${requestId} was cancelled`, 'AbortError'));
+	}
 }
 
 /**
  * Add a conversion request to the queue
  * @param {string} requestId
+ * @param {chrome.runtime.Port} port - Port the result is pushed back through
+ * @param {object} settings - Conversion settings sent with the request
  */
-function queueConversion(requestId) {
+function queueConversion(requestId, port, settings) {
 	console.log(`Offscreen: Queuing conversion for ${requestId}`);
-	conversionQueue.push(requestId);
+	conversionQueue.push({ requestId, port, settings });
 	processQueue(); // Start processing if not already
+	reportQueuePositions();
 }
 
-// Message listener (fire-and-forget, no response)
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-	// Only handle messages targeted at offscreen
-	if (request.target !== 'offscreen') {
-		return false;
+/**
+ * Connect to the background once the first sandbox is up and announce readiness.
+ * The background waits for this handshake instead of sleeping after createDocument.
+ */
+async function connectToBackground() {
+	try {
+		await pool.warmUp();
+	} catch (error) {
+		// Each request prepares its own slot again and reports a failure itself
+		console.error('Offscreen: Sandbox warm-up failed:', error.message);
 	}
 
-	if (request.action === 'CONVERT_HEIC') {
-		console.log('Offscreen received CONVERT_HEIC for:', request.requestId);
-		queueConversion(request.requestId);
-		return false;
-	}
-});
+	const port = chrome.runtime.connect({ name: PORT_NAMES.OFFSCREEN });
+
+	port.onMessage.addListener((message) => {
+		if (message.type === MESSAGE_TYPES.REQUEST) {
+			console.log('Offscreen received conversion request for:', message.requestId);
+			queueConversion(message.requestId, port, message.settings);
+		} else if (message.type === MESSAGE_TYPES.CANCEL) {
+			console.log('Offscreen received cancel for:', message.requestId);
+			cancelConversion(message.requestId);
+		}
+	});
+
+	port.onDisconnect.addListener(() => {
+		// The background closes or recreates this document itself when it needs it again
+		console.log('Offscreen: Background disconnected, dropping its queued requests');
+		conversionQueue = conversionQueue.filter(item => item.port !== port);
+	});
+
+	port.postMessage({ type: MESSAGE_TYPES.OFFSCREEN_READY, poolSize: pool.size });
+	console.log('Offscreen: Ready, handshake sent to background');
+}
 
-console.log('Offscreen: Ready and listening for messages');
+connectToBackground();
@@ -0,0 +1,186 @@
+import { getSettings, saveSettings } from './settings.js';
+import { getCacheStats, clearCache, trimCache } from './db.js';
+import { byteBudget } from './utils/image.js';
+import { parseOrigin, isBuiltInOrigin, originMatchPattern } from './hosts.js';
+
+const form = document.getElementById('options');
+const status = document.getElementById('status');
+const qualityValue = document.getElementById('qualityValue');
+const cacheUsage = document.getElementById('cacheUsage');
+const clearCacheButton = document.getElementById('clearCache');
+const hostList = document.getElementById('customHosts');
+const newHost = document.getElementById('newHost');
+const addHostButton = document.getElementById('addHost');
+
+/**
+ * Fills the form from the given settings.
+ * @param {object} settings
+ */
+function render(settings) {
+	for (const [key, value] of Object.entries(settings)) {
+		const field = form.elements.namedItem(key);
+		if (!field) continue;
+
+		if (field instanceof RadioNodeList) {
+			field.value = value;
+		} else if (field.type === 'checkbox') {
+			field.checked = value;
+		} else {
+			field.value = String(value);
+		}
+	}
+	qualityValue.textContent = `${Math.round(settings.quality * 100)}%`;
+	renderHosts(settings.customHosts);
+}
+
+/**
+ * Lists the custom hosts, each with a button to remove it.
+ * @param {string[]} origins
+ */
+function renderHosts(origins) {
+	hostList.replaceChildren(...origins.map((origin) => {
+		const item = document.createElement('li');
+		const name = document.createElement('span');
+		name.textContent = origin;
+		const remove = document.createElement('button');
+		remove.type = 'button';
+		remove.textContent = 'Remove';
+		remove.addEventListener('click', () => removeHost(origin));
+		item.append(name, remove);
+		return item;
+	}));
+}
+
+/**
+ * Reads one field back into a typed setting value.
+ * @param {HTMLInputElement|HTMLSelectElement} field
+ * @returns {boolean|number|string}
+ */
+function readField(field) {
+	if (field.type === 'checkbox') return field.checked;
+	if (field.type === 'number' || field.type === 'range') return Number(field.value);
+	return field.value;
+}
+
+/**
+ * Shows how much the conversion cache holds.
+ */
+async function renderCacheUsage() {
+	const { entries, bytes } = await getCacheStats();
+	cacheUsage.textContent = `${entries} ${entries === 1 ? 'image' : 'images'}, ${(bytes / 1000 / 1000).toFixed(1)} MB`;
+	clearCacheButton.disabled = entries === 0;
+}
+
+let statusTimer = null;
+
+/**
+ * Shows a short-lived status message.
+ * @param {string} message
+ */
+function showStatus(message) {
+	status.textContent = message;
+	clearTimeout(statusTimer);
+	statusTimer = setTimeout(() => { status.textContent = ''; }, 1500);
+}
+
+form.addEventListener('change', async (event) => {
+	const field = event.target;
+	if (!field.name) return;
+
+	try {
+		// Saved values are normalized, so re-render to show what actually took effect
+		const settings = await saveSettings({ [field.name]: readField(field) });
+		render(settings);
+		showStatus('Saved');
+
+		// A smaller cap applies right away rather than at the next conversion
+		if (field.name === 'cacheSizeMB') {
+			await trimCache(byteBudget(settings.cacheSizeMB));
+			await renderCacheUsage();
+		}
+	} catch (error) {
+		console.error('Failed to save settings:', error);
+		showStatus(`Could not save: ${error.message}`);
+	}
+});
+
+/**
+ * Asks for permission to run on the typed host and adds it. The background registers the
+ * content script there once the setting changes.
+ */
+async function addHost() {
+	const origin = parseOrigin(newHost.value);
+	if (!origin && /^\s*http:/i.test(newHost.value)) {
+		showStatus('Only https hosts are supported');
+		return;
+	}
+	if (!origin) {
+		showStatus(`Not a valid host: ${newHost.value}`);
+		return;
+	}
+	if (isBuiltInOrigin(origin)) {
+		showStatus(`${origin} is always covered`);
+		return;
+	}
+
+	try {
+		// Has to be the first await: the request is only allowed during the click
+		const granted = await chrome.permissions.request({ origins: [originMatchPattern(origin)] });
+		if (!granted) {
+			showStatus(`Permission for ${origin} was not granted`);
+			return;
+		}
+
+		const { customHosts } = await getSettings();
+		render(await saveSettings({ customHosts: [...customHosts, origin] }));
+		newHost.value = '';
+		showStatus(`Added ${origin}`);
+	} catch (error) {
+		console.error('Failed to add host:', error);
+		showStatus(`Could not add ${origin}: ${error.message}`);
+	}
+}
+
+/**
+ * Removes a custom host and gives up its permission.
+ * @param {string} origin
+ */
+async function removeHost(origin) {
+	try {
+		const { customHosts } = await getSettings();
+		render(await saveSettings({ customHosts: customHosts.filter(host => host !== origin) }));
+		await chrome.permissions.remove({ origins: [originMatchPattern(origin)] });
+		showStatus(`Removed ${origin}`);
+	} catch (error) {
+		console.error('Failed to remove host:', error);
+		showStatus(`Could not remove ${origin}: ${error.message}`);
+	}
+}
+
+addHostButton.addEventListener('click', addHost);
+newHost.addEventListener('keydown', (event) => {
+	if (event.key === 'Enter') {
+		event.preventDefault();
+		addHost();
+	}
+});
+
+clearCacheButton.addEventListener('click', async () => {
+	try {
+		await clearCache();
+		await renderCacheUsage();
+		showStatus('Cache cleared');
+	} catch (error) {
+		console.error('Failed to clear cache:', error);
+		showStatus(`Could not clear cache: ${error.message}`);
+	}
+});
+
+form.addEventListener('input', (event) => {
+	if (event.target.name === 'quality') {
+		qualityValue.textContent = `${Math.round(Number(event.target.value) * 100)}%`;
+	}
+});
+
+getSettings().then(render);
+renderCacheUsage().catch(error => console.error('Failed to read cache usage:', error));
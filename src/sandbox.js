@@ -1,4 +1,23 @@
 import heic2any from 'heic2any';
+import { PROGRESS_STAGES } from './messaging.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+import { extractExif, extractXmp, countTopLevelImages, readColorProperty } from './utils/heif.js';
+import { colorTransformFor, convertPixels } from './utils/color.js';
+import { insertExifIntoJpeg } from './utils/exif.js';
+import { scrubExif, createPrivacyReport } from './utils/privacy.js';
+import {
+	OUTPUT_TYPES,
+	numberedFileName,
+	resizeTarget,
+	downscaleSteps,
+	byteBudget,
+	nextBudgetAttempt,
+	describeOutput
+} from './utils/image.js';
+import { analyzePixels, chooseOutputFormat, sampleRowStep } from './utils/imageAnalysis.js';
+import { detectFormat, DECODERS } from './formats.js';
+import { SNIFF_LENGTH } from './utils/sniff.js';
+import { decodeTiff } from './utils/tiff.js';
 
 // Send logs to parent (offscreen) so they appear in the same console
 function logToParent(message, level = 'log') {
@@ -12,20 +31,6 @@ function logToParent(message, level = 'log') {
 
 logToParent(`Sandbox: Script loaded, heic2any type: ${typeof heic2any}`);
 
-/**
- * BlobをBase64文字列に変換する
- * @param {Blob} blob
- * @returns {Promise<string>}
- */
-function blobToBase64(blob) {
-	return new Promise((resolve, reject) => {
-		const reader = new FileReader();
-		reader.onloadend = () => resolve(reader.result);
-		reader.onerror = () => reject(new Error('Failed to read blob'));
-		reader.readAsDataURL(blob);
-	});
-}
-
 /**
  * エラーメッセージを抽出する
  * @param {any} error
@@ -58,6 +63,171 @@ function withTimeout(promise, timeoutMs, operationName) {
 	]);
 }
 
+/**
+ * Reads the sampled rows of a canvas for analyzePixels(), without copying the whole image.
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @returns {object}
+ */
+function analyzeCanvas(ctx, width, height) {
+	const step = sampleRowStep(width, height);
+	const rows = Math.ceil(height / step);
+	const sample = new Uint8ClampedArray(rows * width * 4);
+	for (let r = 0; r < rows; r++) {
+		sample.set(ctx.getImageData(0, r * step, width, 1).data, r * width * 4);
+	}
+	return analyzePixels(sample, width, rows);
+}
+
+/**
+ * Decoders for the formats in the registry (formats.js) that heic2any does not handle.
+ * Each returns the images of a file as something createImageBitmap() accepts.
+ */
+const IMAGE_DECODERS = {
+	// createImageBitmap() in renderOutput() does the decoding
+	[DECODERS.NATIVE]: async (blob) => [blob],
+	[DECODERS.TIFF]: async (blob, settings) => decodeTiff(await blob.arrayBuffer(), { allPages: settings.multiImage !== 'first' })
+		.map(({ data, width, height }) => new ImageData(data, width, height))
+};
+
+/**
+ * Draws an image onto a new canvas of the given size in a single pass.
+ * @param {ImageBitmap|OffscreenCanvas} source
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} [willReadFrequently] - The pixels are analysed afterwards
+ * @returns {{ canvas: OffscreenCanvas, ctx: OffscreenCanvasRenderingContext2D }}
+ */
+function drawOnce(source, width, height, willReadFrequently = false) {
+	const canvas = new OffscreenCanvas(width, height);
+	const ctx = canvas.getContext('2d', { willReadFrequently });
+	ctx.imageSmoothingQuality = 'high';
+	ctx.drawImage(source, 0, 0, width, height);
+	return { canvas, ctx };
+}
+
+/**
+ * Draws an image scaled to the given size. Large reductions go through halving steps
+ * (see downscaleSteps): a single drawImage samples too few source pixels and aliases.
+ * @param {ImageBitmap|OffscreenCanvas} source
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ canvas: OffscreenCanvas, ctx: OffscreenCanvasRenderingContext2D }}
+ */
+function drawScaled(source, width, height) {
+	let current = source;
+	for (const step of downscaleSteps(source.width, source.height, width, height)) {
+		current = drawOnce(current, step.width, step.height).canvas;
+	}
+	return drawOnce(current, width, height);
+}
+
+/**
+ * Converts the colours of a drawing in place (see utils/color.js).
+ * @param {{ canvas: OffscreenCanvas, ctx: OffscreenCanvasRenderingContext2D }} drawing
+ * @param {number[][]} matrix - Linear RGB -> linear sRGB
+ */
+function convertColors({ canvas, ctx }, matrix) {
+	const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+	convertPixels(image.data, matrix);
+	ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Encodes a canvas in the output format.
+ * @param {{ canvas: OffscreenCanvas, ctx: OffscreenCanvasRenderingContext2D }} drawing
+ * @param {string} format - 'jpeg' or 'png'
+ * @param {number} quality
+ * @returns {Promise<Blob>}
+ */
+function encodeCanvas({ canvas, ctx }, format, quality) {
+	if (format === 'jpeg') {
+		// JPEG has no alpha; flatten onto white rather than the encoder's black
+		ctx.globalCompositeOperation = 'destination-over';
+		ctx.fillStyle = '#fff';
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+	}
+	return canvas.convertToBlob({ type: OUTPUT_TYPES[format].mimeType, quality });
+}
+
+/**
+ * Resizes the decoded image (retina halving, then maxDimension) and encodes the output.
+ * In 'auto' mode the pixels decide between PNG and JPEG; they also decide what counts as
+ * a screenshot for retinaHalving. An output over `budget` bytes is re-encoded at lower
+ * quality steps, then scaled down, until it fits.
+ * @param {Blob|ImageData} decoded - Lossless PNG from heic2any, a natively decodable file, or pixels
+ * @param {object} settings
+ * @param {object} options
+ * @param {number} options.budget - Bytes allowed for the output; 0 means no limit
+ * @param {number[][]|null} [options.colorMatrix] - Gamut conversion to sRGB, applied at full resolution
+ * @returns {Promise<{ blob: Blob, format: string, analysis: object|null, width: number, height: number, quality: number|null, reduced: boolean, overBudget: boolean }>}
+ */
+async function renderOutput(decoded, settings, { budget, colorMatrix = null }) {
+	const bitmap = await createImageBitmap(decoded);
+
+	try {
+		// Colours are converted and the pixels analysed at full resolution; that copy then
+		// is the source for resizing
+		const needsAnalysis = settings.outputFormat === 'auto' || settings.retinaHalving === 'screenshots';
+		let original = null;
+		let analysis = null;
+		if (needsAnalysis || colorMatrix) {
+			original = drawOnce(bitmap, bitmap.width, bitmap.height, true);
+			if (colorMatrix) {
+				convertColors(original, colorMatrix);
+			}
+			if (needsAnalysis) {
+				analysis = analyzeCanvas(original.ctx, bitmap.width, bitmap.height);
+			}
+		}
+		const source = original ? original.canvas : bitmap;
+		const format = settings.outputFormat === 'auto' ? chooseOutputFormat(analysis) : settings.outputFormat;
+
+		// Resize stage
+		const halve = settings.retinaHalving === 'always' || (settings.retinaHalving === 'screenshots' && analysis.isScreenshot);
+		const { width, height } = resizeTarget(bitmap.width, bitmap.height, { maxDimension: settings.maxDimension, halve });
+		const resized = width !== bitmap.width || height !== bitmap.height;
+		let drawing = original && !resized ? original : drawScaled(source, width, height);
+
+		let attempt = { quality: settings.quality, width, height };
+		const describe = (blob) => ({
+			blob,
+			format,
+			analysis,
+			width: attempt.width,
+			height: attempt.height,
+			quality: format === 'jpeg' ? attempt.quality : null,
+			reduced: attempt.quality !== settings.quality || attempt.width !== width,
+			overBudget: budget > 0 && blob.size > budget
+		});
+
+		// heic2any's PNG already is the output when nothing was scaled or recoloured
+		if (format === 'png' && !resized && !colorMatrix && decoded.type === 'image/png' && !(budget > 0 && decoded.size > budget)) {
+			return describe(decoded);
+		}
+
+		let blob = await encodeCanvas(drawing, format, attempt.quality);
+		while (budget > 0 && blob.size > budget) {
+			const next = nextBudgetAttempt(format, attempt, blob.size, budget);
+			if (!next) break;
+
+			if (next.width !== attempt.width) {
+				drawing = drawScaled(source, next.width, next.height);
+			}
+			attempt = next;
+			blob = await encodeCanvas(drawing, format, attempt.quality);
+		}
+
+		return describe(blob);
+	} finally {
+		bitmap.close();
+	}
+}
+
+// Seconds each image is shown in an animated GIF made from a multi-image file
+const GIF_FRAME_INTERVAL_SECONDS = 0.5;
+
 // Track if conversion is in progress to prevent duplicate processing
 let isConverting = false;
 
@@ -75,19 +245,36 @@ window.addEventListener('message', async (event) => {
 	logToParent(`Sandbox received message: ${JSON.stringify(event.data?.action)}`);
 
 	if (event.data.action === 'CONVERT_HEIC') {
-		const { base64Data, fileName, requestId } = event.data;
+		const { buffer, mimeType, fileName, requestId } = event.data;
+		const settings = { ...DEFAULT_SETTINGS, ...event.data.settings };
 		const startTime = performance.now();
 		let stepStartTime = startTime;
 		let blobSize = 0;
 
-		// Prevent duplicate conversions
+		// Each sandbox in the offscreen pool converts one image at a time; refuse
+		// (rather than silently drop) anything sent while busy so the caller can requeue
 		if (isConverting) {
-			logToParent(`Sandbox: Already converting, ignoring duplicate request: ${requestId}`, 'warn');
+			logToParent(`Sandbox: Already converting, rejecting request: ${requestId}`, 'warn');
+			event.source.postMessage({
+				action: 'CONVERT_RESULT',
+				requestId: requestId,
+				success: false,
+				error: 'Sandbox busy with another conversion'
+			}, '*');
 			return;
 		}
 
 		isConverting = true;
 
+		// Structured progress for the placeholder, alongside the detailed logs
+		const reportProgress = (stage) => {
+			event.source.postMessage({
+				action: 'CONVERT_PROGRESS',
+				requestId: requestId,
+				stage: stage
+			}, '*');
+		};
+
 		const logStep = (step, details = '') => {
 			const elapsed = (performance.now() - stepStartTime).toFixed(0);
 			const total = (performance.now() - startTime).toFixed(0);
@@ -96,77 +283,176 @@ window.addEventListener('message', async (event) => {
 		};
 
 		try {
-			// Step 1: Convert base64 to blob
-			logStep('Fetching blob from base64...');
-			const response = await fetch(base64Data);
-			const blob = await response.blob();
+			// Step 1: Wrap the transferred buffer in a blob
+			const blob = new Blob([buffer], { type: mimeType || 'image/heic' });
 			blobSize = blob.size;
-			logStep('Blob fetched', `Size: ${formatBytes(blob.size)}, Type: ${blob.type}`);
+			logStep('Blob created', `Size: ${formatBytes(blob.size)}, Type: ${blob.type}`);
 
 			// Validate blob
 			if (blob.size === 0) {
-				throw new Error('[Step 1] Empty blob received - base64 data may be corrupted');
+				throw new Error('[Step 1] Empty blob received - image data may be corrupted');
 			}
 
-			// Debug: Check blob header (HEIC files start with ftyp box)
-			const headerBytes = await blob.slice(0, 12).arrayBuffer();
-			const header = new Uint8Array(headerBytes);
-			const headerHex = Array.from(header).map(b => b.toString(16).padStart(2, '0')).join(' ');
+			// Identify the format from its bytes; the registry names the decoder
+			const header = new Uint8Array(await blob.slice(0, SNIFF_LENGTH).arrayBuffer());
+			const headerHex = Array.from(header.subarray(0, 12)).map(b => b.toString(16).padStart(2, '0')).join(' ');
 			logToParent(`Sandbox [${requestId}]: Blob header (first 12 bytes): ${headerHex}`);
 
-			// Check if it looks like a valid HEIC file (should contain 'ftyp' at offset 4)
-			const ftyp = String.fromCharCode(header[4], header[5], header[6], header[7]);
-			logToParent(`Sandbox [${requestId}]: File signature: "${ftyp}" (expected: "ftyp")`);
+			const inputFormat = detectFormat(header);
+			if (!inputFormat?.decoder) {
+				throw new Error(`[Step 1] Unsupported image data${inputFormat ? ` (${inputFormat.label} needs no conversion)` : ''}`);
+			}
+			logToParent(`Sandbox [${requestId}]: Detected ${inputFormat.label}, decoder: ${inputFormat.decoder}`);
+			const isHeif = inputFormat.decoder === DECODERS.HEIC2ANY;
+
+			// HEIF-structured files (HEIC, AVIF) carry Exif/XMP items. Decoding never copies them,
+			// so whatever the metadata setting lets through is written back explicitly.
+			const source = await blob.arrayBuffer();
+			const sourceExif = extractExif(source);
+			const sourceXmp = extractXmp(source);
+			const exif = scrubExif(sourceExif, settings.metadata);
+			let embeddedExif = null;
 
-			// Step 2: Convert HEIC to JPEG with timeout
+			// An animation only makes sense for files that actually hold several images
+			const makeGif = isHeif && settings.multiImage === 'gif' && countTopLevelImages(source) > 1;
+
+			// libheif returns the coded values; a Display P3 photo has to be taken to sRGB.
+			// Natively decoded formats are colour-managed by the browser already.
+			const colorTransform = isHeif && !makeGif ? colorTransformFor(readColorProperty(source)) : null;
+			if (colorTransform) {
+				logToParent(`Sandbox [${requestId}]: Converting colours from ${colorTransform.source} to sRGB`);
+			}
+
+			// Step 2: Decode with timeout. heic2any can encode the output itself; when the
+			// pixels are needed (automatic format, resizing) it decodes to lossless PNG and,
+			// like every other decoder, the final format is encoded from a canvas.
+			reportProgress(PROGRESS_STAGES.DECODING);
+			const needsCanvas = !makeGif && (!isHeif || settings.outputFormat === 'auto' || settings.maxDimension > 0 || settings.retinaHalving !== 'off' || colorTransform !== null);
 			const timeoutMs = blob.size > 10 * 1024 * 1024 ? 60000 : 30000; // 60s for >10MB
-			logStep(`Starting heic2any (${timeoutMs/1000}s timeout)`, `Input: ${formatBytes(blob.size)}, heic2any=${typeof heic2any}`);
+			let frames;
 
-			logToParent(`Sandbox [${requestId}]: Calling heic2any()...`);
+			if (isHeif) {
+				const decodeType = makeGif ? 'image/gif' : needsCanvas ? 'image/png' : OUTPUT_TYPES[settings.outputFormat].mimeType;
+				logStep(`Starting heic2any (${timeoutMs/1000}s timeout)`, `Input: ${formatBytes(blob.size)}, heic2any=${typeof heic2any}`);
 
-			// Wrap heic2any with additional error handling
-			let conversionPromise;
-			try {
-				conversionPromise = heic2any({
-					blob: blob,
-					toType: 'image/jpeg',
-					quality: 0.8,
-				});
-				logToParent(`Sandbox [${requestId}]: heic2any() returned promise successfully`);
-			} catch (syncError) {
-				logToParent(`Sandbox [${requestId}]: heic2any() threw sync error: ${syncError}`, 'error');
-				throw syncError;
+				logToParent(`Sandbox [${requestId}]: Calling heic2any()...`);
+
+				// Wrap heic2any with additional error handling
+				let conversionPromise;
+				try {
+					conversionPromise = heic2any({
+						blob: blob,
+						toType: decodeType,
+						quality: settings.quality,
+						gifInterval: GIF_FRAME_INTERVAL_SECONDS,
+						// Every image in the file, not just the primary one
+						multiple: settings.multiImage === 'all' || undefined
+					});
+					logToParent(`Sandbox [${requestId}]: heic2any() returned promise successfully`);
+				} catch (syncError) {
+					logToParent(`Sandbox [${requestId}]: heic2any() threw sync error: ${syncError}`, 'error');
+					throw syncError;
+				}
+
+				logToParent(`Sandbox [${requestId}]: Awaiting heic2any promise...`);
+
+				const conversionResult = await withTimeout(
+					conversionPromise,
+					timeoutMs,
+					`heic2any conversion (input: ${formatBytes(blob.size)})`
+				);
+				frames = Array.isArray(conversionResult) ? conversionResult : [conversionResult];
+			} else {
+				logStep(`Starting ${inputFormat.decoder} decoder (${timeoutMs/1000}s timeout)`, `Input: ${formatBytes(blob.size)}`);
+				frames = await withTimeout(
+					IMAGE_DECODERS[inputFormat.decoder](blob, settings),
+					timeoutMs,
+					`${inputFormat.label} decoding (input: ${formatBytes(blob.size)})`
+				);
 			}
+			logStep(`${inputFormat.decoder} complete`, `${frames.length} image(s)`);
 
-			logToParent(`Sandbox [${requestId}]: Awaiting heic2any promise...`);
+			// Step 3: Process results. In automatic mode the primary image picks the
+			// format for all of them, so a burst never comes back half PNG, half JPEG.
+			reportProgress(PROGRESS_STAGES.ENCODING);
+			// Per output file; the EXIF segment (marker, length, "Exif\0\0") is added after encoding
+			const budget = byteBudget(settings.maxFileSizeMB, exif ? exif.length + 10 : 0);
+			const outputs = [];
+			let format = makeGif ? 'gif' : settings.outputFormat;
+			for (const frame of frames) {
+				let result = {
+					blob: frame,
+					width: null,
+					height: null,
+					quality: format === 'jpeg' ? settings.quality : null,
+					reduced: false,
+					overBudget: budget > 0 && frame.size > budget
+				};
 
-			const conversionResult = await withTimeout(
-				conversionPromise,
-				timeoutMs,
-				`heic2any conversion (input: ${formatBytes(blob.size)})`
-			);
-			logStep('heic2any complete');
+				// heic2any may have encoded the output itself; it is only redrawn if it came out too large
+				if (needsCanvas || (result.overBudget && format !== 'gif')) {
+					result = await renderOutput(frame, { ...settings, outputFormat: outputs.length > 0 ? format : settings.outputFormat }, {
+						budget,
+						colorMatrix: colorTransform?.matrix
+					});
+					format = result.format;
+					const reason = result.analysis
+						? `alpha: ${result.analysis.hasAlpha}, flat: ${(result.analysis.flatNeighbourRatio * 100).toFixed(0)}%, colors: ${result.analysis.distinctColors}`
+						: 'user setting';
+					logStep(`Rendered image ${outputs.length + 1}`, `Format: ${format} (${reason}), ${describeOutput(result)}, Max dimension: ${settings.maxDimension || 'none'}, Retina halving: ${settings.retinaHalving}`);
+				}
+				if (result.reduced) {
+					logStep(`Fitted image ${outputs.length + 1} to budget`, `${describeOutput(result)}, ${formatBytes(result.blob.size)} of ${formatBytes(budget)}`);
+				}
+				if (result.overBudget) {
+					logToParent(`Sandbox [${requestId}]: Image ${outputs.length + 1} is still ${formatBytes(result.blob.size)}, over the ${formatBytes(budget)} budget`, 'warn');
+				}
 
-			// Step 3: Process result
-			const resultBlob = Array.isArray(conversionResult) ? conversionResult[0] : conversionResult;
-			logStep('Result blob created', `Size: ${formatBytes(resultBlob.size)}, Compression: ${((1 - resultBlob.size / blob.size) * 100).toFixed(1)}%`);
+				// Read result bytes
+				let resultBuffer = await result.blob.arrayBuffer();
+				if (exif && format === 'jpeg') {
+					const jpeg = new Uint8Array(resultBuffer);
+					const withExif = insertExifIntoJpeg(jpeg, exif);
+					if (withExif !== jpeg) {
+						resultBuffer = withExif.buffer;
+						embeddedExif = exif;
+						logStep('EXIF copied', `${formatBytes(exif.length)} (${settings.metadata})`);
+					}
+				}
+				outputs.push({
+					buffer: resultBuffer,
+					width: result.width,
+					height: result.height,
+					quality: result.quality,
+					reduced: result.reduced,
+					overBudget: result.overBudget
+				});
+			}
 
-			// Step 4: Convert back to base64
-			logStep('Converting result to base64...');
-			const resultBase64 = await blobToBase64(resultBlob);
-			logStep('Base64 conversion complete', `Length: ${formatBytes(resultBase64.length)}`);
+			// Final quality and dimensions travel back with each file for the completion notice
+			const output = OUTPUT_TYPES[format];
+			const files = outputs.map(({ buffer, ...report }, index) => ({
+				buffer,
+				mimeType: output.mimeType,
+				fileName: numberedFileName(fileName, output.extension, index, outputs.length),
+				...report
+			}));
+			const outputSize = outputs.reduce((sum, o) => sum + o.buffer.byteLength, 0);
+			const privacy = createPrivacyReport({ exif: sourceExif, xmp: sourceXmp, embedded: embeddedExif });
+			logStep('Privacy report', `removed: ${privacy.removed.join(', ') || 'none'}, kept: ${privacy.kept.join(', ') || 'none'}`);
+			logStep('Result buffers ready', `${files.length} file(s), Length: ${formatBytes(outputSize)}, Compression: ${((1 - outputSize / blob.size) * 100).toFixed(1)}%`);
 
-			// Step 5: Send result
+			// Step 4: Send result (buffers are transferred, not copied)
 			event.source.postMessage({
 				action: 'CONVERT_RESULT',
 				requestId: requestId,
 				success: true,
-				data: resultBase64,
-				fileName: fileName.replace(/\.heic$/i, '.jpg')
-			}, '*');
+				files: files,
+				privacy: privacy
+			}, '*', outputs.map(o => o.buffer));
 
 			const totalTime = (performance.now() - startTime).toFixed(0);
-			logToParent(`Sandbox [${requestId}]: SUCCESS - Total: ${totalTime}ms, Input: ${formatBytes(blobSize)}, Output: ${formatBytes(resultBlob.size)}`);
+			logToParent(`Sandbox [${requestId}]: SUCCESS - Total: ${totalTime}ms, Input: ${formatBytes(blobSize)}, Output: ${formatBytes(outputSize)}`);
 
 		} catch (error) {
 			const totalTime = (performance.now() - startTime).toFixed(0);
@@ -0,0 +1,203 @@
+/**
+ * Pool of sandbox iframes used by the offscreen document.
+ *
+ * Each slot is an independent sandbox.html iframe with its own heic2any/WASM heap,
+ * so N slots can convert N images in parallel. A slot that fails or times out is
+ * torn down and recreated on its own; the other slots keep working.
+ */
+
+// Upper bound regardless of hardware; each slot holds a full decoded image in memory
+export const MAX_POOL_SIZE = 4;
+// Device memory to reserve per slot (decoded 48MP image + WASM heap, with headroom for the browser)
+const MEMORY_PER_SLOT_GB = 2;
+// Failures in a row before a slot is reported as unhealthy
+const MAX_CONSECUTIVE_FAILURES = 3;
+const SANDBOX_READY_TIMEOUT_MS = 10000;
+
+/**
+ * Decide how many sandbox slots to run.
+ * @param {number} [hardwareConcurrency] - navigator.hardwareConcurrency
+ * @param {number} [deviceMemory] - navigator.deviceMemory in GB (Chrome rounds it down, max 8)
+ * @returns {number}
+ */
+export function getPoolSize(hardwareConcurrency, deviceMemory) {
+	const cores = hardwareConcurrency || 2;
+	const memoryGB = deviceMemory || 4;
+
+	// Leave one core for the browser itself
+	const byCpu = cores - 1;
+	const byMemory = Math.floor(memoryGB / MEMORY_PER_SLOT_GB);
+
+	return Math.max(1, Math.min(MAX_POOL_SIZE, byCpu, byMemory));
+}
+
+/**
+ * Creates a sandbox pool.
+ * @param {object} options
+ * @param {number} options.size - Number of slots
+ * @param {string} options.url - URL of sandbox.html
+ * @returns {object}
+ */
+export function createSandboxPool({ size, url }) {
+	const slots = Array.from({ length: size }, (_, id) => ({
+		id,
+		frame: null,
+		ready: null,
+		isReady: false,
+		busyWith: null,
+		consecutiveFailures: 0,
+		completed: 0
+	}));
+
+	/**
+	 * Tear down a slot's iframe so its WASM heap is released.
+	 * @param {object} slot
+	 */
+	function resetSlot(slot) {
+		if (slot.frame) {
+			slot.frame.remove();
+		}
+		slot.frame = null;
+		slot.ready = null;
+		slot.isReady = false;
+		console.log(`Offscreen: Sandbox slot ${slot.id} reset`);
+	}
+
+	/**
+	 * Create the slot's iframe if needed and wait until its sandbox is ready.
+	 * @param {object} slot
+	 * @returns {Promise<void>}
+	 */
+	function setupSlot(slot) {
+		if (slot.ready) {
+			return slot.ready;
+		}
+
+		slot.frame = document.createElement('iframe');
+		slot.frame.src = url;
+		slot.frame.style.display = 'none';
+		slot.frame.dataset.slot = String(slot.id);
+		document.body.appendChild(slot.frame);
+
+		slot.ready = new Promise((resolve, reject) => {
+			const frame = slot.frame;
+
+			const readyHandler = (event) => {
+				if (event.source === frame.contentWindow && event.data?.action === 'SANDBOX_READY') {
+					console.log(`Offscreen: Sandbox slot ${slot.id} is ready`);
+					slot.isReady = true;
+					clearTimeout(timer);
+					window.removeEventListener('message', readyHandler);
+					resolve();
+				}
+			};
+			window.addEventListener('message', readyHandler);
+
+			// A sandbox that never says hello is broken; fail instead of guessing
+			const timer = setTimeout(() => {
+				window.removeEventListener('message', readyHandler);
+				if (slot.frame === frame) {
+					resetSlot(slot);
+				}
+				reject(new Error(`[Offscreen] Sandbox slot ${slot.id} did not become ready within ${SANDBOX_READY_TIMEOUT_MS}ms`));
+			}, SANDBOX_READY_TIMEOUT_MS);
+		});
+
+		return slot.ready;
+	}
+
+	return {
+		size,
+
+		/**
+		 * Reserve an idle slot for a request.
+		 * @param {string} requestId
+		 * @returns {object|null} - The slot, or null if all slots are busy
+		 */
+		acquire(requestId) {
+			// Prefer the healthiest idle slot
+			const slot = slots
+				.filter(s => s.busyWith === null)
+				.sort((a, b) => a.consecutiveFailures - b.consecutiveFailures)[0];
+			if (!slot) return null;
+			slot.busyWith = requestId;
+			return slot;
+		},
+
+		/**
+		 * Make sure the slot has a live, ready sandbox and return its window.
+		 * @param {object} slot
+		 * @returns {Promise<Window>}
+		 */
+		async prepare(slot) {
+			await setupSlot(slot);
+			return slot.frame.contentWindow;
+		},
+
+		/**
+		 * Start the first slot's sandbox ahead of any request.
+		 * @returns {Promise<void>}
+		 */
+		warmUp() {
+			return setupSlot(slots[0]);
+		},
+
+		/**
+		 * Give a slot back to the pool, recording how the conversion went.
+		 * A failed slot is reset so the next request gets a fresh sandbox.
+		 * @param {object} slot
+		 * @param {boolean} succeeded
+		 */
+		release(slot, succeeded) {
+			slot.busyWith = null;
+
+			if (succeeded) {
+				slot.consecutiveFailures = 0;
+				slot.completed++;
+				return;
+			}
+
+			slot.consecutiveFailures++;
+			if (slot.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+				console.warn(`Offscreen: Sandbox slot ${slot.id} failed ${slot.consecutiveFailures} times in a row`);
+			}
+			resetSlot(slot);
+		},
+
+		/**
+		 * Free a slot whose conversion was cancelled. The iframe is torn down,
+		 * which stops heic2any mid-decode; this does not count as a failure.
+		 * @param {object} slot
+		 */
+		abort(slot) {
+			slot.busyWith = null;
+			resetSlot(slot);
+		},
+
+		/**
+		 * Find which slot a message came from.
+		 * @param {MessageEventSource} source
+		 * @returns {object|undefined}
+		 */
+		slotFor(source) {
+			return slots.find(s => s.frame && s.frame.contentWindow === source);
+		},
+
+		/**
+		 * @returns {number} - Slots currently converting
+		 */
+		busyCount() {
+			return slots.filter(s => s.busyWith !== null).length;
+		},
+
+		/**
+		 * Per-slot health snapshot for logging.
+		 * @returns {Array<object>}
+		 */
+		stats() {
+			return slots.map(({ id, isReady, busyWith, consecutiveFailures, completed }) => ({
+				id, isReady, busyWith, consecutiveFailures, completed
+			}));
+		}
+	};
+}
@@ -0,0 +1,170 @@
+/**
+ * User settings, stored in chrome.storage.sync and edited on the options page.
+ */
+
+import { parseOrigin, isBuiltInOrigin } from './hosts.js';
+
+export const OUTPUT_FORMATS = ['auto', 'jpeg', 'png'];
+export const METADATA_MODES = ['strip', 'preserve', 'keep'];
+export const MULTI_IMAGE_MODES = ['all', 'first', 'gif'];
+export const RETINA_HALVING_MODES = ['off', 'screenshots', 'always'];
+
+export const DEFAULT_SETTINGS = {
+	// Which events the content script converts on
+	convertOnPaste: true,
+	convertOnDrop: true,
+	// and on files picked through a file input (GitHub's "Attach files" dialog)
+	convertOnFileInput: true,
+	// Origins besides github.com to run on (GitHub Enterprise Server, custom domains);
+	// each needs its host permission granted, see hosts.js
+	customHosts: [],
+	// Output image: 'auto' picks PNG for transparency/screenshots and JPEG for photos;
+	// 'jpeg' or 'png' override the choice
+	outputFormat: 'auto',
+	// JPEG quality, 0.1 - 1 (ignored for PNG)
+	quality: 0.8,
+	// Longest edge of the output in pixels; 0 keeps the original size
+	maxDimension: 0,
+	// Treat images as 2x (Retina) and halve them before maxDimension applies:
+	// 'screenshots' only halves images the pixel analysis takes for screenshots
+	retinaHalving: 'off',
+	// Byte budget per output file in MB (GitHub rejects images over 10 MB). Larger results
+	// are re-encoded at lower quality, then scaled down, until they fit; 0 turns this off
+	maxFileSizeMB: 10,
+	// Name of each converted file, without extension; tokens are listed in utils/fileName.js
+	fileNameTemplate: '{name}',
+	// Files holding several images (bursts, collections): 'all' uploads every image
+	// with a numbered name, 'first' only the primary one, 'gif' animates them
+	multiImage: 'all',
+	// 'strip' drops all metadata, 'preserve' keeps only the capture date and orientation,
+	// 'keep' copies the original EXIF; the last two apply to JPEG output (see utils/privacy.js)
+	metadata: 'strip',
+	// Space for converted images kept to make re-pasting the same file instant, in MB; 0 turns
+	// the cache off
+	cacheSizeMB: 100,
+	// Close the offscreen document (and free the heic2any WASM heap) after this long without work
+	offscreenIdleSeconds: 60
+};
+
+/**
+ * Coerces stored values into valid settings. Anything out of range or of the
+ * wrong type falls back to its default, so a bad sync value can never reach the sandbox.
+ * @param {object} values
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+export function normalizeSettings(values) {
+	const settings = { ...DEFAULT_SETTINGS };
+
+	for (const key of Object.keys(DEFAULT_SETTINGS)) {
+		if (values[key] !== undefined && typeof values[key] === typeof DEFAULT_SETTINGS[key]) {
+			settings[key] = values[key];
+		}
+	}
+
+	if (!OUTPUT_FORMATS.includes(settings.outputFormat)) {
+		settings.outputFormat = DEFAULT_SETTINGS.outputFormat;
+	}
+	if (!METADATA_MODES.includes(settings.metadata)) {
+		settings.metadata = DEFAULT_SETTINGS.metadata;
+	}
+	if (!MULTI_IMAGE_MODES.includes(settings.multiImage)) {
+		settings.multiImage = DEFAULT_SETTINGS.multiImage;
+	}
+	if (!RETINA_HALVING_MODES.includes(settings.retinaHalving)) {
+		settings.retinaHalving = DEFAULT_SETTINGS.retinaHalving;
+	}
+	if (!Number.isFinite(settings.quality)) {
+		settings.quality = DEFAULT_SETTINGS.quality;
+	}
+	settings.quality = Math.min(1, Math.max(0.1, settings.quality));
+	if (!Number.isFinite(settings.maxDimension) || settings.maxDimension < 0) {
+		settings.maxDimension = DEFAULT_SETTINGS.maxDimension;
+	}
+	settings.maxDimension = Math.floor(settings.maxDimension);
+	if (!Number.isFinite(settings.maxFileSizeMB) || settings.maxFileSizeMB < 0) {
+		settings.maxFileSizeMB = DEFAULT_SETTINGS.maxFileSizeMB;
+	}
+	if (!Number.isFinite(settings.cacheSizeMB) || settings.cacheSizeMB < 0) {
+		settings.cacheSizeMB = DEFAULT_SETTINGS.cacheSizeMB;
+	}
+	settings.customHosts = Array.isArray(settings.customHosts)
+		? [...new Set(settings.customHosts
+			.map(host => (typeof host === 'string' ? parseOrigin(host) : null))
+			.filter(origin => origin && !isBuiltInOrigin(origin)))]
+		: [];
+	settings.fileNameTemplate = settings.fileNameTemplate.trim() || DEFAULT_SETTINGS.fileNameTemplate;
+	if (!Number.isFinite(settings.offscreenIdleSeconds) || settings.offscreenIdleSeconds <= 0) {
+		settings.offscreenIdleSeconds = DEFAULT_SETTINGS.offscreenIdleSeconds;
+	}
+
+	return settings;
+}
+
+// Settings that never change the converted bytes (file names are applied by the content script)
+const NON_CONVERSION_SETTINGS = [
+	'convertOnPaste', 'convertOnDrop', 'convertOnFileInput', 'customHosts',
+	'fileNameTemplate', 'cacheSizeMB', 'offscreenIdleSeconds'
+];
+
+/**
+ * The settings that shape a conversion's output, for keying cached results.
+ * Anything added to DEFAULT_SETTINGS counts unless it is listed above.
+ * @param {typeof DEFAULT_SETTINGS} settings
+ * @returns {object}
+ */
+export function conversionSettings(settings) {
+	return Object.fromEntries(
+		Object.keys(DEFAULT_SETTINGS)
+			.filter(key => !NON_CONVERSION_SETTINGS.includes(key))
+			.map(key => [key, settings[key]])
+	);
+}
+
+/**
+ * Reads the current settings, filling in defaults for anything not stored.
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function getSettings() {
+	const stored = await chrome.storage.sync.get(null);
+	return normalizeSettings(stored);
+}
+
+/**
+ * Stores changed settings. Unknown keys are dropped.
+ * @param {Partial<typeof DEFAULT_SETTINGS>} changes
+ * @returns {Promise<typeof DEFAULT_SETTINGS>} - The settings now in effect
+ */
+export async function saveSettings(changes) {
+	const settings = normalizeSettings({ ...await getSettings(), ...changes });
+	await chrome.storage.sync.set(settings);
+	return settings;
+}
+
+/**
+ * Calls `callback` with the current settings now and again whenever they change.
+ * @param {(settings: typeof DEFAULT_SETTINGS) => void} callback
+ * @returns {() => void} - Stops watching
+ */
+export function watchSettings(callback) {
+	let stopped = false;
+
+	const refresh = () => {
+		getSettings()
+			.then(settings => !stopped && callback(settings))
+			.catch(error => console.error('Failed to read settings:', error));
+	};
+
+	const onChanged = (changes, areaName) => {
+		if (areaName !== 'sync') return;
+		if (!Object.keys(changes).some(key => key in DEFAULT_SETTINGS)) return;
+		refresh();
+	};
+
+	chrome.storage.onChanged.addListener(onChanged);
+	refresh();
+
+	return () => {
+		stopped = true;
+		chrome.storage.onChanged.removeListener(onChanged);
+	};
+}
@@ -0,0 +1,25 @@
+/**
+ * Gitea and its fork Forgejo (Codeberg).
+ */
+
+import { createSiteAdapter } from './site.js';
+
+export const giteaSite = createSiteAdapter({
+	id: 'gitea',
+	label: 'Gitea',
+
+	detect(doc) {
+		const keywords = doc.querySelector('meta[name="keywords"]')?.content ?? '';
+		return /\b(gitea|forgejo)\b/i.test(keywords) || Boolean(doc.querySelector('.combo-markdown-editor'));
+	},
+
+	// /owner/repo/issues/42, /owner/repo/pulls/42
+	parsePath(pathname) {
+		const match = pathname.match(/^\/[^/]+\/([^/]+)(?:\/(?:issues|pulls)\/(\d+))?/);
+		return match && { repo: match[1], issue: match[2] };
+	},
+
+	// Every comment box is a combo-markdown-editor with its own Dropzone underneath
+	containerSelector: '.combo-markdown-editor, form',
+	editorSelector: 'textarea.markdown-text-editor, textarea'
+});
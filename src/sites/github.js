@@ -0,0 +1,27 @@
+/**
+ * github.com, its subdomains and GitHub Enterprise Server.
+ */
+
+import { createSiteAdapter } from './site.js';
+
+export const githubSite = createSiteAdapter({
+	id: 'github',
+	label: 'GitHub',
+
+	detect(doc) {
+		const { hostname } = doc.location;
+		// Enterprise Server pages carry the same meta tag under their own host name
+		return hostname === 'github.com' || hostname.endsWith('.github.com') ||
+			Boolean(doc.querySelector('meta[name="expected-hostname"]'));
+	},
+
+	// /owner/repo, /owner/repo/issues/42, /owner/repo/pull/42, /owner/repo/discussions/42
+	parsePath(pathname) {
+		const match = pathname.match(/^\/[^/]+\/([^/]+)(?:\/(?:issues|pull|discussions)\/(\d+))?/);
+		return match && { repo: match[1], issue: match[2] };
+	},
+
+	// file-attachment wraps the comment box together with its "Paste, drop, or click" picker
+	containerSelector: 'file-attachment, form',
+	editorSelector: 'textarea, [contenteditable="true"], .cm-content'
+});
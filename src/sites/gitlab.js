@@ -0,0 +1,25 @@
+/**
+ * GitLab, on gitlab.com or self-managed.
+ */
+
+import { createSiteAdapter } from './site.js';
+
+export const gitlabSite = createSiteAdapter({
+	id: 'gitlab',
+	label: 'GitLab',
+
+	detect(doc) {
+		return doc.location.hostname === 'gitlab.com' ||
+			Boolean(doc.querySelector('meta[property="og:site_name"][content="GitLab"]'));
+	},
+
+	// /group/subgroup/project/-/issues/42, /-/merge_requests/42, /-/work_items/42; groups nest
+	parsePath(pathname) {
+		const match = pathname.match(/^\/(.+?)\/-\/(?:(?:issues|merge_requests|work_items)\/(\d+))?/);
+		return match && { repo: match[1].split('/').pop(), issue: match[2] };
+	},
+
+	// The Markdown field and its Dropzone; the rich text editor is a contenteditable inside .md-area
+	containerSelector: '.md-area, .div-dropzone-wrapper',
+	editorSelector: 'textarea.js-gfm-input, [contenteditable="true"]'
+});
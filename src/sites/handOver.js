@@ -0,0 +1,90 @@
+/**
+ * Handing converted files back to the page, the way the page would have received the
+ * originals: a synthetic paste or drop carrying the new files, or a file input whose
+ * FileList now holds them. Forges built on their own upload code (GitHub's
+ * file-attachment, Dropzone on GitLab and Gitea) all pick these up unchanged.
+ */
+
+// Events dispatched here; they carry the final files and must pass through untouched
+const handedOverEvents = new WeakSet();
+
+/**
+ * Whether an event was dispatched by handOverFiles().
+ * @param {Event} event
+ * @returns {boolean}
+ */
+export function isHandedOver(event) {
+	return handedOverEvents.has(event);
+}
+
+/**
+ * Re-dispatches a paste or drop with the given files and text.
+ * @param {Event} originalEvent
+ * @param {'paste'|'drop'} eventType
+ * @param {File[]} files
+ * @param {Array<{ type: string, data: string }>} strings
+ */
+function redispatch(originalEvent, eventType, files, strings) {
+	const dataTransfer = new DataTransfer();
+	for (const { type, data } of strings) {
+		dataTransfer.setData(type, data);
+	}
+	for (const file of files) {
+		dataTransfer.items.add(file);
+	}
+
+	let newEvent;
+	if (eventType === 'paste') {
+		newEvent = new ClipboardEvent('paste', {
+			bubbles: true,
+			cancelable: true,
+			clipboardData: dataTransfer,
+		});
+	} else {
+		newEvent = new DragEvent('drop', {
+			bubbles: true,
+			cancelable: true,
+			dataTransfer: dataTransfer,
+			clientX: originalEvent.clientX,
+			clientY: originalEvent.clientY,
+			screenX: originalEvent.screenX,
+			screenY: originalEvent.screenY,
+		});
+	}
+
+	handedOverEvents.add(newEvent);
+	originalEvent.target.dispatchEvent(newEvent);
+}
+
+/**
+ * Puts the files into a file input and fires the input and change events its page
+ * listeners wait for. An empty selection clears the input without any event.
+ * @param {HTMLInputElement} input
+ * @param {File[]} files
+ */
+function replaceInputFiles(input, files) {
+	const transfer = new DataTransfer();
+	files.forEach(file => transfer.items.add(file));
+	input.files = transfer.files;
+
+	if (files.length === 0) return;
+	for (const type of ['input', 'change']) {
+		const newEvent = new Event(type, { bubbles: true });
+		handedOverEvents.add(newEvent);
+		input.dispatchEvent(newEvent);
+	}
+}
+
+/**
+ * Hands the files to whatever the original event was meant for. Nothing is dispatched
+ * for a paste or drop that has no files left (all cancelled or failed).
+ * @param {{ type: 'paste'|'drop', event: Event, strings: Array<{ type: string, data: string }> } | { type: 'input', input: HTMLInputElement }} request
+ * @param {File[]} files
+ */
+export function handOverFiles(request, files) {
+	if (request.type === 'input') {
+		replaceInputFiles(request.input, files);
+	} else if (files.length > 0) {
+		redispatch(request.event, request.type, files, request.strings);
+	}
+}
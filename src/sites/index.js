@@ -0,0 +1,21 @@
+/**
+ * Site adapters: how the converter finds the editor, shows progress and hands over the
+ * converted files on each forge. See site.js for the interface.
+ */
+
+import { githubSite } from './github.js';
+import { gitlabSite } from './gitlab.js';
+import { giteaSite } from './gitea.js';
+
+// Tried in order; GitHub goes last because it is also the fallback
+export const SITE_ADAPTERS = [gitlabSite, giteaSite, githubSite];
+
+/**
+ * The adapter for a page. Pages no adapter recognises (custom hosts of an unknown kind,
+ * local test pages) get GitHub's, whose editor lookup is the most general.
+ * @param {Document} [doc]
+ * @returns {import('./site.js').SiteAdapter}
+ */
+export function getSiteAdapter(doc = document) {
+	return SITE_ADAPTERS.find(site => site.detect(doc)) ?? githubSite;
+}
@@ -0,0 +1,76 @@
+/**
+ * Shared shape of a site adapter. Each forge describes where its comment editors live and
+ * how its URLs name the repository and issue; finding the editor, placeholders and handing
+ * the converted files back work the same everywhere on top of that.
+ *
+ * There are deliberately no per-forge hooks for progress or hand-over:
+ * - Progress is written into the editor's placeholder and the file's toast, and neither
+ *   depends on the forge: the editor adapter (editors.js) knows the textarea, rich-text or
+ *   CodeMirror editor it is in, whichever forge put it there.
+ * - GitLab and Gitea take uploads through Dropzone, which reads pastes and drops on the
+ *   editor and `change` on its hidden file input, as GitHub's file-attachment does. The
+ *   re-dispatched events and replaced FileList of handOver.js reach all three the same way.
+ * A forge that did need either would add it to the spec below.
+ */
+
+import { getEditorAdapter } from '../editors.js';
+import { handOverFiles } from './handOver.js';
+
+/**
+ * @typedef {object} SiteAdapter
+ * @property {string} id
+ * @property {string} label - Shown in logs
+ * @property {(doc: Document) => boolean} detect - Whether the page belongs to this forge
+ * @property {(url: string) => { repo: string, issue: string }} parseContext - For {repo} and {issue}
+ *   in file names; empty strings where the page has none
+ * @property {(target: EventTarget) => import('../editors.js').EditorAdapter} findEditor
+ *   - Where placeholders for a paste or drop go
+ * @property {(input: HTMLInputElement) => import('../editors.js').EditorAdapter} findInputEditor
+ *   - Where placeholders for a file picker selection go
+ * @property {typeof handOverFiles} handOver - Gives the converted files to the page
+ */
+
+/**
+ * @param {object} spec
+ * @param {string} spec.id
+ * @param {string} spec.label
+ * @param {(doc: Document) => boolean} spec.detect
+ * @param {(pathname: string) => { repo?: string, issue?: string }|null} spec.parsePath
+ * @param {string} spec.containerSelector - Element wrapping one editor with its toolbar and upload input
+ * @param {string} spec.editorSelector - The editor inside such a container
+ * @returns {SiteAdapter}
+ */
+export function createSiteAdapter({ id, label, detect, parsePath, containerSelector, editorSelector }) {
+	// Editor in the same container as an element, if the forge put one there
+	const editorNear = (element) => {
+		const editor = element?.closest(containerSelector)?.querySelector(editorSelector);
+		return editor ? getEditorAdapter(editor) : null;
+	};
+
+	return {
+		id,
+		label,
+		detect,
+
+		parseContext(url) {
+			const context = parsePath(new URL(url).pathname);
+			return { repo: context?.repo ?? '', issue: context?.issue ?? '' };
+		},
+
+		findEditor(target) {
+			const editor = getEditorAdapter(target);
+			if (editor.kind !== 'status' || !(target instanceof Element)) return editor;
+
+			// Dropped on the toolbar or the drop zone around the editor rather than into it
+			return editorNear(target) ?? editor;
+		},
+
+		findInputEditor(input) {
+			// Pickers that are not inside their container (Dropzone appends its hidden input
+			// to <body>) belong to the editor that was last focused
+			return editorNear(input) ?? editorNear(document.activeElement) ?? getEditorAdapter(input);
+		},
+
+		handOver: handOverFiles
+	};
+}
@@ -0,0 +1,107 @@
+/**
+ * Binary helpers for moving image bytes over extension ports.
+ *
+ * chrome.runtime ports only carry JSON-serializable values, so the content <-> background
+ * hop sends the bytes as a series of small base64 chunks. Every other hop (IndexedDB,
+ * offscreen -> sandbox) keeps them as Blob / transferable ArrayBuffer.
+ */
+
+// 1MB of raw bytes per port message
+export const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Encodes bytes to a plain base64 string (no data URL prefix).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+	let binary = '';
+	// String.fromCharCode has an argument limit, so encode in slices
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+/**
+ * Decodes a plain base64 string back to bytes.
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+	const binary = atob(base64);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
+
+/**
+ * SHA-256 of a blob's bytes as lowercase hex.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(blob) {
+	const digest = await crypto.subtle.digest('SHA-256', new Uint8Array(await blob.arrayBuffer()));
+	return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Splits a Blob into base64 chunks, reading one slice at a time.
+ * @param {Blob} blob
+ * @param {number} [chunkSize]
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* blobToChunks(blob, chunkSize = CHUNK_SIZE) {
+	for (let offset = 0; offset < blob.size; offset += chunkSize) {
+		const buffer = await blob.slice(offset, offset + chunkSize).arrayBuffer();
+		yield bytesToBase64(new Uint8Array(buffer));
+	}
+}
+
+/**
+ * Collects base64 chunks per request until the terminal message arrives.
+ * @returns {{ add: (requestId: string, chunk: string) => void, take: (requestId: string, type?: string, expectedCount?: number) => Blob, discard: (requestId: string) => void }}
+ */
+export function createChunkCollector() {
+	const chunks = new Map();
+
+	return {
+		add(requestId, chunk) {
+			if (!chunks.has(requestId)) {
+				chunks.set(requestId, []);
+			}
+			chunks.get(requestId).push(base64ToBytes(chunk));
+		},
+		take(requestId, type = '', expectedCount) {
+			const parts = chunks.get(requestId) || [];
+			chunks.delete(requestId);
+			if (expectedCount !== undefined && parts.length !== expectedCount) {
+				throw new Error(`Incomplete transfer for ${requestId}: expected ${expectedCount} chunks, got ${parts.length}`);
+			}
+			return new Blob(parts, { type });
+		},
+		discard(requestId) {
+			chunks.delete(requestId);
+		}
+	};
+}
+
+/**
+ * Streams a Blob over a port as CHUNK messages.
+ * @param {chrome.runtime.Port} port
+ * @param {string} requestId
+ * @param {Blob} blob
+ * @param {string} chunkType - Message type used for each chunk
+ * @param {object} [fields] - Extra fields copied into every chunk message (e.g. fileIndex)
+ * @returns {Promise<number>} - Number of chunks sent
+ */
+export async function postBlobChunks(port, requestId, blob, chunkType, fields = {}) {
+	let index = 0;
+	for await (const data of blobToChunks(blob)) {
+		port.postMessage({ type: chunkType, requestId, ...fields, index, data });
+		index++;
+	}
+	return index;
+}
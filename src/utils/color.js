@@ -0,0 +1,163 @@
+/**
+ * Colour management for decoded HEIF pixels.
+ *
+ * libheif hands back the coded RGB values untouched, and a canvas treats them as sRGB.
+ * For a Display P3 photo (every recent iPhone) that shows the colours washed out, so the
+ * pixels are converted from the gamut the `colr` property names to sRGB. Display P3 and
+ * sRGB share the sRGB transfer curve, which is the only curve handled here.
+ */
+
+// nclx colour_primaries codes (ITU-T H.273)
+const PRIMARIES_BT709 = 1;
+const PRIMARIES_UNSPECIFIED = 2;
+const PRIMARIES_P3_D65 = 12;
+
+// Linear Display P3 -> linear sRGB (both D65)
+export const P3_TO_SRGB = [
+	[1.2249401, -0.2249404, 0],
+	[-0.0420569, 1.0420571, 0],
+	[-0.0196376, -0.0786361, 1.0982735]
+];
+
+// Colorants of sRGB as an ICC profile states them (Bradford-adapted to the D50 PCS)
+const SRGB_COLORANTS = [
+	[0.4360747, 0.3850649, 0.1430804],
+	[0.2225045, 0.7168786, 0.0606169],
+	[0.0139322, 0.0971045, 0.7141733]
+];
+
+// Matrices closer than this to identity are not worth a pass over every pixel
+const IDENTITY_TOLERANCE = 0.002;
+
+/**
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {number[][]}
+ */
+function multiply(a, b) {
+	return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+}
+
+/**
+ * @param {number[][]} m - 3x3
+ * @returns {number[][]}
+ */
+function invert(m) {
+	const [[a, b, c], [d, e, f], [g, h, i]] = m;
+	const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+	return [
+		[(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+		[(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+		[(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+	];
+}
+
+/**
+ * @param {number[][]} m
+ * @returns {boolean}
+ */
+function isIdentity(m) {
+	return m.every((row, r) => row.every((value, c) => Math.abs(value - (r === c ? 1 : 0)) < IDENTITY_TOLERANCE));
+}
+
+/**
+ * Reads the rXYZ/gXYZ/bXYZ colorant tags of an RGB matrix/TRC ICC profile.
+ * @param {Uint8Array} profile
+ * @returns {number[][]|null} - Columns are the red, green and blue colorants (XYZ, D50)
+ */
+export function readIccColorants(profile) {
+	if (profile.length < 132) return null;
+
+	const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+	const fourCC = (offset) => String.fromCharCode(...profile.subarray(offset, offset + 4));
+	if (fourCC(16) !== 'RGB ' || fourCC(36) !== 'acsp') return null;
+
+	const tags = new Map();
+	const tagCount = view.getUint32(128);
+	for (let i = 0; i < tagCount; i++) {
+		const entry = 132 + i * 12;
+		if (entry + 12 > profile.length) break;
+		tags.set(fourCC(entry), { offset: view.getUint32(entry + 4), size: view.getUint32(entry + 8) });
+	}
+
+	const readXYZ = (signature) => {
+		const tag = tags.get(signature);
+		if (!tag || tag.size < 20 || tag.offset + 20 > profile.length || fourCC(tag.offset) !== 'XYZ ') return null;
+		// s15Fixed16Number
+		return [0, 1, 2].map(i => view.getInt32(tag.offset + 8 + i * 4) / 65536);
+	};
+
+	const colorants = ['rXYZ', 'gXYZ', 'bXYZ'].map(readXYZ);
+	if (colorants.includes(null)) return null;
+	return [0, 1, 2].map(row => colorants.map(colorant => colorant[row]));
+}
+
+/**
+ * Works out the linear-RGB matrix that takes the image's colours to sRGB.
+ * @param {{ type: 'nclx', colourPrimaries: number } | { type: 'icc', profile: Uint8Array } | null} colr
+ * @returns {{ matrix: number[][], source: string }|null} - null when the pixels already are
+ *   sRGB or the colour space is not one we can convert
+ */
+export function colorTransformFor(colr) {
+	if (!colr) return null;
+
+	if (colr.type === 'nclx') {
+		if (colr.colourPrimaries === PRIMARIES_P3_D65) {
+			return { matrix: P3_TO_SRGB, source: 'Display P3 (nclx)' };
+		}
+		if (colr.colourPrimaries !== PRIMARIES_BT709 && colr.colourPrimaries !== PRIMARIES_UNSPECIFIED) {
+			console.warn(`Colour primaries ${colr.colourPrimaries} are not supported; leaving colours as decoded`);
+		}
+		return null;
+	}
+
+	const colorants = readIccColorants(colr.profile);
+	if (!colorants) {
+		console.warn('ICC profile is not an RGB matrix profile; leaving colours as decoded');
+		return null;
+	}
+	const matrix = multiply(invert(SRGB_COLORANTS), colorants);
+	return isIdentity(matrix) ? null : { matrix, source: 'ICC profile' };
+}
+
+// sRGB transfer curve as lookup tables: 8-bit -> linear, and linear (12-bit steps) -> 8-bit
+const LINEAR_STEPS = 4096;
+let decodeTable = null;
+let encodeTable = null;
+
+function transferTables() {
+	if (!decodeTable) {
+		decodeTable = new Float32Array(256);
+		for (let i = 0; i < 256; i++) {
+			const v = i / 255;
+			decodeTable[i] = v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+		}
+		encodeTable = new Uint8ClampedArray(LINEAR_STEPS + 1);
+		for (let i = 0; i <= LINEAR_STEPS; i++) {
+			const v = i / LINEAR_STEPS;
+			encodeTable[i] = Math.round(255 * (v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055));
+		}
+	}
+	return { decodeTable, encodeTable };
+}
+
+/**
+ * Converts RGBA pixels in place through a linear-light matrix. Out-of-gamut colours are
+ * clipped; alpha is left alone.
+ * @param {Uint8ClampedArray} data
+ * @param {number[][]} matrix
+ */
+export function convertPixels(data, matrix) {
+	const { decodeTable: toLinear, encodeTable: toEncoded } = transferTables();
+	const [[m00, m01, m02], [m10, m11, m12], [m20, m21, m22]] = matrix;
+	const encode = (v) => toEncoded[Math.round(Math.min(1, Math.max(0, v)) * LINEAR_STEPS)];
+
+	for (let i = 0; i < data.length; i += 4) {
+		const r = toLinear[data[i]];
+		const g = toLinear[data[i + 1]];
+		const b = toLinear[data[i + 2]];
+		data[i] = encode(m00 * r + m01 * g + m02 * b);
+		data[i + 1] = encode(m10 * r + m11 * g + m12 * b);
+		data[i + 2] = encode(m20 * r + m21 * g + m22 * b);
+	}
+}
@@ -1,24 +1,25 @@
 import heic2any from 'heic2any';
+import { DEFAULT_SETTINGS } from '../settings.js';
 
 /**
  * Converts a HEIC Blob/File to a JPEG Blob.
  * @param {Blob} heicBlob - The HEIC blob to convert.
- * @returns {Promise<Blob>} - The converted JPEG blob.
+ * @param {object} [options]
+ * @param {number} [options.quality] - JPEG quality, defaults to the setting's default.
+ * @param {boolean} [options.multiple] - Convert every image of a multi-image file.
+ * @returns {Promise<Blob|Blob[]>} - The converted JPEG blob, or one blob per image with `multiple`.
  */
-export async function convertHeicToJpeg(heicBlob) {
+export async function convertHeicToJpeg(heicBlob, { quality = DEFAULT_SETTINGS.quality, multiple = false } = {}) {
 	try {
 		const result = await heic2any({
 			blob: heicBlob,
 			toType: 'image/jpeg',
-			quality: 0.8, // Adjust quality as needed
+			quality,
+			multiple: multiple || undefined,
 		});
 
-		// heic2any can return a single blob or an array of blobs.
-		// We assume single file conversion here.
-		if (Array.isArray(result)) {
-			return result[0];
-		}
-		return result;
+		const blobs = Array.isArray(result) ? result : [result];
+		return multiple ? blobs : blobs[0];
 	} catch (error) {
 		console.error('Error converting HEIC to JPEG:', error);
 		throw error;
@@ -0,0 +1,207 @@
+/**
+ * EXIF (TIFF structure) helpers: reading and rebuilding the tag tables, and
+ * embedding the result in a JPEG when metadata is kept in the output.
+ */
+
+const TAG_ORIENTATION = 0x0112;
+// IFD0 entries pointing at sub-IFDs; readExif() resolves them and writeExif() recreates them
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_INTEROP_IFD = 0xa005;
+const TYPE_LONG = 4;
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+// A JPEG segment length is 16 bits and includes the length field itself
+const MAX_APP1_PAYLOAD = 0xffff - 2;
+
+/**
+ * Returns a copy of the TIFF block with IFD0's Orientation set to `value`.
+ * libheif already applies the HEIF rotation to the pixels, so a kept
+ * Orientation tag would rotate the image a second time.
+ * @param {Uint8Array} tiff
+ * @param {number} [value]
+ * @returns {Uint8Array}
+ */
+export function setOrientation(tiff, value = 1) {
+	const copy = tiff.slice();
+	if (copy.length < 8) return copy;
+
+	const view = new DataView(copy.buffer);
+	const littleEndian = copy[0] === 0x49 && copy[1] === 0x49;
+	const ifdOffset = view.getUint32(4, littleEndian);
+	if (ifdOffset + 2 > copy.length) return copy;
+
+	const entryCount = view.getUint16(ifdOffset, littleEndian);
+	for (let i = 0; i < entryCount; i++) {
+		const entry = ifdOffset + 2 + i * 12;
+		if (entry + 12 > copy.length) break;
+		if (view.getUint16(entry, littleEndian) === TAG_ORIENTATION) {
+			view.setUint16(entry + 8, value, littleEndian);
+			break;
+		}
+	}
+
+	return copy;
+}
+
+/**
+ * Inserts an APP1 Exif segment into a JPEG, after SOI and any JFIF APP0.
+ * @param {Uint8Array} jpeg
+ * @param {Uint8Array} tiff
+ * @returns {Uint8Array} - The new JPEG, or the original if the EXIF does not fit in one segment
+ */
+export function insertExifIntoJpeg(jpeg, tiff) {
+	if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+		throw new Error('Not a JPEG file');
+	}
+
+	const payloadLength = EXIF_HEADER.length + tiff.length;
+	if (payloadLength > MAX_APP1_PAYLOAD) {
+		console.warn(`EXIF block too large to embed (${tiff.length} bytes), dropping it`);
+		return jpeg;
+	}
+
+	// Keep JFIF APP0 first if the encoder wrote one
+	let insertAt = 2;
+	if (jpeg[2] === 0xff && jpeg[3] === 0xe0) {
+		insertAt = 4 + ((jpeg[4] << 8) | jpeg[5]);
+	}
+
+	const segmentLength = payloadLength + 2;
+	const segment = new Uint8Array(2 + segmentLength);
+	segment.set([0xff, 0xe1, segmentLength >> 8, segmentLength & 0xff], 0);
+	segment.set(EXIF_HEADER, 4);
+	segment.set(tiff, 4 + EXIF_HEADER.length);
+
+	const output = new Uint8Array(jpeg.length + segment.length);
+	output.set(jpeg.subarray(0, insertAt), 0);
+	output.set(segment, insertAt);
+	output.set(jpeg.subarray(insertAt), insertAt + segment.length);
+	return output;
+}
+
+/**
+ * Reads the entries of one IFD. Values stay raw bytes in the block's byte order.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {boolean} littleEndian
+ * @returns {Array<{ tag: number, type: number, count: number, value: Uint8Array }>}
+ */
+function readIfd(view, offset, littleEndian) {
+	if (offset + 2 > view.byteLength) return [];
+
+	const entries = [];
+	const entryCount = view.getUint16(offset, littleEndian);
+	for (let i = 0; i < entryCount; i++) {
+		const entry = offset + 2 + i * 12;
+		if (entry + 12 > view.byteLength) break;
+
+		const type = view.getUint16(entry + 2, littleEndian);
+		const count = view.getUint32(entry + 4, littleEndian);
+		const size = (TYPE_SIZES[type] ?? 0) * count;
+		// Unknown types cannot be copied safely
+		if (!TYPE_SIZES[type]) continue;
+
+		const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+		if (valueOffset + size > view.byteLength) continue;
+
+		entries.push({
+			tag: view.getUint16(entry, littleEndian),
+			type,
+			count,
+			value: new Uint8Array(view.buffer, view.byteOffset + valueOffset, size)
+		});
+	}
+
+	return entries;
+}
+
+/**
+ * Parses IFD0 and its Exif and GPS sub-IFDs. IFD1 (the embedded thumbnail) is not read.
+ * @param {Uint8Array} tiff
+ * @returns {{ littleEndian: boolean, ifd0: Array<object>, exif: Array<object>, gps: Array<object> }|null}
+ */
+export function readExif(tiff) {
+	if (!tiff || tiff.length < 8) return null;
+
+	const littleEndian = tiff[0] === 0x49 && tiff[1] === 0x49;
+	if (!littleEndian && !(tiff[0] === 0x4d && tiff[1] === 0x4d)) return null;
+
+	const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+	if (view.getUint16(2, littleEndian) !== 42) return null;
+
+	const ifd0 = readIfd(view, view.getUint32(4, littleEndian), littleEndian);
+	const subIfd = (tag) => {
+		const pointer = ifd0.find(entry => entry.tag === tag && entry.value.length === 4);
+		if (!pointer) return [];
+		const offset = new DataView(pointer.value.buffer, pointer.value.byteOffset, 4).getUint32(0, littleEndian);
+		return readIfd(view, offset, littleEndian);
+	};
+
+	return {
+		littleEndian,
+		ifd0: ifd0.filter(entry => entry.tag !== TAG_EXIF_IFD && entry.tag !== TAG_GPS_IFD),
+		exif: subIfd(TAG_EXIF_IFD).filter(entry => entry.tag !== TAG_INTEROP_IFD),
+		gps: subIfd(TAG_GPS_IFD)
+	};
+}
+
+/**
+ * Builds a TIFF block from IFD entries as returned by readExif().
+ * Sub-IFD pointers are added for non-empty Exif/GPS lists; no thumbnail is written.
+ * @param {{ littleEndian: boolean, ifd0?: Array<object>, exif?: Array<object>, gps?: Array<object> }} fields
+ * @returns {Uint8Array}
+ */
+export function writeExif({ littleEndian, ifd0 = [], exif = [], gps = [] }) {
+	const byTag = (a, b) => a.tag - b.tag;
+	const padded = (length) => length + (length & 1);
+	const ifdSize = (entries) => 2 + entries.length * 12 + 4 +
+		entries.reduce((sum, entry) => sum + (entry.value.length > 4 ? padded(entry.value.length) : 0), 0);
+
+	const subIfds = [[TAG_EXIF_IFD, exif], [TAG_GPS_IFD, gps]].filter(([, entries]) => entries.length > 0);
+	const pointers = subIfds.map(([tag]) => ({ tag, type: TYPE_LONG, count: 1, value: new Uint8Array(4) }));
+	const tables = [
+		[...ifd0, ...pointers].sort(byTag),
+		...subIfds.map(([, entries]) => [...entries].sort(byTag))
+	];
+
+	// IFDs follow the 8-byte header back to back, each with its out-of-line values
+	const offsets = [];
+	let length = 8;
+	for (const entries of tables) {
+		offsets.push(length);
+		length += ifdSize(entries);
+	}
+
+	pointers.forEach((pointer, i) => new DataView(pointer.value.buffer).setUint32(0, offsets[i + 1], littleEndian));
+
+	const bytes = new Uint8Array(length);
+	const view = new DataView(bytes.buffer);
+	bytes.set(littleEndian ? [0x49, 0x49] : [0x4d, 0x4d], 0);
+	view.setUint16(2, 42, littleEndian);
+	view.setUint32(4, 8, littleEndian);
+
+	tables.forEach((entries, t) => {
+		const start = offsets[t];
+		let dataOffset = start + 2 + entries.length * 12 + 4;
+		view.setUint16(start, entries.length, littleEndian);
+
+		entries.forEach((entry, i) => {
+			const at = start + 2 + i * 12;
+			view.setUint16(at, entry.tag, littleEndian);
+			view.setUint16(at + 2, entry.type, littleEndian);
+			view.setUint32(at + 4, entry.count, littleEndian);
+			if (entry.value.length <= 4) {
+				bytes.set(entry.value, at + 8);
+			} else {
+				view.setUint32(at + 8, dataOffset, littleEndian);
+				bytes.set(entry.value, dataOffset);
+				dataOffset += padded(entry.value.length);
+			}
+		});
+		// The next-IFD offset stays 0: there is no IFD1
+	});
+
+	return bytes;
+}
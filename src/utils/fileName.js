@@ -0,0 +1,99 @@
+/**
+ * Output file names built from the `fileNameTemplate` setting.
+ *
+ * Tokens: {name} (converted name without extension), {date} (YYYY-MM-DD), {time} (HHMMSS),
+ * {repo} and {issue} (from the page URL, see sites/), {index} (1-based position in the paste) and
+ * {hash8} (first 8 hex digits of the file's SHA-256). The extension is always the output's.
+ */
+
+import { sha256Hex } from './binary.js';
+
+// Longest base name kept (without extension); well inside every file system's limit
+const MAX_BASE_LENGTH = 120;
+const FALLBACK_BASE = 'image';
+
+/**
+ * Makes a base name safe for uploads: no path separators, reserved or control characters,
+ * whitespace as dashes, and no runs of separators left behind by empty tokens.
+ * @param {string} base
+ * @returns {string}
+ */
+export function sanitizeFileName(base) {
+	const cleaned = base
+		.replace(/[\u0000-\u001f\u007f/\\:*?"<>|]+/g, '-')
+		.replace(/\s+/g, '-')
+		.replace(/([-_.])[-_.]+/g, '$1')
+		.replace(/^[-_.]+|[-_.]+$/g, '')
+		.slice(0, MAX_BASE_LENGTH)
+		.replace(/[-_.]+$/, '');
+	return cleaned || FALLBACK_BASE;
+}
+
+/**
+ * Fills in a template. Unknown tokens are left as written so typos are visible.
+ * @param {string} template
+ * @param {Record<string, string|number>} values
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+	return template.replace(/\{(\w+)\}/g, (token, key) => (key in values ? String(values[key]) : token));
+}
+
+/**
+ * First 8 hex digits of a blob's SHA-256.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function hash8(blob) {
+	return (await sha256Hex(blob)).slice(0, 8);
+}
+
+/**
+ * Splits "IMG_0001-02.jpg" into base and extension.
+ * @param {string} fileName
+ * @returns {{ base: string, extension: string }}
+ */
+function splitExtension(fileName) {
+	const dot = fileName.lastIndexOf('.');
+	return dot > 0 ? { base: fileName.slice(0, dot), extension: fileName.slice(dot + 1) } : { base: fileName, extension: '' };
+}
+
+/**
+ * Renames converted files after the template, numbering any name that is already taken
+ * in the same paste (photo.jpg, photo-2.jpg, ...).
+ * @param {File[]} files - Converted files, in paste order
+ * @param {string} template
+ * @param {object} [context]
+ * @param {string} [context.repo]
+ * @param {string} [context.issue]
+ * @param {Date} [context.now]
+ * @param {string[]} [context.reserved] - Names already in the paste (files passed through unchanged)
+ * @param {number} [context.firstIndex] - {index} of the first file; a retried file keeps its place in the paste
+ * @returns {Promise<File[]>}
+ */
+export async function applyFileNameTemplate(files, template, { repo = '', issue = '', now = new Date(), reserved = [], firstIndex = 1 } = {}) {
+	const pad = (n) => String(n).padStart(2, '0');
+	const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+	const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+	const taken = new Set(reserved.map(name => name.toLowerCase()));
+
+	const renamed = [];
+	for (const [i, file] of files.entries()) {
+		const { base, extension } = splitExtension(file.name);
+		const values = { name: base, date, time, repo, issue, index: firstIndex + i };
+		if (template.includes('{hash8}')) {
+			values.hash8 = await hash8(file);
+		}
+
+		const sanitized = sanitizeFileName(fillTemplate(template, values));
+		const suffix = extension ? `.${extension}` : '';
+		let fileName = `${sanitized}${suffix}`;
+		for (let n = 2; taken.has(fileName.toLowerCase()); n++) {
+			fileName = `${sanitized}-${n}${suffix}`;
+		}
+		taken.add(fileName.toLowerCase());
+
+		renamed.push(fileName === file.name ? file : new File([file], fileName, { type: file.type, lastModified: file.lastModified }));
+	}
+	return renamed;
+}
@@ -0,0 +1,447 @@
+/**
+ * Minimal HEIF (ISO BMFF) container parsing.
+ *
+ * Only what the converter needs is read: the box tree, the item table
+ * (iinf/iloc/iref), the primary image's colour property and the bytes of a given item.
+ * Pixel data is left to libheif.
+ */
+
+/**
+ * Reads a box header at `offset`.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} end - End of the enclosing box
+ * @returns {{ type: string, start: number, headerSize: number, end: number }|null}
+ */
+function readBoxHeader(view, offset, end) {
+	if (offset + 8 > end) return null;
+
+	let size = view.getUint32(offset);
+	const type = readFourCC(view, offset + 4);
+	let headerSize = 8;
+
+	if (size === 1) {
+		if (offset + 16 > end) return null;
+		size = Number(view.getBigUint64(offset + 8));
+		headerSize = 16;
+	} else if (size === 0) {
+		// Box runs to the end of its parent
+		size = end - offset;
+	}
+
+	if (size < headerSize || offset + size > end) return null;
+	return { type, start: offset, headerSize, end: offset + size };
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {string}
+ */
+function readFourCC(view, offset) {
+	return String.fromCharCode(
+		view.getUint8(offset), view.getUint8(offset + 1),
+		view.getUint8(offset + 2), view.getUint8(offset + 3)
+	);
+}
+
+/**
+ * Reads an unsigned big-endian integer of 0, 2, 4 or 8 bytes.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} size
+ * @returns {number}
+ */
+function readUint(view, offset, size) {
+	if (size === 0) return 0;
+	if (size === 2) return view.getUint16(offset);
+	if (size === 4) return view.getUint32(offset);
+	if (size === 8) return Number(view.getBigUint64(offset));
+	throw new Error(`Unsupported field size: ${size}`);
+}
+
+/**
+ * Lists the child boxes between `start` and `end`.
+ * @param {DataView} view
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<{ type: string, start: number, headerSize: number, end: number }>}
+ */
+export function readBoxes(view, start = 0, end = view.byteLength) {
+	const boxes = [];
+	let offset = start;
+
+	while (offset < end) {
+		const box = readBoxHeader(view, offset, end);
+		if (!box) break;
+		boxes.push(box);
+		offset = box.end;
+	}
+
+	return boxes;
+}
+
+/**
+ * Reads a null-terminated UTF-8 string.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} end
+ * @returns {{ value: string, end: number }} - `end` is just past the terminator
+ */
+function readCString(view, offset, end) {
+	let stop = offset;
+	while (stop < end && view.getUint8(stop) !== 0) stop++;
+	const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, stop - offset);
+	return { value: new TextDecoder().decode(bytes), end: stop + 1 };
+}
+
+/**
+ * Parses `iinf`: item ID -> item type, hidden flag and (for `mime` items) content type.
+ * @param {DataView} view
+ * @param {object} box
+ * @returns {Map<number, { type: string, hidden: boolean, contentType?: string }>}
+ */
+function parseItemInfo(view, box) {
+	const items = new Map();
+	const version = view.getUint8(box.start + box.headerSize);
+	const entriesStart = box.start + box.headerSize + 4 + (version === 0 ? 2 : 4);
+
+	for (const infe of readBoxes(view, entriesStart, box.end)) {
+		if (infe.type !== 'infe') continue;
+		const infeVersion = view.getUint8(infe.start + infe.headerSize);
+		// Item types only exist from infe version 2 on
+		if (infeVersion < 2) continue;
+
+		const flags = view.getUint32(infe.start + infe.headerSize) & 0xffffff;
+		let offset = infe.start + infe.headerSize + 4;
+		const itemId = infeVersion === 2 ? view.getUint16(offset) : view.getUint32(offset);
+		offset += infeVersion === 2 ? 2 : 4;
+		offset += 2; // item_protection_index
+		const type = readFourCC(view, offset);
+		const info = { type, hidden: (flags & 1) === 1 };
+
+		if (type === 'mime') {
+			const itemName = readCString(view, offset + 4, infe.end);
+			info.contentType = readCString(view, itemName.end, infe.end).value;
+		}
+		items.set(itemId, info);
+	}
+
+	return items;
+}
+
+/**
+ * Parses `iloc`: item ID -> extents (file offsets only).
+ * @param {DataView} view
+ * @param {object} box
+ * @returns {Map<number, { constructionMethod: number, extents: Array<{ offset: number, length: number }> }>}
+ */
+function parseItemLocations(view, box) {
+	const locations = new Map();
+	let offset = box.start + box.headerSize;
+	const version = view.getUint8(offset);
+	offset += 4;
+
+	const sizes = view.getUint16(offset);
+	offset += 2;
+	const offsetSize = sizes >> 12;
+	const lengthSize = (sizes >> 8) & 0xf;
+	const baseOffsetSize = (sizes >> 4) & 0xf;
+	const indexSize = version === 1 || version === 2 ? sizes & 0xf : 0;
+
+	const itemCount = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+	offset += version < 2 ? 2 : 4;
+
+	for (let i = 0; i < itemCount; i++) {
+		const itemId = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+		offset += version < 2 ? 2 : 4;
+
+		let constructionMethod = 0;
+		if (version === 1 || version === 2) {
+			constructionMethod = view.getUint16(offset) & 0xf;
+			offset += 2;
+		}
+		offset += 2; // data_reference_index
+
+		const baseOffset = readUint(view, offset, baseOffsetSize);
+		offset += baseOffsetSize;
+
+		const extentCount = view.getUint16(offset);
+		offset += 2;
+
+		const extents = [];
+		for (let e = 0; e < extentCount; e++) {
+			offset += indexSize;
+			const extentOffset = readUint(view, offset, offsetSize);
+			offset += offsetSize;
+			const extentLength = readUint(view, offset, lengthSize);
+			offset += lengthSize;
+			extents.push({ offset: baseOffset + extentOffset, length: extentLength });
+		}
+
+		locations.set(itemId, { constructionMethod, extents });
+	}
+
+	return locations;
+}
+
+/**
+ * Parses `iref`: typed references between items.
+ * @param {DataView} view
+ * @param {object} box
+ * @returns {Array<{ type: string, from: number, to: number[] }>}
+ */
+function parseItemReferences(view, box) {
+	const references = [];
+	const version = view.getUint8(box.start + box.headerSize);
+	const idSize = version === 0 ? 2 : 4;
+	const readId = (offset) => idSize === 2 ? view.getUint16(offset) : view.getUint32(offset);
+
+	for (const ref of readBoxes(view, box.start + box.headerSize + 4, box.end)) {
+		let offset = ref.start + ref.headerSize;
+		const from = readId(offset);
+		offset += idSize;
+		const count = view.getUint16(offset);
+		offset += 2;
+
+		const to = [];
+		for (let i = 0; i < count; i++) {
+			to.push(readId(offset));
+			offset += idSize;
+		}
+		references.push({ type: ref.type, from, to });
+	}
+
+	return references;
+}
+
+/**
+ * Returns the children of the top-level `meta` box.
+ * @param {DataView} view
+ * @returns {Array<object>}
+ */
+function readMetaChildren(view) {
+	const meta = readBoxes(view).find(box => box.type === 'meta');
+	if (!meta) return [];
+
+	// meta is a full box: skip version/flags before its children
+	return readBoxes(view, meta.start + meta.headerSize + 4, meta.end);
+}
+
+/**
+ * Reads the item table from the top-level `meta` box.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<{ id: number, type: string, hidden: boolean, contentType?: string, location: object|undefined }>}
+ */
+export function readItems(buffer) {
+	const view = new DataView(buffer);
+	const children = readMetaChildren(view);
+	const iinf = children.find(box => box.type === 'iinf');
+	const iloc = children.find(box => box.type === 'iloc');
+	if (!iinf || !iloc) return [];
+
+	const infos = parseItemInfo(view, iinf);
+	const locations = parseItemLocations(view, iloc);
+
+	return [...infos].map(([id, info]) => ({ id, ...info, location: locations.get(id) }));
+}
+
+// Item types that are coded images (as opposed to metadata such as Exif or mime)
+const IMAGE_ITEM_TYPES = new Set(['hvc1', 'av01', 'grid', 'iovl', 'iden', 'jpeg', 'unci']);
+
+/**
+ * Counts the images a viewer would show: coded images that are not hidden,
+ * not grid tiles, and not thumbnails or auxiliary images (alpha, depth) of another image.
+ * @param {ArrayBuffer} buffer
+ * @returns {number} - 0 if the container cannot be read
+ */
+export function countTopLevelImages(buffer) {
+	try {
+		const view = new DataView(buffer);
+		const iref = readMetaChildren(view).find(box => box.type === 'iref');
+		const references = iref ? parseItemReferences(view, iref) : [];
+
+		const secondary = new Set();
+		for (const ref of references) {
+			if (ref.type === 'thmb' || ref.type === 'auxl') secondary.add(ref.from);
+			if (ref.type === 'dimg') ref.to.forEach(id => secondary.add(id));
+		}
+
+		return readItems(buffer)
+			.filter(item => IMAGE_ITEM_TYPES.has(item.type) && !item.hidden && !secondary.has(item.id))
+			.length;
+	} catch (error) {
+		console.warn('Could not count HEIF images:', error);
+		return 0;
+	}
+}
+
+/**
+ * Reads `pitm`: the primary item ID.
+ * @param {DataView} view
+ * @param {object} box
+ * @returns {number}
+ */
+function parsePrimaryItem(view, box) {
+	const offset = box.start + box.headerSize;
+	return view.getUint8(offset) === 0 ? view.getUint16(offset + 4) : view.getUint32(offset + 4);
+}
+
+/**
+ * Parses `ipma`: item ID -> indices (1-based) into the `ipco` property list.
+ * @param {DataView} view
+ * @param {object} box
+ * @returns {Map<number, number[]>}
+ */
+function parsePropertyAssociations(view, box) {
+	const associations = new Map();
+	let offset = box.start + box.headerSize;
+	const version = view.getUint8(offset);
+	const wideIndices = (view.getUint32(offset) & 1) === 1;
+	offset += 4;
+
+	const entryCount = view.getUint32(offset);
+	offset += 4;
+
+	for (let i = 0; i < entryCount; i++) {
+		const itemId = version < 1 ? view.getUint16(offset) : view.getUint32(offset);
+		offset += version < 1 ? 2 : 4;
+		const count = view.getUint8(offset);
+		offset += 1;
+
+		const indices = [];
+		for (let a = 0; a < count; a++) {
+			// Top bit is the "essential" flag
+			indices.push(wideIndices ? view.getUint16(offset) & 0x7fff : view.getUint8(offset) & 0x7f);
+			offset += wideIndices ? 2 : 1;
+		}
+		associations.set(itemId, indices);
+	}
+
+	return associations;
+}
+
+/**
+ * Reads a `colr` property: nclx code points or an ICC profile.
+ * @param {DataView} view
+ * @param {object} box
+ * @returns {{ type: 'nclx', colourPrimaries: number, transferCharacteristics: number, matrixCoefficients: number, fullRange: boolean } | { type: 'icc', profile: Uint8Array } | null}
+ */
+function parseColourInformation(view, box) {
+	const offset = box.start + box.headerSize;
+	const colourType = readFourCC(view, offset);
+
+	if (colourType === 'nclx' && offset + 11 <= box.end) {
+		return {
+			type: 'nclx',
+			colourPrimaries: view.getUint16(offset + 4),
+			transferCharacteristics: view.getUint16(offset + 6),
+			matrixCoefficients: view.getUint16(offset + 8),
+			fullRange: (view.getUint8(offset + 10) & 0x80) !== 0
+		};
+	}
+	if (colourType === 'prof' || colourType === 'rICC') {
+		return { type: 'icc', profile: new Uint8Array(view.buffer, view.byteOffset + offset + 4, box.end - offset - 4) };
+	}
+	return null;
+}
+
+/**
+ * Reads the colour information of the primary image. An ICC profile wins over nclx
+ * code points when an image has both.
+ * @param {ArrayBuffer} buffer
+ * @returns {object|null} - See parseColourInformation(); null if the image has none
+ */
+export function readColorProperty(buffer) {
+	try {
+		const view = new DataView(buffer);
+		const children = readMetaChildren(view);
+		const pitm = children.find(box => box.type === 'pitm');
+		const iprp = children.find(box => box.type === 'iprp');
+		if (!pitm || !iprp) return null;
+
+		const iprpChildren = readBoxes(view, iprp.start + iprp.headerSize, iprp.end);
+		const ipco = iprpChildren.find(box => box.type === 'ipco');
+		const ipma = iprpChildren.find(box => box.type === 'ipma');
+		if (!ipco || !ipma) return null;
+
+		const properties = readBoxes(view, ipco.start + ipco.headerSize, ipco.end);
+		const indices = parsePropertyAssociations(view, ipma).get(parsePrimaryItem(view, pitm)) || [];
+		const colours = indices
+			.map(index => properties[index - 1])
+			.filter(box => box?.type === 'colr')
+			.map(box => parseColourInformation(view, box))
+			.filter(Boolean);
+
+		return colours.find(colr => colr.type === 'icc') || colours[0] || null;
+	} catch (error) {
+		console.warn('Could not read HEIF colour information:', error);
+		return null;
+	}
+}
+
+/**
+ * Returns the bytes of an item stored in the file (construction method 0).
+ * @param {ArrayBuffer} buffer
+ * @param {{ location: object|undefined }} item
+ * @returns {Uint8Array|null}
+ */
+export function readItemData(buffer, item) {
+	if (!item.location || item.location.constructionMethod !== 0) return null;
+
+	const { extents } = item.location;
+	const total = extents.reduce((sum, extent) => sum + extent.length, 0);
+	const data = new Uint8Array(total);
+	let written = 0;
+
+	for (const extent of extents) {
+		if (extent.offset + extent.length > buffer.byteLength) return null;
+		data.set(new Uint8Array(buffer, extent.offset, extent.length), written);
+		written += extent.length;
+	}
+
+	return data;
+}
+
+/**
+ * Extracts the EXIF block of a HEIF file as a TIFF structure
+ * (starting at the "II"/"MM" byte order mark).
+ * @param {ArrayBuffer} buffer
+ * @returns {Uint8Array|null} - null if the file has no (readable) EXIF
+ */
+export function extractExif(buffer) {
+	try {
+		const item = readItems(buffer).find(i => i.type === 'Exif');
+		if (!item) return null;
+
+		const data = readItemData(buffer, item);
+		if (!data || data.length < 4) return null;
+
+		// The item starts with the offset of the TIFF header within the rest of the item
+		const tiffOffset = 4 + new DataView(data.buffer, data.byteOffset).getUint32(0);
+		if (tiffOffset >= data.length) return null;
+		return data.subarray(tiffOffset);
+	} catch (error) {
+		// A malformed container must never fail the conversion itself
+		console.warn('Could not read EXIF from HEIF:', error);
+		return null;
+	}
+}
+
+/**
+ * Extracts the XMP packet of a HEIF file (a `mime` item of type application/rdf+xml).
+ * @param {ArrayBuffer} buffer
+ * @returns {string|null} - null if the file has no (readable) XMP
+ */
+export function extractXmp(buffer) {
+	try {
+		const item = readItems(buffer).find(i => i.type === 'mime' && i.contentType === 'application/rdf+xml');
+		if (!item) return null;
+
+		const data = readItemData(buffer, item);
+		return data ? new TextDecoder().decode(data) : null;
+	} catch (error) {
+		console.warn('Could not read XMP from HEIF:', error);
+		return null;
+	}
+}
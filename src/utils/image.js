@@ -0,0 +1,191 @@
+/**
+ * Output image helpers shared by the sandbox and the tests.
+ */
+
+// outputFormat setting -> encoder MIME type and file extension
+export const OUTPUT_TYPES = {
+	jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+	png: { mimeType: 'image/png', extension: 'png' },
+	// Only produced for multi-image files in the 'gif' multiImage mode
+	gif: { mimeType: 'image/gif', extension: 'gif' }
+};
+
+/**
+ * Scales dimensions down (never up) so the longest edge is at most `maxDimension`.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxDimension - 0 means no limit
+ * @returns {{ width: number, height: number }}
+ */
+export function fitWithin(width, height, maxDimension) {
+	const longest = Math.max(width, height);
+	if (!maxDimension || longest <= maxDimension) {
+		return { width, height };
+	}
+
+	const scale = maxDimension / longest;
+	return {
+		width: Math.max(1, Math.round(width * scale)),
+		height: Math.max(1, Math.round(height * scale))
+	};
+}
+
+/**
+ * Output size after the resize stage: optional retina halving (a 2x image shown at its
+ * 1x size), then the maxDimension limit.
+ * @param {number} width
+ * @param {number} height
+ * @param {object} options
+ * @param {number} options.maxDimension - 0 means no limit
+ * @param {boolean} [options.halve] - Treat the image as 2x and halve it
+ * @returns {{ width: number, height: number }}
+ */
+export function resizeTarget(width, height, { maxDimension, halve = false }) {
+	const halved = halve
+		? { width: Math.max(1, Math.round(width / 2)), height: Math.max(1, Math.round(height / 2)) }
+		: { width, height };
+	return fitWithin(halved.width, halved.height, maxDimension);
+}
+
+/**
+ * Intermediate sizes for a high-quality downscale. Each canvas pass is bilinear, so a
+ * single large reduction skips most source pixels; halving until the target is at most
+ * 2x away keeps every pass within what bilinear filtering handles well.
+ * @param {number} fromWidth
+ * @param {number} fromHeight
+ * @param {number} toWidth
+ * @param {number} toHeight
+ * @returns {Array<{ width: number, height: number }>} - Steps before the final draw (may be empty)
+ */
+export function downscaleSteps(fromWidth, fromHeight, toWidth, toHeight) {
+	const steps = [];
+	let width = fromWidth;
+	let height = fromHeight;
+
+	while (width / 2 > toWidth && height / 2 > toHeight) {
+		width = Math.ceil(width / 2);
+		height = Math.ceil(height / 2);
+		steps.push({ width, height });
+	}
+
+	return steps;
+}
+
+// JPEG qualities tried, in order, when an output is over its byte budget
+export const BUDGET_QUALITY_STEPS = [0.9, 0.8, 0.7, 0.6, 0.5];
+// Below this longest edge, scaling down further is not worth it; the output stays over budget
+export const MIN_BUDGET_DIMENSION = 320;
+const BYTES_PER_MB = 1000 * 1000;
+
+/**
+ * The byte budget of one output file.
+ * @param {number} maxFileSizeMB - Setting value; 0 means no limit
+ * @param {number} [reserved] - Bytes added after encoding (e.g. an EXIF segment)
+ * @returns {number} - 0 means no limit
+ */
+export function byteBudget(maxFileSizeMB, reserved = 0) {
+	if (!maxFileSizeMB) return 0;
+	return Math.max(1, Math.floor(maxFileSizeMB * BYTES_PER_MB) - reserved);
+}
+
+/**
+ * Picks the next encoding to try for an output that came out over budget:
+ * first lower JPEG quality steps, then smaller dimensions (sized from how far over it is).
+ * @param {string} format - 'jpeg' or 'png'
+ * @param {{ quality: number, width: number, height: number }} attempt - What was just encoded
+ * @param {number} size - Bytes the attempt produced
+ * @param {number} budget - Bytes allowed
+ * @returns {{ quality: number, width: number, height: number }|null} - null when nothing is left to try
+ */
+export function nextBudgetAttempt(format, attempt, size, budget) {
+	if (format === 'jpeg') {
+		const quality = BUDGET_QUALITY_STEPS.find(step => step < attempt.quality);
+		if (quality !== undefined) {
+			return { ...attempt, quality };
+		}
+	}
+
+	// File size grows roughly with the pixel count; aim a little under the budget
+	const scale = Math.min(0.9, Math.sqrt(budget / size) * 0.95);
+	const width = Math.max(1, Math.floor(attempt.width * scale));
+	const height = Math.max(1, Math.floor(attempt.height * scale));
+	if (Math.max(width, height) < MIN_BUDGET_DIMENSION) {
+		return null;
+	}
+	return { ...attempt, width, height };
+}
+
+// Longest edge of a "Retry at lower resolution" when no limit is set, and the smallest
+// repeated retries go down to
+const RETRY_MAX_DIMENSION = 2048;
+const MIN_RETRY_DIMENSION = 512;
+
+/**
+ * The `maxDimension` for a retry at lower resolution: half the limit in effect, or
+ * RETRY_MAX_DIMENSION when the size was not limited.
+ * @param {number} maxDimension - 0 for no limit
+ * @returns {number}
+ */
+export function lowerMaxDimension(maxDimension) {
+	if (!maxDimension) return RETRY_MAX_DIMENSION;
+	return Math.max(MIN_RETRY_DIMENSION, Math.floor(maxDimension / 2));
+}
+
+/**
+ * Describes a converted file for logs and notices: "4032×3024 at 70% quality".
+ * @param {{ width?: number|null, height?: number|null, quality?: number|null }} output
+ * @returns {string}
+ */
+export function describeOutput({ width, height, quality }) {
+	const parts = [];
+	if (width && height) parts.push(`${width}×${height}`);
+	if (quality != null) parts.push(`${Math.round(quality * 100)}% quality`);
+	return parts.join(' at ');
+}
+
+/**
+ * Notice for a file the size budget had to shrink (or could not), e.g.
+ * "IMG_0001.heic reduced to fit 10 MB: 6000×4500 at 60% quality".
+ * @param {string} fileName - Original file name
+ * @param {Array<{ width?: number|null, height?: number|null, quality?: number|null, reduced?: boolean, overBudget?: boolean }>} outputs
+ * @param {number} maxFileSizeMB
+ * @returns {string|null} - null when every output fit as encoded
+ */
+export function formatBudgetNotice(fileName, outputs, maxFileSizeMB) {
+	const limit = `${maxFileSizeMB} MB`;
+	if (outputs.some(output => output.overBudget)) {
+		return `${fileName} is still larger than ${limit}; GitHub may reject it`;
+	}
+
+	const reduced = outputs.filter(output => output.reduced);
+	if (reduced.length === 0) return null;
+	return `${fileName} reduced to fit ${limit}: ${reduced.map(describeOutput).join(', ')}`;
+}
+
+/**
+ * Swaps the file extension (or adds one if there is none).
+ * @param {string} fileName
+ * @param {string} extension - Without the dot
+ * @returns {string}
+ */
+export function replaceExtension(fileName, extension) {
+	return `${fileName.replace(/\.[^./]*$/, '')}.${extension}`;
+}
+
+/**
+ * Names one output of a multi-image file: IMG_0001.heic -> IMG_0001-02.jpg.
+ * Single outputs keep the plain name.
+ * @param {string} fileName - Original file name
+ * @param {string} extension - Without the dot
+ * @param {number} index - Zero-based
+ * @param {number} count - Number of outputs
+ * @returns {string}
+ */
+export function numberedFileName(fileName, extension, index, count) {
+	if (count <= 1) {
+		return replaceExtension(fileName, extension);
+	}
+
+	const number = String(index + 1).padStart(String(count).length, '0');
+	return `${fileName.replace(/\.[^./]*$/, '')}-${number}.${extension}`;
+}
@@ -0,0 +1,77 @@
+/**
+ * Pixel heuristics for picking the output format automatically.
+ *
+ * PNG keeps transparency and the hard edges of text and UI; JPEG is far smaller
+ * for camera photos. The checks sample the image rather than reading every pixel.
+ */
+
+// Roughly this many pixels are inspected, whatever the image size
+const SAMPLE_TARGET = 250000;
+// Share of identical horizontal neighbours above which an image looks drawn rather than photographed
+const FLAT_NEIGHBOUR_THRESHOLD = 0.5;
+// Sampled images with at most this many distinct colors are treated as graphics
+const MAX_GRAPHIC_COLORS = 256;
+
+/**
+ * Row stride that samples about SAMPLE_TARGET pixels of an image.
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+export function sampleRowStep(width, height) {
+	const rows = Math.ceil(SAMPLE_TARGET / Math.max(1, width));
+	return Math.max(1, Math.floor(height / rows));
+}
+
+/**
+ * Inspects RGBA pixel data. Only every `sampleRowStep()`th row is read.
+ * @param {Uint8ClampedArray|Uint8Array} data - RGBA, as from ImageData
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ hasAlpha: boolean, flatNeighbourRatio: number, distinctColors: number, isScreenshot: boolean }}
+ *   distinctColors stops counting just above MAX_GRAPHIC_COLORS.
+ */
+export function analyzePixels(data, width, height) {
+	const rowStep = sampleRowStep(width, height);
+	const colors = new Set();
+	let hasAlpha = false;
+	let pairs = 0;
+	let equalPairs = 0;
+
+	for (let y = 0; y < height; y += rowStep) {
+		const row = y * width * 4;
+		for (let x = 0; x < width; x++) {
+			const i = row + x * 4;
+			if (data[i + 3] !== 255) hasAlpha = true;
+
+			// Stop collecting once it is clearly not a small palette
+			if (colors.size <= MAX_GRAPHIC_COLORS) {
+				colors.add((data[i] << 24 | data[i + 1] << 16 | data[i + 2] << 8 | data[i + 3]) >>> 0);
+			}
+
+			if (x > 0) {
+				pairs++;
+				if (data[i] === data[i - 4] && data[i + 1] === data[i - 3] && data[i + 2] === data[i - 2]) {
+					equalPairs++;
+				}
+			}
+		}
+	}
+
+	const flatNeighbourRatio = pairs > 0 ? equalPairs / pairs : 0;
+	return {
+		hasAlpha,
+		flatNeighbourRatio,
+		distinctColors: colors.size,
+		isScreenshot: flatNeighbourRatio >= FLAT_NEIGHBOUR_THRESHOLD || colors.size <= MAX_GRAPHIC_COLORS
+	};
+}
+
+/**
+ * Picks the output format for an analyzed image.
+ * @param {{ hasAlpha: boolean, isScreenshot: boolean }} analysis
+ * @returns {'png'|'jpeg'}
+ */
+export function chooseOutputFormat(analysis) {
+	return analysis.hasAlpha || analysis.isScreenshot ? 'png' : 'jpeg';
+}
@@ -0,0 +1,65 @@
+import { PROGRESS_STAGES } from '../messaging.js';
+
+const PREFIX = '![Converting ';
+const FAILED_PREFIX = '![Failed to convert ';
+
+/**
+ * A token that tells one placeholder from every other, even for files of the same name.
+ * It goes where the image URL will be: `![Converting name.heic...](heic-1a2b3c4d5e6f)`.
+ * @returns {string}
+ */
+export function createPlaceholderToken() {
+	return `heic-${crypto.randomUUID().replace(/-/g, '').slice(0, 12)}`;
+}
+
+/**
+ * Builds the Markdown placeholder shown in the editor while a file converts.
+ *   ![Converting name.heic...](token)
+ *   ![Converting name.heic (queued 2/5)...](token)
+ *   ![Converting name.heic (decoding...)](token)
+ * @param {string} fileName
+ * @param {{ stage: string, position?: number, total?: number }} [progress]
+ * @param {string} [token] - From createPlaceholderToken()
+ * @returns {string}
+ */
+export function formatPlaceholder(fileName, progress, token = '') {
+	if (!progress) {
+		return `${PREFIX}${fileName}...](${token})\n`;
+	}
+
+	if (progress.stage === PROGRESS_STAGES.QUEUED) {
+		const position = progress.position && progress.total ? ` ${progress.position}/${progress.total}` : '';
+		return `${PREFIX}${fileName} (queued${position})...](${token})\n`;
+	}
+
+	return `${PREFIX}${fileName} (${progress.stage}...)](${token})\n`;
+}
+
+/**
+ * The placeholder a failed file leaves behind, holding its place until it is retried
+ * or dismissed: ![Failed to convert name.heic](token)
+ * @param {string} fileName
+ * @param {string} token
+ * @returns {string}
+ */
+export function formatFailedPlaceholder(fileName, token) {
+	return `${FAILED_PREFIX}${fileName}](${token})\n`;
+}
+
+/**
+ * Finds the placeholder carrying a token, wherever edits have moved it. The trailing line
+ * break is not part of the match. A placeholder whose text the user has cut into no longer
+ * counts as one.
+ * @param {string} text
+ * @param {string} token
+ * @returns {{ start: number, end: number }|null}
+ */
+export function findPlaceholder(text, token) {
+	const close = text.indexOf(`](${token})`);
+	if (close === -1) return null;
+
+	const start = Math.max(text.lastIndexOf(PREFIX, close), text.lastIndexOf(FAILED_PREFIX, close));
+	const lineStart = text.lastIndexOf('\n', close) + 1;
+	if (start === -1 || start < lineStart) return null;
+	return { start, end: close + token.length + 3 };
+}
@@ -0,0 +1,154 @@
+/**
+ * Metadata privacy policy: which EXIF/XMP fields reveal where, with what and when a
+ * photo was taken, what survives each `metadata` setting, and the notice shown after a paste.
+ */
+
+import { readExif, writeExif, setOrientation } from './exif.js';
+
+// In the order they are listed in notices
+export const PRIVACY_CATEGORIES = ['location', 'device', 'date'];
+
+const CATEGORY_LABELS = {
+	location: 'GPS',
+	device: 'device info',
+	date: 'capture date'
+};
+
+const TAG_ORIENTATION = 0x0112;
+
+// Make, camera and lens identification, owner and software (IFD0 and Exif IFD)
+const DEVICE_TAGS = new Set([
+	0x010f, // Make
+	0x0110, // Model
+	0x0131, // Software
+	0x013b, // Artist
+	0x013c, // HostComputer
+	0x927c, // MakerNote (Apple's carries device and session identifiers)
+	0xa420, // ImageUniqueID
+	0xa430, // CameraOwnerName
+	0xa431, // BodySerialNumber
+	0xa432, // LensSpecification
+	0xa433, // LensMake
+	0xa434, // LensModel
+	0xa435  // LensSerialNumber
+]);
+
+const DATE_TAGS = new Set([
+	0x0132, // DateTime
+	0x9003, // DateTimeOriginal
+	0x9004, // DateTimeDigitized
+	0x9010, // OffsetTime
+	0x9011, // OffsetTimeOriginal
+	0x9012, // OffsetTimeDigitized
+	0x9290, // SubSecTime
+	0x9291, // SubSecTimeOriginal
+	0x9292  // SubSecTimeDigitized
+]);
+
+// XMP properties per category (the XMP mirrors of the EXIF tags above, plus IPTC locations)
+const XMP_PATTERNS = {
+	location: /\b(exif:GPS\w+|photoshop:(City|State|Country)|Iptc4xmpCore:Location|Iptc4xmpExt:Location\w*)\b/,
+	device: /\b(tiff:(Make|Model)|aux:(SerialNumber|Lens\w*)|exifEX:(BodySerialNumber|CameraOwnerName|Lens\w*)|xmp:CreatorTool)\b/,
+	date: /\b(xmp:(CreateDate|ModifyDate|MetadataDate)|exif:DateTime\w*|photoshop:DateCreated)\b/
+};
+
+/**
+ * Categories of privacy-relevant fields in an EXIF block.
+ * @param {Uint8Array|null} tiff
+ * @returns {Set<string>}
+ */
+export function findExifCategories(tiff) {
+	const categories = new Set();
+	const parsed = tiff ? readExif(tiff) : null;
+	if (!parsed) return categories;
+
+	const entries = [...parsed.ifd0, ...parsed.exif];
+	if (parsed.gps.length > 0) categories.add('location');
+	if (entries.some(entry => DEVICE_TAGS.has(entry.tag))) categories.add('device');
+	if (entries.some(entry => DATE_TAGS.has(entry.tag))) categories.add('date');
+	return categories;
+}
+
+/**
+ * Categories of privacy-relevant properties in an XMP packet.
+ * @param {string|null} xmp
+ * @returns {Set<string>}
+ */
+export function findXmpCategories(xmp) {
+	const categories = new Set();
+	if (!xmp) return categories;
+
+	for (const [category, pattern] of Object.entries(XMP_PATTERNS)) {
+		if (pattern.test(xmp)) categories.add(category);
+	}
+	return categories;
+}
+
+/**
+ * The EXIF block to embed in the output for a `metadata` setting.
+ * - strip: nothing
+ * - preserve: capture date and orientation only; location, device and everything else go
+ * - keep: the original block
+ * Orientation is always reset to 1 because the decoded pixels are already upright.
+ * @param {Uint8Array|null} tiff
+ * @param {string} mode - One of METADATA_MODES (settings.js)
+ * @returns {Uint8Array|null}
+ */
+export function scrubExif(tiff, mode) {
+	if (!tiff || mode === 'strip') return null;
+	if (mode === 'keep') return setOrientation(tiff);
+
+	const parsed = readExif(tiff);
+	if (!parsed) return null;
+
+	const ifd0 = parsed.ifd0.filter(entry => entry.tag === TAG_ORIENTATION || DATE_TAGS.has(entry.tag));
+	const exif = parsed.exif.filter(entry => DATE_TAGS.has(entry.tag));
+	if (ifd0.length === 0 && exif.length === 0) return null;
+
+	return setOrientation(writeExif({ littleEndian: parsed.littleEndian, ifd0, exif }));
+}
+
+/**
+ * Compares what the source carried with what ended up in the output.
+ * @param {object} metadata
+ * @param {Uint8Array|null} metadata.exif - EXIF of the source file
+ * @param {string|null} metadata.xmp - XMP of the source file (never copied to the output)
+ * @param {Uint8Array|null} metadata.embedded - EXIF actually written to the output
+ * @returns {{ removed: string[], kept: string[] }} - Categories, in PRIVACY_CATEGORIES order
+ */
+export function createPrivacyReport({ exif, xmp, embedded }) {
+	const found = new Set([...findExifCategories(exif), ...findXmpCategories(xmp)]);
+	const kept = findExifCategories(embedded);
+
+	return {
+		removed: PRIVACY_CATEGORIES.filter(category => found.has(category) && !kept.has(category)),
+		kept: PRIVACY_CATEGORIES.filter(category => kept.has(category))
+	};
+}
+
+/**
+ * Short notice for the page, e.g. "GPS and device info removed from IMG_1234.heic".
+ * A kept location is always mentioned, since it is the one field users most often miss.
+ * @param {string} fileName - Original file name
+ * @param {{ removed: string[], kept: string[] }} [report]
+ * @returns {string|null} - null when there is nothing worth telling
+ */
+export function formatPrivacyNotice(fileName, report) {
+	if (!report) return null;
+
+	const list = (categories) => {
+		const labels = categories.map(category => CATEGORY_LABELS[category]);
+		return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels.at(-1)}` : labels[0];
+	};
+	const locationKept = report.kept.includes('location');
+
+	let notice;
+	if (report.removed.length > 0) {
+		notice = `${list(report.removed)} removed from ${fileName}${locationKept ? ` (${CATEGORY_LABELS.location} kept)` : ''}`;
+	} else if (locationKept) {
+		notice = `${CATEGORY_LABELS.location} kept in ${fileName}`;
+	} else {
+		return null;
+	}
+	return notice.charAt(0).toUpperCase() + notice.slice(1);
+}
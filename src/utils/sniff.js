@@ -0,0 +1,39 @@
+/**
+ * Content sniffing helpers: what a file really is, judged by its first bytes
+ * instead of its MIME type or extension. The per-format detectors are in formats.js.
+ */
+
+// Enough for the ftyp box of any real HEIF file and every other signature we check
+export const SNIFF_LENGTH = 256;
+
+// ftyp brands of HEVC-coded HEIF (HEIC) and of generic HEIF image/sequence files
+export const HEIF_BRANDS = new Set([
+	'heic', 'heix', 'heim', 'heis', // HEVC still images
+	'hevc', 'hevx', 'hevm', 'hevs', // HEVC image sequences
+	'mif1', 'mif2', 'msf1',         // generic HEIF image / sequence structure
+	'avci', 'avcs'                  // AVC-coded HEIF
+]);
+
+/**
+ * Reads the ISO-BMFF `ftyp` box at the start of a file.
+ * @param {Uint8Array} bytes
+ * @returns {{ majorBrand: string, minorVersion: number, compatibleBrands: string[] }|null}
+ */
+export function readFtyp(bytes) {
+	if (bytes.length < 16) return null;
+
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const size = view.getUint32(0);
+	const fourCC = (offset) => String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+
+	if (fourCC(4) !== 'ftyp' || size < 16 || size % 4 !== 0) return null;
+
+	// Brands past what we read are ignored; the major brand is what matters most
+	const end = Math.min(size, bytes.length);
+	const compatibleBrands = [];
+	for (let offset = 16; offset + 4 <= end; offset += 4) {
+		compatibleBrands.push(fourCC(offset));
+	}
+
+	return { majorBrand: fourCC(8), minorVersion: view.getUint32(12), compatibleBrands };
+}
@@ -0,0 +1,29 @@
+import UTIF from 'utif';
+
+// NewSubfileType bit 0: a reduced-resolution copy (thumbnail) of another page
+const REDUCED_RESOLUTION = 1;
+
+/**
+ * Decodes the pages of a TIFF file to 8-bit RGBA.
+ * @param {ArrayBuffer} buffer
+ * @param {object} [options]
+ * @param {boolean} [options.allPages] - Decode every page instead of just the first
+ * @returns {Array<{ data: Uint8ClampedArray, width: number, height: number }>}
+ */
+export function decodeTiff(buffer, { allPages = true } = {}) {
+	const ifds = UTIF.decode(buffer);
+	const pages = ifds.filter(ifd => ifd.t256 && !((ifd.t254?.[0] ?? 0) & REDUCED_RESOLUTION));
+	if (pages.length === 0) {
+		throw new Error('TIFF file contains no image');
+	}
+
+	return (allPages ? pages : pages.slice(0, 1)).map((ifd) => {
+		UTIF.decodeImage(buffer, ifd, ifds);
+		const rgba = UTIF.toRGBA8(ifd);
+		return {
+			data: new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.byteLength),
+			width: ifd.width,
+			height: ifd.height
+		};
+	});
+}
@@ -116,10 +116,14 @@ test.describe('Extension Manifest Validation', () => {
 		// 権限の確認
 		expect(manifest.permissions).toContain('offscreen');
 		expect(manifest.permissions).toContain('storage');
+		expect(manifest.permissions).toContain('scripting');
+		// GHES などの追加ホストは実行時に許可を求める
+		expect(manifest.optional_host_permissions).toContain('https://*/*');
 
 		// content_scripts の確認
 		expect(manifest.content_scripts).toBeDefined();
 		expect(manifest.content_scripts[0].matches).toContain('https://github.com/*');
+		expect(manifest.content_scripts[0].matches).toContain('https://*.github.com/*');
 
 		// sandbox の確認
 		expect(manifest.sandbox).toBeDefined();
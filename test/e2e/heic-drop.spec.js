@@ -4,6 +4,7 @@ import fs from 'fs';
 
 const HEIC_FIXTURE_PATH = path.resolve('./test/fixtures/sample.heic');
 const TEST_PAGE_URL = 'http://localhost:3333/test-page.html';
+const GITLAB_PAGE_URL = 'http://localhost:3333/gitlab-page.html';
 const EXTENSION_PATH = path.resolve('./dist');
 
 // persistent contextを使用するカスタムテストフィクスチャ
@@ -227,3 +228,87 @@ test.describe('HEIC Drop Event Conversion', () => {
 		expect(hasConversionLog).toBe(true);
 	});
 });
+
+test.describe('HEIC File Input Conversion', () => {
+	test('should replace the FileList before page handlers see the change event', async ({ page, extensionId }) => {
+		console.log('Extension ID:', extensionId);
+
+		const consoleLogs = [];
+		page.on('console', msg => consoleLogs.push(msg.text()));
+
+		await page.goto(TEST_PAGE_URL);
+		await page.waitForTimeout(2000);
+
+		const loaded = consoleLogs.some(l => l.includes('GitHub HEIC to JPEG Converter loaded'));
+		if (!loaded) {
+			test.skip(true, 'Extension not loaded');
+			return;
+		}
+
+		// ファイル選択ダイアログでの選択をシミュレート（input / change が発火する）
+		await page.locator('#file-input').setInputFiles(HEIC_FIXTURE_PATH);
+
+		// ページ側の change ハンドラが変換後のファイルだけを受け取るまで待つ
+		await page.waitForFunction(() => window.fileInputChanges.length > 0, null, { timeout: 60000 });
+		const changes = await page.evaluate(() => window.fileInputChanges);
+		console.log('Files seen by the page:', JSON.stringify(changes));
+
+		expect(changes).toHaveLength(1);
+		expect(changes[0].length).toBeGreaterThan(0);
+		for (const file of changes[0]) {
+			expect(file.type).not.toBe('image/heic');
+			expect(file.name).not.toMatch(/\.heic$/i);
+		}
+
+		// プレースホルダーは同じ file-attachment 内のテキストエリアに出て、完了後に消える
+		expect(await page.locator('#attachment-area').inputValue()).not.toContain('![Converting');
+	});
+});
+
+test.describe('HEIC Conversion on Other Forges', () => {
+	test('should convert a drop on the GitLab drop zone and hand the JPEG to GitLab', async ({ page, extensionId }) => {
+		console.log('Extension ID:', extensionId);
+
+		const consoleLogs = [];
+		page.on('console', msg => consoleLogs.push(msg.text()));
+
+		await page.goto(GITLAB_PAGE_URL);
+		await page.waitForTimeout(2000);
+
+		const loaded = consoleLogs.some(l => l.includes('GitHub HEIC to JPEG Converter loaded'));
+		if (!loaded) {
+			test.skip(true, 'Extension not loaded');
+			return;
+		}
+
+		const heicBase64 = fs.readFileSync(HEIC_FIXTURE_PATH).toString('base64');
+
+		// textarea ではなくそれを包む Dropzone にドロップする
+		await page.evaluate(({ base64Data }) => {
+			const bytes = Uint8Array.from(atob(base64Data), c => c.charCodeAt(0));
+			const dataTransfer = new DataTransfer();
+			dataTransfer.items.add(new File([bytes], 'sample.heic', { type: 'image/heic' }));
+
+			document.getElementById('dropzone').dispatchEvent(new DragEvent('drop', {
+				bubbles: true,
+				cancelable: true,
+				dataTransfer
+			}));
+		}, { base64Data: heicBase64 });
+
+		// プレースホルダーは Dropzone 内の textarea に出る
+		await expect(page.locator('#note-body')).toHaveValue(/!\[Converting/, { timeout: 10000 });
+
+		// GitLab 側のハンドラが変換後のファイルだけを受け取るまで待つ
+		await page.waitForFunction(() => window.receivedFiles.length > 0, null, { timeout: 60000 });
+		const received = await page.evaluate(() => window.receivedFiles);
+		console.log('Files seen by the page:', JSON.stringify(received));
+
+		expect(received).toHaveLength(1);
+		expect(received[0].source).toBe('drop');
+		for (const file of received[0].files) {
+			expect(file.type).not.toBe('image/heic');
+		}
+		expect(await page.locator('#note-body').inputValue()).not.toContain('![Converting');
+	});
+});
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// メタデータ（EXIF/XMP）検証用のHEIFフィクスチャを生成する
+// 画素データは含まない（コンテナ解析とプライバシー処理のテスト専用）
+//
+// 使い方: node test/fixtures/generate-metadata-fixtures.mjs
+
+import { writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = dirname(fileURLToPath(import.meta.url));
+
+const ascii = (s) => Array.from(s, c => c.charCodeAt(0));
+const utf8 = (s) => Array.from(new TextEncoder().encode(s));
+
+function uint(value, size, littleEndian) {
+	const bytes = [];
+	for (let i = size - 1; i >= 0; i--) bytes.push((value / 2 ** (8 * i)) & 0xff);
+	return littleEndian ? bytes.reverse() : bytes;
+}
+
+const u16 = (n) => uint(n, 2, false);
+const u32 = (n) => uint(n, 4, false);
+
+// ---- TIFF (EXIF) ----
+
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+
+// タグ値のヘルパー（type, count, value bytes を返す）
+const field = {
+	ascii: (s) => ({ type: 2, values: [...ascii(s), 0], count: s.length + 1 }),
+	short: (...n) => ({ type: 3, values: n, count: n.length }),
+	long: (...n) => ({ type: 4, values: n, count: n.length }),
+	rational: (...pairs) => ({ type: 5, values: pairs.flat(), count: pairs.length })
+};
+
+function encodeValues({ type, values }, littleEndian) {
+	if (type === 2) return values;
+	const size = type === 5 ? 4 : TYPE_SIZES[type];
+	return values.flatMap(v => uint(v, size, littleEndian));
+}
+
+/**
+ * IFD0 と Exif/GPS サブIFDから TIFF ブロックを組み立てる
+ * @param {object} ifds - { ifd0, exif, gps }: tag -> field
+ * @param {boolean} littleEndian
+ * @returns {number[]}
+ */
+function buildTiff({ ifd0 = {}, exif = {}, gps = {} }, littleEndian) {
+	const tables = [{ ...ifd0 }];
+	const subIfds = [[0x8769, exif], [0x8825, gps]].filter(([, entries]) => Object.keys(entries).length > 0);
+	for (const [tag, entries] of subIfds) {
+		tables[0][tag] = field.long(0); // オフセットは後で埋める
+		tables.push(entries);
+	}
+
+	const sizeOf = (entries) => Object.values(entries).reduce((sum, f) => {
+		const length = encodeValues(f, littleEndian).length;
+		return sum + (length > 4 ? length + (length & 1) : 0);
+	}, 2 + Object.keys(entries).length * 12 + 4);
+
+	const offsets = [];
+	let offset = 8;
+	for (const entries of tables) {
+		offsets.push(offset);
+		offset += sizeOf(entries);
+	}
+	subIfds.forEach(([tag], i) => {
+		tables[0][tag] = field.long(offsets[i + 1]);
+	});
+
+	const bytes = [...ascii(littleEndian ? 'II' : 'MM'), ...uint(42, 2, littleEndian), ...uint(8, 4, littleEndian)];
+	tables.forEach((entries, t) => {
+		const tags = Object.keys(entries).map(Number).sort((a, b) => a - b);
+		const head = [...uint(tags.length, 2, littleEndian)];
+		const data = [];
+		let dataOffset = offsets[t] + 2 + tags.length * 12 + 4;
+
+		for (const tag of tags) {
+			const f = entries[tag];
+			const value = encodeValues(f, littleEndian);
+			head.push(...uint(tag, 2, littleEndian), ...uint(f.type, 2, littleEndian), ...uint(f.count, 4, littleEndian));
+			if (value.length <= 4) {
+				head.push(...value, ...new Array(4 - value.length).fill(0));
+			} else {
+				head.push(...uint(dataOffset, 4, littleEndian));
+				const padded = value.length & 1 ? [...value, 0] : value;
+				data.push(...padded);
+				dataOffset += padded.length;
+			}
+		}
+		bytes.push(...head, 0, 0, 0, 0, ...data);
+	});
+
+	return bytes;
+}
+
+// ---- HEIF ----
+
+function box(type, ...parts) {
+	const body = parts.flat();
+	return [...u32(8 + body.length), ...ascii(type), ...body];
+}
+
+function fullBox(type, version, ...parts) {
+	return box(type, [version, 0, 0, 0], ...parts);
+}
+
+/**
+ * 画像アイテム1つと、任意の Exif / XMP アイテムを持つ HEIF を組み立てる
+ * @param {{ tiff?: number[], xmp?: string }} metadata
+ * @returns {Uint8Array}
+ */
+function buildHeif({ tiff, xmp }) {
+	const ftyp = box('ftyp', ascii('heic'), u32(0), ascii('mif1'), ascii('heic'));
+	const payloads = [];
+	const infes = [fullBox('infe', 2, u16(1), u16(0), ascii('hvc1'), 0)];
+
+	if (tiff) {
+		infes.push(fullBox('infe', 2, u16(2), u16(0), ascii('Exif'), 0));
+		payloads.push({ id: 2, bytes: [...u32(0), ...tiff] });
+	}
+	if (xmp) {
+		infes.push(fullBox('infe', 2, u16(3), u16(0), ascii('mime'), 0, ascii('application/rdf+xml'), 0));
+		payloads.push({ id: 3, bytes: utf8(xmp) });
+	}
+
+	const buildMeta = (dataStart) => {
+		let offset = dataStart;
+		const locations = payloads.map(({ id, bytes }) => {
+			const location = [...u16(id), ...u16(0), ...u16(1), ...u32(offset), ...u32(bytes.length)];
+			offset += bytes.length;
+			return location;
+		});
+		return fullBox('meta', 0,
+			fullBox('hdlr', 0, u32(0), ascii('pict'), u32(0), u32(0), u32(0), 0),
+			fullBox('iinf', 0, u16(infes.length), ...infes),
+			fullBox('iloc', 0, u16(0x4400), u16(payloads.length), ...locations)
+		);
+	};
+
+	// meta の長さはオフセットに依存しないので、先に測ってから mdat の位置を決める
+	const dataStart = ftyp.length + buildMeta(0).length + 8;
+	const mdat = box('mdat', ...payloads.map(p => p.bytes));
+	return new Uint8Array([...ftyp, ...buildMeta(dataStart), ...mdat]);
+}
+
+// ---- Fixtures ----
+
+const XMP_FULL = `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:exif="http://ns.adobe.com/exif/1.0/"
+    xmlns:tiff="http://ns.adobe.com/tiff/1.0/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+   <exif:GPSLatitude>35,39.484N</exif:GPSLatitude>
+   <exif:GPSLongitude>139,44.700E</exif:GPSLongitude>
+   <tiff:Model>iPhone 15 Pro</tiff:Model>
+   <xmp:CreateDate>2024-05-01T12:34:56+09:00</xmp:CreateDate>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>`;
+
+const XMP_LOCATION_ONLY = `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:exif="http://ns.adobe.com/exif/1.0/">
+   <exif:GPSLatitude>35,39.484N</exif:GPSLatitude>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>`;
+
+const fixtures = {
+	// iPhone と同じビッグエンディアン。位置情報・端末情報・撮影日時をすべて含む
+	'metadata-full.heif': buildHeif({
+		tiff: buildTiff({
+			ifd0: {
+				0x010f: field.ascii('Apple'),
+				0x0110: field.ascii('iPhone 15 Pro'),
+				0x0112: field.short(6),
+				0x0131: field.ascii('17.4.1'),
+				0x0132: field.ascii('2024:05:01 12:34:56')
+			},
+			exif: {
+				0x9003: field.ascii('2024:05:01 12:34:56'),
+				0x9011: field.ascii('+09:00'),
+				0xa431: field.ascii('F2LXK0ABC123'),
+				0xa434: field.ascii('iPhone 15 Pro back triple camera 6.86mm f/1.78')
+			},
+			gps: {
+				0x0001: field.ascii('N'),
+				0x0002: field.rational([35, 1], [39, 1], [2904, 100]),
+				0x0003: field.ascii('E'),
+				0x0004: field.rational([139, 1], [44, 1], [4200, 100])
+			}
+		}, false),
+		xmp: XMP_FULL
+	}),
+	// リトルエンディアン。向きと撮影日時のみ
+	'metadata-date-only.heif': buildHeif({
+		tiff: buildTiff({
+			ifd0: { 0x0112: field.short(6) },
+			exif: { 0x9003: field.ascii('2024:05:01 12:34:56') }
+		}, true)
+	}),
+	// EXIF なし、XMP に位置情報のみ
+	'metadata-xmp-location.heif': buildHeif({ xmp: XMP_LOCATION_ONLY })
+};
+
+for (const [name, bytes] of Object.entries(fixtures)) {
+	writeFileSync(join(FIXTURES_DIR, name), bytes);
+	console.log(`Wrote ${name} (${bytes.length} bytes)`);
+}
@@ -1,8 +1,37 @@
 import 'fake-indexeddb/auto';
 import { vi } from 'vitest';
 
+// jsdom's Blob does not implement arrayBuffer()
+if (!Blob.prototype.arrayBuffer) {
+	Blob.prototype.arrayBuffer = function () {
+		return new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.onload = () => resolve(reader.result);
+			reader.onerror = () => reject(reader.error);
+			reader.readAsArrayBuffer(this);
+		});
+	};
+}
+
+// chrome.storage.onChanged Mock (shared by all storage areas)
+const createStorageEventMock = () => {
+	const listeners = [];
+
+	return {
+		addListener: vi.fn((callback) => listeners.push(callback)),
+		removeListener: vi.fn((callback) => {
+			const index = listeners.indexOf(callback);
+			if (index > -1) listeners.splice(index, 1);
+		}),
+		_emit: (changes, areaName) => listeners.forEach(listener => listener(changes, areaName)),
+		_reset: () => { listeners.length = 0; }
+	};
+};
+
+const storageOnChanged = createStorageEventMock();
+
 // Chrome Storage API Mock
-const createStorageMock = () => {
+const createStorageMock = (areaName) => {
 	let storage = {};
 
 	return {
@@ -18,7 +47,11 @@ const createStorageMock = () => {
 			);
 		}),
 		set: vi.fn((items) => {
+			const changes = Object.fromEntries(
+				Object.entries(items).map(([k, v]) => [k, { oldValue: storage[k], newValue: v }])
+			);
 			Object.assign(storage, items);
+			storageOnChanged._emit(changes, areaName);
 			return Promise.resolve();
 		}),
 		remove: vi.fn((keys) => {
@@ -65,17 +98,66 @@ const createOffscreenMock = () => ({
 	createDocument: vi.fn(() => Promise.resolve())
 });
 
+// Chrome Permissions API Mock (granted origin patterns)
+const createPermissionsMock = () => {
+	let origins = new Set();
+
+	return {
+		contains: vi.fn(({ origins: requested = [] }) => Promise.resolve(requested.every(o => origins.has(o)))),
+		request: vi.fn(({ origins: requested = [] }) => {
+			requested.forEach(o => origins.add(o));
+			return Promise.resolve(true);
+		}),
+		remove: vi.fn(({ origins: removed = [] }) => {
+			removed.forEach(o => origins.delete(o));
+			return Promise.resolve(true);
+		}),
+		_reset: () => { origins = new Set(); }
+	};
+};
+
+// Chrome Scripting API Mock (dynamically registered content scripts)
+const createScriptingMock = () => {
+	let scripts = [];
+
+	return {
+		getRegisteredContentScripts: vi.fn(({ ids } = {}) =>
+			Promise.resolve(scripts.filter(script => !ids || ids.includes(script.id)))
+		),
+		registerContentScripts: vi.fn((newScripts) => {
+			if (newScripts.some(script => scripts.some(existing => existing.id === script.id))) {
+				return Promise.reject(new Error('Duplicate script ID'));
+			}
+			scripts.push(...newScripts);
+			return Promise.resolve();
+		}),
+		unregisterContentScripts: vi.fn(({ ids } = {}) => {
+			scripts = scripts.filter(script => ids && !ids.includes(script.id));
+			return Promise.resolve();
+		}),
+		_reset: () => { scripts = []; }
+	};
+};
+
 // Global chrome mock
 global.chrome = {
 	storage: {
-		local: createStorageMock()
+		local: createStorageMock('local'),
+		sync: createStorageMock('sync'),
+		onChanged: storageOnChanged
 	},
 	runtime: createRuntimeMock(),
-	offscreen: createOffscreenMock()
+	offscreen: createOffscreenMock(),
+	permissions: createPermissionsMock(),
+	scripting: createScriptingMock()
 };
 
 // Reset mocks before each test
 beforeEach(() => {
 	vi.clearAllMocks();
 	global.chrome.storage.local._reset();
+	global.chrome.storage.sync._reset();
+	global.chrome.storage.onChanged._reset();
+	global.chrome.permissions._reset();
+	global.chrome.scripting._reset();
 });
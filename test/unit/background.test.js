@@ -0,0 +1,274 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { PORT_NAMES, MESSAGE_TYPES } from '../../src/messaging.js';
+import { saveImage, getImage, getJob, updateJob, saveCachedResult, JOB_STATES } from '../../src/db.js';
+import { lowerMaxDimension } from '../../src/utils/image.js';
+
+vi.mock('../../src/db.js', async (importOriginal) => {
+	const db = await importOriginal();
+	return { ...db, updateJob: vi.fn(db.updateJob), saveCachedResult: vi.fn(db.saveCachedResult) };
+});
+
+// background.js の JOB_STALL_TIMEOUT_MS と同じ値
+const JOB_STALL_TIMEOUT_MS = 120000;
+
+/**
+ * chrome.runtime のイベント（onConnect など）のモック
+ */
+function createEvent() {
+	const listeners = [];
+	return {
+		addListener: (listener) => listeners.push(listener),
+		_emit: (...args) => listeners.forEach(listener => listener(...args))
+	};
+}
+
+/**
+ * chrome.runtime.Port のモック
+ */
+function createPort(name) {
+	const port = {
+		name,
+		sender: { tab: { id: 1 } },
+		postMessage: vi.fn(),
+		disconnect: vi.fn(),
+		onMessage: createEvent(),
+		onDisconnect: createEvent(),
+		_receive: (message) => port.onMessage._emit(message, port),
+		_disconnect: () => port.onDisconnect._emit(port)
+	};
+	return port;
+}
+
+/**
+ * ポートに送られた、指定した種類のメッセージ
+ */
+function sent(port, type) {
+	return port.postMessage.mock.calls.map(([message]) => message).filter(message => message.type === type);
+}
+
+describe('background.js', () => {
+	let offscreenPort;
+
+	/**
+	 * content script としてポートを開き、変換をリクエストする
+	 * （バイト列はジョブごとに変え、前のテストの変換キャッシュに当たらないようにする）
+	 */
+	async function requestConversion(requestId) {
+		const port = createPort(PORT_NAMES.CONTENT);
+		chrome.runtime.onConnect._emit(port);
+		port._receive({ type: MESSAGE_TYPES.REQUEST_CHUNK, requestId, data: btoa(requestId) });
+		port._receive({ type: MESSAGE_TYPES.REQUEST, requestId, fileName: 'a.heic', mimeType: 'image/heic', size: requestId.length, chunkCount: 1 });
+
+		// offscreen に渡るまで待つ
+		await vi.waitFor(() => expect(sent(offscreenPort, MESSAGE_TYPES.REQUEST).map(message => message.requestId)).toContain(requestId));
+		return port;
+	}
+
+	/**
+	 * 変換をリクエストし、offscreen からのエラーで失敗させる
+	 */
+	async function failConversion(requestId) {
+		const port = await requestConversion(requestId);
+		offscreenPort._receive({ type: MESSAGE_TYPES.ERROR, requestId, error: 'Decoder crashed' });
+		await vi.waitFor(async () => expect((await getJob(requestId))?.state).toBe(JOB_STATES.FAILED));
+		return port;
+	}
+
+	/**
+	 * content script として新しいポートを開き、メッセージを送る
+	 */
+	function sendFromContent(message) {
+		const port = createPort(PORT_NAMES.CONTENT);
+		chrome.runtime.onConnect._emit(port);
+		port._receive(message);
+		return port;
+	}
+
+	beforeAll(async () => {
+		chrome.runtime.onConnect = createEvent();
+		chrome.runtime.onInstalled = createEvent();
+		chrome.runtime.onStartup = createEvent();
+		chrome.permissions.onAdded = createEvent();
+		chrome.permissions.onRemoved = createEvent();
+		chrome.alarms = { create: vi.fn(), clear: vi.fn(), onAlarm: createEvent() };
+		chrome.tabs = { get: vi.fn(() => Promise.resolve({ id: 1 })) };
+		// offscreen document は作成されるとポートを開いて OFFSCREEN_READY を送る
+		chrome.offscreen.createDocument = vi.fn(() => {
+			offscreenPort = createPort(PORT_NAMES.OFFSCREEN);
+			queueMicrotask(() => {
+				chrome.runtime.onConnect._emit(offscreenPort);
+				offscreenPort._receive({ type: MESSAGE_TYPES.OFFSCREEN_READY, poolSize: 1 });
+			});
+			return Promise.resolve();
+		});
+
+		await import('../../src/background.js');
+	});
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	describe('stalled conversions', () => {
+		it('should fail a job offscreen never answers', async () => {
+			const port = await requestConversion('stuck');
+
+			vi.advanceTimersByTime(JOB_STALL_TIMEOUT_MS / 2);
+			expect(sent(port, MESSAGE_TYPES.ERROR)).toEqual([]);
+
+			vi.advanceTimersByTime(JOB_STALL_TIMEOUT_MS / 2);
+			expect(sent(port, MESSAGE_TYPES.ERROR)).toEqual([
+				{ type: MESSAGE_TYPES.ERROR, requestId: 'stuck', error: expect.stringContaining('timed out') }
+			]);
+			expect(sent(offscreenPort, MESSAGE_TYPES.CANCEL)).toEqual([{ type: MESSAGE_TYPES.CANCEL, requestId: 'stuck' }]);
+		});
+
+		it('should give a job that reports progress more time', async () => {
+			const port = await requestConversion('slow');
+
+			vi.advanceTimersByTime(JOB_STALL_TIMEOUT_MS - 1000);
+			offscreenPort._receive({ type: MESSAGE_TYPES.PROGRESS, requestId: 'slow' });
+			vi.advanceTimersByTime(JOB_STALL_TIMEOUT_MS - 1000);
+
+			expect(sent(port, MESSAGE_TYPES.ERROR)).toEqual([]);
+		});
+
+		it('should not fail a job once its result is in', async () => {
+			const port = await requestConversion('done');
+
+			await saveImage('result_done', { files: [{ blob: new Blob(['jpeg']), fileName: 'a.jpg', mimeType: 'image/jpeg' }] });
+			offscreenPort._receive({ type: MESSAGE_TYPES.RESULT, requestId: 'done' });
+			await vi.waitFor(() => expect(sent(port, MESSAGE_TYPES.RESULT)).toHaveLength(1));
+			vi.advanceTimersByTime(JOB_STALL_TIMEOUT_MS);
+
+			expect(sent(port, MESSAGE_TYPES.ERROR)).toEqual([]);
+		});
+	});
+
+	describe('result delivery', () => {
+		it('should cache the result even though the content script disconnects on receiving it', async () => {
+			const port = await requestConversion('cached');
+			port.postMessage.mockImplementation((message) => {
+				if (message.type === MESSAGE_TYPES.RESULT) port._disconnect();
+			});
+
+			await saveImage('result_cached', { files: [{ blob: new Blob(['jpeg']), fileName: 'a.jpg', mimeType: 'image/jpeg' }] });
+			offscreenPort._receive({ type: MESSAGE_TYPES.RESULT, requestId: 'cached' });
+
+			await vi.waitFor(() => expect(saveCachedResult).toHaveBeenCalled());
+			expect(sent(offscreenPort, MESSAGE_TYPES.CANCEL)).not.toContainEqual({ type: MESSAGE_TYPES.CANCEL, requestId: 'cached' });
+		});
+
+		it('should report a result missing from IndexedDB as an error', async () => {
+			const port = await requestConversion('lost');
+
+			offscreenPort._receive({ type: MESSAGE_TYPES.RESULT, requestId: 'lost' });
+
+			await vi.waitFor(() => expect(sent(port, MESSAGE_TYPES.ERROR)).toEqual([
+				{ type: MESSAGE_TYPES.ERROR, requestId: 'lost', error: expect.stringContaining('No result found') }
+			]));
+		});
+
+		it('should report a failed job update as an error', async () => {
+			const port = await requestConversion('unsaved');
+			updateJob.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+			offscreenPort._receive({ type: MESSAGE_TYPES.RESULT, requestId: 'unsaved' });
+
+			await vi.waitFor(() => expect(sent(port, MESSAGE_TYPES.ERROR)).toEqual([
+				{ type: MESSAGE_TYPES.ERROR, requestId: 'unsaved', error: 'Quota exceeded' }
+			]));
+			expect(sent(port, MESSAGE_TYPES.RESULT)).toEqual([]);
+		});
+	});
+
+	describe('custom hosts', () => {
+		it('should not register the content script twice when host events overlap', async () => {
+			const hosts = ['https://ghe.example.com', 'https://gitea.example.com'];
+
+			await chrome.storage.sync.set({ customHosts: hosts });
+			await chrome.permissions.request({ origins: hosts.map(host => `${host}/*`) });
+
+			// 2 つのホストを続けて追加すると、前の同期が終わる前に次の permissions.onAdded が届く
+			chrome.permissions.onAdded._emit({ origins: [`${hosts[0]}/*`] });
+			chrome.permissions.onAdded._emit({ origins: [`${hosts[1]}/*`] });
+
+			await vi.waitFor(() => expect(chrome.scripting.registerContentScripts).toHaveBeenCalledTimes(2));
+			const results = await Promise.allSettled(chrome.scripting.registerContentScripts.mock.results.map(result => result.value));
+			expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled']);
+			const scripts = await chrome.scripting.getRegisteredContentScripts();
+			expect(scripts.map(script => script.matches)).toEqual([hosts.map(host => `${host}/*`)]);
+		});
+	});
+
+	describe('failed jobs', () => {
+		beforeEach(async () => {
+			// fake-indexeddb は Blob を中身のないオブジェクトとして返すため、
+			// 保管したバイト列を読むキャッシュキーの計算を切っておく
+			await chrome.storage.sync.set({ cacheSizeMB: 0 });
+		});
+
+		it('should keep the request bytes of a timed-out job whose result comes in late', async () => {
+			await requestConversion('late');
+			vi.advanceTimersByTime(JOB_STALL_TIMEOUT_MS);
+			await vi.waitFor(async () => expect((await getJob('late'))?.state).toBe(JOB_STATES.FAILED));
+
+			await saveImage('result_late', { files: [{ blob: new Blob(['jpeg']), fileName: 'a.jpg', mimeType: 'image/jpeg' }] });
+			offscreenPort._receive({ type: MESSAGE_TYPES.RESULT, requestId: 'late' });
+
+			await vi.waitFor(async () => expect(await getImage('result_late')).toBeUndefined());
+			expect((await getJob('late'))?.state).toBe(JOB_STATES.FAILED);
+			expect(await getImage('request_late')).toBeDefined();
+		});
+
+		it('should convert a failed job again from its kept bytes on RETRY', async () => {
+			await failConversion('again');
+
+			sendFromContent({ type: MESSAGE_TYPES.RETRY, requestId: 'again', lowerResolution: false });
+
+			await vi.waitFor(() => expect(sent(offscreenPort, MESSAGE_TYPES.REQUEST).map(message => message.requestId)).toEqual(['again', 'again']));
+			expect((await getJob('again'))?.state).toBe(JOB_STATES.CONVERTING);
+		});
+
+		it('should lower the resolution when asked to', async () => {
+			await failConversion('smaller');
+
+			sendFromContent({ type: MESSAGE_TYPES.RETRY, requestId: 'smaller', lowerResolution: true });
+
+			await vi.waitFor(() => expect(sent(offscreenPort, MESSAGE_TYPES.REQUEST)).toHaveLength(2));
+			const [, retry] = sent(offscreenPort, MESSAGE_TYPES.REQUEST);
+			expect(retry.settings.maxDimension).toBe(lowerMaxDimension(0));
+		});
+
+		it('should report a retry whose bytes are gone as an error', async () => {
+			const port = sendFromContent({ type: MESSAGE_TYPES.RETRY, requestId: 'forgotten', lowerResolution: false });
+
+			await vi.waitFor(() => expect(sent(port, MESSAGE_TYPES.ERROR)).toEqual([
+				{ type: MESSAGE_TYPES.ERROR, requestId: 'forgotten', error: expect.stringContaining('no longer available') }
+			]));
+		});
+
+		it('should not retry a job that has not failed', async () => {
+			await requestConversion('running');
+
+			const port = sendFromContent({ type: MESSAGE_TYPES.RETRY, requestId: 'running', lowerResolution: false });
+
+			await vi.waitFor(() => expect(sent(port, MESSAGE_TYPES.ERROR)).toHaveLength(1));
+			expect(sent(offscreenPort, MESSAGE_TYPES.REQUEST)).toHaveLength(1);
+		});
+
+		it('should free a failed job on DISCARD', async () => {
+			await failConversion('unwanted');
+
+			sendFromContent({ type: MESSAGE_TYPES.DISCARD, requestId: 'unwanted' });
+
+			await vi.waitFor(async () => expect(await getJob('unwanted')).toBeUndefined());
+			expect(await getImage('request_unwanted')).toBeUndefined();
+		});
+	});
+});
+
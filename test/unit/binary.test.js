@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+	bytesToBase64,
+	base64ToBytes,
+	blobToChunks,
+	sha256Hex,
+	createChunkCollector,
+	postBlobChunks
+} from '../../src/utils/binary.js';
+
+describe('utils/binary.js', () => {
+	describe('bytesToBase64 / base64ToBytes', () => {
+		it('should round-trip arbitrary bytes', () => {
+			const bytes = new Uint8Array(256).map((_, i) => i);
+			expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+		});
+
+		it('should produce plain base64 without a data URL prefix', () => {
+			const result = bytesToBase64(new TextEncoder().encode('Hello'));
+			expect(result).toBe('SGVsbG8=');
+		});
+
+		it('should handle inputs larger than the fromCharCode slice size', () => {
+			const bytes = new Uint8Array(100000).map((_, i) => i % 251);
+			expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+		});
+
+		it('should handle empty input', () => {
+			expect(bytesToBase64(new Uint8Array(0))).toBe('');
+			expect(base64ToBytes('')).toEqual(new Uint8Array(0));
+		});
+	});
+
+	describe('blobToChunks', () => {
+		it('should split a blob into chunks of the given size', async () => {
+			const blob = new Blob([new Uint8Array(10).fill(7)]);
+			const chunks = [];
+			for await (const chunk of blobToChunks(blob, 4)) {
+				chunks.push(base64ToBytes(chunk).length);
+			}
+			expect(chunks).toEqual([4, 4, 2]);
+		});
+
+		it('should yield nothing for an empty blob', async () => {
+			const chunks = [];
+			for await (const chunk of blobToChunks(new Blob([]))) {
+				chunks.push(chunk);
+			}
+			expect(chunks).toEqual([]);
+		});
+	});
+
+	describe('sha256Hex', () => {
+		it('should hash the blob bytes to lowercase hex', async () => {
+			expect(await sha256Hex(new Blob(['abc']))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+		});
+	});
+
+	describe('createChunkCollector', () => {
+		it('should reassemble chunks into a typed blob', async () => {
+			const collector = createChunkCollector();
+			collector.add('job', bytesToBase64(new Uint8Array([1, 2])));
+			collector.add('job', bytesToBase64(new Uint8Array([3])));
+
+			const blob = collector.take('job', 'image/heic', 2);
+
+			expect(blob.type).toBe('image/heic');
+			expect(new Uint8Array(await blob.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3]));
+		});
+
+		it('should keep chunks of different requests apart', async () => {
+			const collector = createChunkCollector();
+			collector.add('a', bytesToBase64(new Uint8Array([1])));
+			collector.add('b', bytesToBase64(new Uint8Array([2])));
+
+			expect(collector.take('a').size).toBe(1);
+			expect(collector.take('b').size).toBe(1);
+		});
+
+		it('should throw when the chunk count does not match', () => {
+			const collector = createChunkCollector();
+			collector.add('job', bytesToBase64(new Uint8Array([1])));
+
+			expect(() => collector.take('job', '', 2)).toThrow(/expected 2 chunks, got 1/);
+		});
+
+		it('should forget discarded requests', () => {
+			const collector = createChunkCollector();
+			collector.add('job', bytesToBase64(new Uint8Array([1])));
+			collector.discard('job');
+
+			expect(collector.take('job').size).toBe(0);
+		});
+	});
+
+	describe('postBlobChunks', () => {
+		it('should post one message per chunk and return the count', async () => {
+			const port = { postMessage: vi.fn() };
+			const blob = new Blob([new Uint8Array(3)]);
+
+			const count = await postBlobChunks(port, 'job', blob, 'CHUNK');
+
+			expect(count).toBe(1);
+			expect(port.postMessage).toHaveBeenCalledWith({
+				type: 'CHUNK',
+				requestId: 'job',
+				index: 0,
+				data: 'AAAA'
+			});
+		});
+
+		it('should copy extra fields into every chunk', async () => {
+			const port = { postMessage: vi.fn() };
+			const blob = new Blob([new Uint8Array(3)]);
+
+			await postBlobChunks(port, 'job', blob, 'CHUNK', { fileIndex: 2 });
+
+			expect(port.postMessage).toHaveBeenCalledWith(expect.objectContaining({ fileIndex: 2, index: 0 }));
+		});
+	});
+});
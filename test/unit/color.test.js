@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { readIccColorants, colorTransformFor, convertPixels, P3_TO_SRGB } from '../../src/utils/color.js';
+
+/**
+ * rXYZ/gXYZ/bXYZ タグだけを持つ最小限のRGB ICCプロファイルを作る
+ * @param {number[][]} colorants - [赤, 緑, 青] の XYZ (D50)
+ */
+function buildIcc(colorants) {
+	const tagCount = 3;
+	const dataStart = 128 + 4 + tagCount * 12;
+	const bytes = new Uint8Array(dataStart + tagCount * 20);
+	const view = new DataView(bytes.buffer);
+	const setFourCC = (offset, s) => bytes.set(Array.from(s, c => c.charCodeAt(0)), offset);
+
+	view.setUint32(0, bytes.length);
+	setFourCC(12, 'mntr');
+	setFourCC(16, 'RGB ');
+	setFourCC(20, 'XYZ ');
+	setFourCC(36, 'acsp');
+	view.setUint32(128, tagCount);
+	['rXYZ', 'gXYZ', 'bXYZ'].forEach((signature, i) => {
+		const entry = 132 + i * 12;
+		const offset = dataStart + i * 20;
+		setFourCC(entry, signature);
+		view.setUint32(entry + 4, offset);
+		view.setUint32(entry + 8, 20);
+		setFourCC(offset, 'XYZ ');
+		colorants[i].forEach((value, c) => view.setInt32(offset + 8 + c * 4, Math.round(value * 65536)));
+	});
+	return bytes;
+}
+
+// Apple の Display P3 プロファイルの値
+const DISPLAY_P3 = [
+	[0.515121, 0.241196, -0.001053],
+	[0.291977, 0.692245, 0.041885],
+	[0.157104, 0.066574, 0.784073]
+];
+const SRGB = [
+	[0.4360747, 0.2225045, 0.0139322],
+	[0.3850649, 0.7168786, 0.0971045],
+	[0.1430804, 0.0606169, 0.7141733]
+];
+
+describe('color.js', () => {
+	describe('readIccColorants', () => {
+		it('should read the colorant matrix', () => {
+			const matrix = readIccColorants(buildIcc(DISPLAY_P3));
+
+			// Columns are the colorants
+			expect(matrix[0][0]).toBeCloseTo(0.515121, 4);
+			expect(matrix[1][0]).toBeCloseTo(0.241196, 4);
+			expect(matrix[2][2]).toBeCloseTo(0.784073, 4);
+		});
+
+		it('should reject profiles that are not RGB', () => {
+			const icc = buildIcc(DISPLAY_P3);
+			icc.set([0x47, 0x52, 0x41, 0x59], 16); // 'GRAY'
+
+			expect(readIccColorants(icc)).toBeNull();
+		});
+	});
+
+	describe('colorTransformFor', () => {
+		it('should convert Display P3 signalled by nclx', () => {
+			expect(colorTransformFor({ type: 'nclx', colourPrimaries: 12 }).matrix).toBe(P3_TO_SRGB);
+		});
+
+		it('should leave sRGB and unspecified primaries alone', () => {
+			expect(colorTransformFor({ type: 'nclx', colourPrimaries: 1 })).toBeNull();
+			expect(colorTransformFor({ type: 'nclx', colourPrimaries: 2 })).toBeNull();
+			expect(colorTransformFor(null)).toBeNull();
+		});
+
+		it('should derive the P3 matrix from a Display P3 ICC profile', () => {
+			const { matrix } = colorTransformFor({ type: 'icc', profile: buildIcc(DISPLAY_P3) });
+
+			matrix.forEach((row, r) => row.forEach((value, c) => {
+				expect(value).toBeCloseTo(P3_TO_SRGB[r][c], 2);
+			}));
+		});
+
+		it('should skip an sRGB ICC profile', () => {
+			expect(colorTransformFor({ type: 'icc', profile: buildIcc(SRGB) })).toBeNull();
+		});
+	});
+
+	describe('convertPixels', () => {
+		it('should keep neutral colours and alpha unchanged', () => {
+			const data = new Uint8ClampedArray([0, 0, 0, 255, 128, 128, 128, 10, 255, 255, 255, 0]);
+
+			convertPixels(data, P3_TO_SRGB);
+
+			expect(Array.from(data)).toEqual([0, 0, 0, 255, 128, 128, 128, 10, 255, 255, 255, 0]);
+		});
+
+		it('should clip P3 primaries to the sRGB gamut', () => {
+			const data = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255]);
+
+			convertPixels(data, P3_TO_SRGB);
+
+			expect(Array.from(data.subarray(0, 3))).toEqual([255, 0, 0]);
+			expect(Array.from(data.subarray(4, 7))).toEqual([0, 255, 0]);
+		});
+
+		it('should make P3 colours more saturated in sRGB terms', () => {
+			const data = new Uint8ClampedArray([180, 60, 60, 255]);
+
+			convertPixels(data, P3_TO_SRGB);
+
+			expect(data[0]).toBeGreaterThan(180);
+			expect(data[1]).toBeLessThan(60);
+		});
+	});
+});
@@ -1,50 +1,26 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { claimedFormat } from '../../src/formats.js';
+import { insertPlaceholder, removePlaceholder, replacePlaceholder } from '../../src/editors.js';
+import { formatPlaceholder } from '../../src/utils/placeholder.js';
+import { PROGRESS_STAGES } from '../../src/messaging.js';
+
+const DECODING = { stage: PROGRESS_STAGES.DECODING };
 
 // content.js からエクスポートされていない関数をテストするため、
 // 同じロジックを再現してテスト
 
 /**
- * テキストエリアにプレースホルダーテキストを挿入
+ * 変換対象の形式を MIME タイプまたは拡張子で名乗るファイルか判定
  */
-function insertPlaceholder(textarea, text) {
-	const start = textarea.selectionStart;
-	const end = textarea.selectionEnd;
-	const before = textarea.value.substring(0, start);
-	const after = textarea.value.substring(end);
-
-	textarea.value = before + text + after;
-	textarea.selectionStart = textarea.selectionEnd = start + text.length;
-
-	textarea.dispatchEvent(new Event('input', { bubbles: true }));
-
-	return start;
+function claimsConvertible(file) {
+	return Boolean(claimedFormat(file)?.decoder);
 }
 
 /**
- * テキストエリアからプレースホルダーテキストを削除
+ * 中身を確認する必要があるファイルか判定
  */
-function removePlaceholder(textarea, placeholder, insertPosition) {
-	const value = textarea.value;
-	const placeholderIndex = value.indexOf(placeholder, insertPosition);
-
-	if (placeholderIndex !== -1) {
-		textarea.value = value.substring(0, placeholderIndex) + value.substring(placeholderIndex + placeholder.length);
-		textarea.selectionStart = textarea.selectionEnd = placeholderIndex;
-
-		textarea.dispatchEvent(new Event('input', { bubbles: true }));
-	}
-}
-
-/**
- * ファイルをBase64文字列に変換
- */
-function fileToBase64(file) {
-	return new Promise((resolve, reject) => {
-		const reader = new FileReader();
-		reader.onload = () => resolve(reader.result);
-		reader.onerror = reject;
-		reader.readAsDataURL(file);
-	});
+function needsSniffing(file) {
+	return claimsConvertible(file) || file.type === 'image/jpeg' || file.type === '';
 }
 
 describe('content.js utility functions', () => {
@@ -130,78 +106,144 @@ describe('content.js utility functions', () => {
 			document.body.appendChild(textarea);
 		});
 
-		it('should remove placeholder text', () => {
-			textarea.value = 'Hello [PLACEHOLDER] World';
+		it('should remove the placeholder and its line break', () => {
+			textarea.value = `Hello\n${formatPlaceholder('a.heic', undefined, 'heic-a')}World`;
+
+			expect(removePlaceholder(textarea, 'heic-a')).toBe(true);
+
+			expect(textarea.value).toBe('Hello\nWorld');
+		});
+
+		it('should remove only the placeholder with its token when file names repeat', () => {
+			const first = formatPlaceholder('image.png', undefined, 'heic-1');
+			const second = formatPlaceholder('image.png', undefined, 'heic-2');
+			textarea.value = `${first}${second}`;
 
-			removePlaceholder(textarea, '[PLACEHOLDER]', 0);
+			removePlaceholder(textarea, 'heic-2');
 
-			expect(textarea.value).toBe('Hello  World');
+			expect(textarea.value).toBe(first);
 		});
 
-		it('should search from insertPosition', () => {
-			textarea.value = '[A] text [A] more';
-			// Should find the second [A] starting from position 5
-			removePlaceholder(textarea, '[A]', 5);
+		it('should find a placeholder the user has typed above', () => {
+			textarea.value = formatPlaceholder('a.heic', undefined, 'heic-a');
+			textarea.setRangeText('New paragraph\n\n', 0, 0);
 
-			expect(textarea.value).toBe('[A] text  more');
+			removePlaceholder(textarea, 'heic-a');
+
+			expect(textarea.value).toBe('New paragraph\n\n');
 		});
 
 		it('should not modify if placeholder not found', () => {
-			textarea.value = 'no placeholder here';
+			textarea.value = `no placeholder here ${formatPlaceholder('a.heic', undefined, 'heic-a')}`;
+
+			expect(removePlaceholder(textarea, 'heic-missing')).toBe(false);
 
-			removePlaceholder(textarea, '[MISSING]', 0);
+			expect(textarea.value).toBe(`no placeholder here ${formatPlaceholder('a.heic', undefined, 'heic-a')}`);
+		});
+
+		it('should not remove a placeholder whose text the user has cut into', () => {
+			textarea.value = 'Before\nConverting a.heic...](heic-a)\n';
 
-			expect(textarea.value).toBe('no placeholder here');
+			expect(removePlaceholder(textarea, 'heic-a')).toBe(false);
+			expect(textarea.value).toBe('Before\nConverting a.heic...](heic-a)\n');
 		});
 
 		it('should dispatch input event on removal', () => {
-			textarea.value = 'text [X] more';
+			textarea.value = formatPlaceholder('x.heic', undefined, 'heic-x');
 			const inputHandler = vi.fn();
 			textarea.addEventListener('input', inputHandler);
 
-			removePlaceholder(textarea, '[X]', 0);
+			removePlaceholder(textarea, 'heic-x');
 
 			expect(inputHandler).toHaveBeenCalled();
 		});
 
-		it('should set cursor to removal position', () => {
-			textarea.value = 'ABC[DEL]XYZ';
+		it('should keep the cursor where the user left it', () => {
+			const placeholder = formatPlaceholder('x.heic', undefined, 'heic-x');
+			textarea.value = `ABC${placeholder}XYZ`;
+			textarea.selectionStart = textarea.selectionEnd = textarea.value.length - 1;
 
-			removePlaceholder(textarea, '[DEL]', 0);
+			removePlaceholder(textarea, 'heic-x');
 
-			expect(textarea.selectionStart).toBe(3);
-			expect(textarea.selectionEnd).toBe(3);
+			expect(textarea.value).toBe('ABCXYZ');
+			expect(textarea.selectionStart).toBe(5);
+			expect(textarea.selectionEnd).toBe(5);
 		});
 	});
 
-	describe('fileToBase64', () => {
-		it('should convert file to base64 data URL', async () => {
-			const file = new File(['test content'], 'test.txt', { type: 'text/plain' });
-			const result = await fileToBase64(file);
+	describe('replacePlaceholder', () => {
+		let textarea;
+
+		beforeEach(() => {
+			textarea = document.createElement('textarea');
+			document.body.appendChild(textarea);
+		});
+
+		it('should replace the placeholder text and keep the line break', () => {
+			textarea.value = `Hello ${formatPlaceholder('a.heic', undefined, 'heic-a')}World`;
+
+			const found = replacePlaceholder(textarea, 'heic-a', formatPlaceholder('a.heic', DECODING, 'heic-a'));
+
+			expect(found).toBe(true);
+			expect(textarea.value).toBe(`Hello ${formatPlaceholder('a.heic', DECODING, 'heic-a')}World`);
+		});
+
+		it('should shift a cursor that sits after the placeholder', () => {
+			textarea.value = `${formatPlaceholder('a.heic', undefined, 'heic-a')}typed`;
+			textarea.selectionStart = textarea.selectionEnd = textarea.value.length;
+
+			replacePlaceholder(textarea, 'heic-a', formatPlaceholder('a.heic', DECODING, 'heic-a'));
+
+			expect(textarea.selectionStart).toBe(textarea.value.length);
+			expect(textarea.selectionEnd).toBe(textarea.value.length);
+		});
+
+		it('should keep a cursor that sits before the placeholder', () => {
+			textarea.value = `abc ${formatPlaceholder('a.heic', undefined, 'heic-a')}`;
+			textarea.selectionStart = textarea.selectionEnd = 2;
+
+			replacePlaceholder(textarea, 'heic-a', formatPlaceholder('a.heic', DECODING, 'heic-a'));
+
+			expect(textarea.selectionStart).toBe(2);
+		});
+
+		it('should return false when the placeholder is gone', () => {
+			textarea.value = 'Hello World';
+
+			const found = replacePlaceholder(textarea, 'heic-a', formatPlaceholder('a.heic', DECODING, 'heic-a'));
 
-			expect(result).toMatch(/^data:text\/plain;base64,/);
+			expect(found).toBe(false);
+			expect(textarea.value).toBe('Hello World');
 		});
 
-		it('should handle image file', async () => {
-			// 1x1 transparent PNG
-			const pngData = new Uint8Array([
-				0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a
-			]);
-			const file = new File([pngData], 'image.png', { type: 'image/png' });
-			const result = await fileToBase64(file);
+		it('should dispatch input event', () => {
+			textarea.value = formatPlaceholder('a.heic', undefined, 'heic-a');
+			const inputHandler = vi.fn();
+			textarea.addEventListener('input', inputHandler);
+
+			replacePlaceholder(textarea, 'heic-a', formatPlaceholder('a.heic', DECODING, 'heic-a'));
+
+			expect(inputHandler).toHaveBeenCalled();
+		});
+	});
 
-			expect(result).toMatch(/^data:image\/png;base64,/);
+	describe('claimsConvertible / needsSniffing', () => {
+		it('should accept convertible MIME types and extensions in any case', () => {
+			expect(claimsConvertible(new File([], 'a.HEIC'))).toBe(true);
+			expect(claimsConvertible(new File([], 'a.heif'))).toBe(true);
+			expect(claimsConvertible(new File([], 'scan.tiff'))).toBe(true);
+			expect(claimsConvertible(new File([], 'image', { type: 'image/heic-sequence' }))).toBe(true);
+			expect(claimsConvertible(new File([], 'image', { type: 'image/webp' }))).toBe(true);
 		});
 
-		it('should preserve file content', async () => {
-			const originalContent = 'Hello, World!';
-			const file = new File([originalContent], 'test.txt', { type: 'text/plain' });
-			const result = await fileToBase64(file);
+		it('should not claim images GitHub accepts', () => {
+			expect(claimsConvertible(new File([], 'a.png', { type: 'image/png' }))).toBe(false);
+		});
 
-			// Decode and verify
-			const base64Part = result.split(',')[1];
-			const decoded = atob(base64Part);
-			expect(decoded).toBe(originalContent);
+		it('should sniff JPEGs and untyped files, which may be misnamed HEIC', () => {
+			expect(needsSniffing(new File([], 'IMG_0001.jpg', { type: 'image/jpeg' }))).toBe(true);
+			expect(needsSniffing(new File([], 'blob'))).toBe(true);
+			expect(needsSniffing(new File([], 'a.png', { type: 'image/png' }))).toBe(false);
 		});
 	});
 
@@ -211,14 +253,59 @@ describe('content.js utility functions', () => {
 			textarea.value = 'Comment: ';
 			textarea.selectionStart = textarea.selectionEnd = 9;
 
-			const placeholder = '![Converting test.heic...]()\n';
-			const position = insertPlaceholder(textarea, placeholder);
+			const placeholder = formatPlaceholder('test.heic', undefined, 'heic-test');
+			insertPlaceholder(textarea, placeholder);
 
-			expect(textarea.value).toBe('Comment: ![Converting test.heic...]()\n');
+			expect(textarea.value).toBe('Comment: ![Converting test.heic...](heic-test)\n');
 
-			removePlaceholder(textarea, placeholder, position);
+			removePlaceholder(textarea, 'heic-test');
 
 			expect(textarea.value).toBe('Comment: ');
 		});
 	});
 });
+
+/**
+ * ファイルとテキストを持つ paste イベント（jsdom には DataTransfer がない）
+ */
+function createPasteEvent(files, strings) {
+	const event = new Event('paste', { bubbles: true, cancelable: true });
+	event.clipboardData = {
+		items: files.map(file => ({ kind: 'file', type: file.type, getAsFile: () => file })),
+		types: [...Object.keys(strings), 'Files'],
+		getData: (type) => strings[type] ?? ''
+	};
+	return event;
+}
+
+describe('content.js paste handling', () => {
+	let textarea;
+	let pageListener;
+
+	beforeEach(async () => {
+		await import('../../src/content.js');
+		document.body.innerHTML = '<textarea></textarea>';
+		textarea = document.querySelector('textarea');
+		pageListener = vi.fn();
+		textarea.addEventListener('paste', pageListener);
+	});
+
+	it('should let a JPEG pasted with text through untouched', () => {
+		const event = createPasteEvent([new File(['jpeg'], 'image.jpg', { type: 'image/jpeg' })], { 'text/plain': 'Caption' });
+
+		textarea.dispatchEvent(event);
+
+		expect(event.defaultPrevented).toBe(false);
+		expect(pageListener).toHaveBeenCalledWith(event);
+		expect(pageListener.mock.calls[0][0].clipboardData.getData('text/plain')).toBe('Caption');
+	});
+
+	it('should let images GitHub accepts through untouched', () => {
+		const event = createPasteEvent([new File(['png'], 'image.png', { type: 'image/png' })], {});
+
+		textarea.dispatchEvent(event);
+
+		expect(event.defaultPrevented).toBe(false);
+		expect(pageListener).toHaveBeenCalledWith(event);
+	});
+});
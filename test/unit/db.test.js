@@ -1,5 +1,24 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import { openDB, saveImage, getImage, deleteImage, clearAllImages } from '../../src/db.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+	openDB,
+	saveImage,
+	getImage,
+	deleteImage,
+	clearAllImages,
+	getAllImageKeys,
+	createJob,
+	getJob,
+	updateJob,
+	getAllJobs,
+	deleteJob,
+	JOB_STATES,
+	createCacheKey,
+	getCachedResult,
+	saveCachedResult,
+	trimCache,
+	getCacheStats,
+	clearCache
+} from '../../src/db.js';
 
 describe('db.js - IndexedDB operations', () => {
 	beforeEach(async () => {
@@ -18,6 +37,16 @@ describe('db.js - IndexedDB operations', () => {
 			const db = await openDB();
 			expect(db.objectStoreNames.contains('images')).toBe(true);
 		});
+
+		it('should create the jobs store', async () => {
+			const db = await openDB();
+			expect(db.objectStoreNames.contains('jobs')).toBe(true);
+		});
+
+		it('should create the cache store', async () => {
+			const db = await openDB();
+			expect(db.objectStoreNames.contains('cache')).toBe(true);
+		});
 	});
 
 	describe('saveImage', () => {
@@ -80,4 +109,152 @@ describe('db.js - IndexedDB operations', () => {
 			expect(await getImage('key3')).toBeUndefined();
 		});
 	});
+
+	describe('getAllImageKeys', () => {
+		it('should list every stored key', async () => {
+			await saveImage('a', { data: 1 });
+			await saveImage('b', { data: 2 });
+
+			expect((await getAllImageKeys()).sort()).toEqual(['a', 'b']);
+		});
+	});
+
+	describe('job registry', () => {
+		beforeEach(async () => {
+			for (const job of await getAllJobs()) {
+				await deleteJob(job.jobId);
+			}
+		});
+
+		it('should create a pending job with owner tab and timestamps', async () => {
+			const job = await createJob({ jobId: 'job-1', tabId: 7, fileName: 'a.heic' });
+
+			expect(job).toMatchObject({ jobId: 'job-1', state: JOB_STATES.PENDING, tabId: 7, fileName: 'a.heic' });
+			expect(job.createdAt).toBe(job.updatedAt);
+			expect(await getJob('job-1')).toEqual(job);
+		});
+
+		it('should update state and bump updatedAt', async () => {
+			const job = await createJob({ jobId: 'job-1' });
+			const later = job.updatedAt + 1000;
+			vi.spyOn(Date, 'now').mockReturnValue(later);
+
+			const updated = await updateJob('job-1', { state: JOB_STATES.CONVERTING });
+			vi.restoreAllMocks();
+
+			expect(updated.state).toBe(JOB_STATES.CONVERTING);
+			expect(updated.createdAt).toBe(job.createdAt);
+			expect(updated.updatedAt).toBe(later);
+		});
+
+		it('should not resurrect a deleted job on update', async () => {
+			await createJob({ jobId: 'job-1' });
+			await deleteJob('job-1');
+
+			expect(await updateJob('job-1', { state: JOB_STATES.DONE })).toBeUndefined();
+			expect(await getJob('job-1')).toBeUndefined();
+		});
+
+		it('should keep concurrent jobs independent', async () => {
+			await createJob({ jobId: 'job-1' });
+			await createJob({ jobId: 'job-2' });
+			await saveImage('request_job-1', { data: 'one' });
+			await saveImage('request_job-2', { data: 'two' });
+
+			await deleteJob('job-2');
+
+			expect(await getJob('job-1')).toBeDefined();
+			expect(await getImage('request_job-1')).toEqual({ data: 'one' });
+			expect(await getImage('request_job-2')).toBeUndefined();
+		});
+
+		it('should delete the job together with its request and result images', async () => {
+			await createJob({ jobId: 'job-1' });
+			await saveImage('request_job-1', { data: 'in' });
+			await saveImage('result_job-1', { data: 'out' });
+
+			await deleteJob('job-1');
+
+			expect(await getJob('job-1')).toBeUndefined();
+			expect(await getImage('request_job-1')).toBeUndefined();
+			expect(await getImage('result_job-1')).toBeUndefined();
+		});
+	});
+
+	describe('conversion cache', () => {
+		const result = (bytes) => ({
+			files: [{ blob: new Blob([new Uint8Array(bytes)]), fileName: 'a.jpg', mimeType: 'image/jpeg' }],
+			privacy: { removed: [], kept: [] }
+		});
+
+		let now;
+		beforeEach(async () => {
+			await clearCache();
+			now = 1000;
+			vi.spyOn(Date, 'now').mockImplementation(() => now++);
+		});
+
+		afterEach(() => {
+			vi.restoreAllMocks();
+		});
+
+		it('should key by input bytes and settings', async () => {
+			const settings = { quality: 0.8 };
+			const key = await createCacheKey(new Blob(['abc']), settings);
+
+			expect(key).toBe(await createCacheKey(new Blob(['abc']), { quality: 0.8 }));
+			expect(key).not.toBe(await createCacheKey(new Blob(['abd']), settings));
+			expect(key).not.toBe(await createCacheKey(new Blob(['abc']), { quality: 0.9 }));
+		});
+
+		it('should return a stored result', async () => {
+			await saveCachedResult('k1', result(10), 100);
+
+			const entry = await getCachedResult('k1');
+			expect(entry.size).toBe(10);
+			expect(entry.files[0]).toMatchObject({ fileName: 'a.jpg', mimeType: 'image/jpeg' });
+			expect(entry.privacy).toEqual({ removed: [], kept: [] });
+			expect(await getCachedResult('missing')).toBeUndefined();
+		});
+
+		it('should evict the least recently used entries past the cap', async () => {
+			await saveCachedResult('k1', result(40), 100);
+			await saveCachedResult('k2', result(40), 100);
+			// k1 is now the most recently used
+			await getCachedResult('k1');
+			await saveCachedResult('k3', result(40), 100);
+
+			expect(await getCachedResult('k2')).toBeUndefined();
+			expect(await getCachedResult('k1')).toBeDefined();
+			expect(await getCachedResult('k3')).toBeDefined();
+			expect(await getCacheStats()).toEqual({ entries: 2, bytes: 80 });
+		});
+
+		it('should not store a result larger than the whole cap', async () => {
+			await saveCachedResult('k1', result(40), 100);
+
+			expect(await saveCachedResult('big', result(101), 100)).toBe(false);
+			expect(await getCachedResult('big')).toBeUndefined();
+			expect(await getCachedResult('k1')).toBeDefined();
+		});
+
+		it('should trim to a smaller cap', async () => {
+			await saveCachedResult('k1', result(40), 100);
+			await saveCachedResult('k2', result(40), 100);
+
+			expect(await trimCache(50)).toEqual(['k1']);
+			expect(await trimCache(0)).toEqual(['k2']);
+			expect(await getCacheStats()).toEqual({ entries: 0, bytes: 0 });
+		});
+
+		it('should be left alone by clearAllImages and emptied by clearCache', async () => {
+			await saveCachedResult('k1', result(10), 100);
+
+			await clearAllImages();
+			expect(await getCachedResult('k1')).toBeDefined();
+
+			await clearCache();
+			expect(await getCachedResult('k1')).toBeUndefined();
+		});
+	});
 });
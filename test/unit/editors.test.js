@@ -0,0 +1,340 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getEditorAdapter } from '../../src/editors.js';
+import { formatPlaceholder, formatFailedPlaceholder } from '../../src/utils/placeholder.js';
+import { PROGRESS_STAGES } from '../../src/messaging.js';
+
+const TOKEN = 'heic-a';
+const PLACEHOLDER = formatPlaceholder('a.heic', undefined, TOKEN);
+const PROGRESS = formatPlaceholder('a.heic', { stage: PROGRESS_STAGES.DECODING }, TOKEN);
+
+/**
+ * root 内のテキストオフセットにキャレットを置く
+ */
+function placeCaret(root, offset) {
+	const range = document.createRange();
+	range.setStart(root.firstChild, offset);
+	range.collapse(true);
+	const selection = document.getSelection();
+	selection.removeAllRanges();
+	selection.addRange(range);
+}
+
+/**
+ * キャレットを root の末尾のテキストに置く
+ */
+function placeCaretAtEnd(root) {
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	let last = null;
+	for (let node = walker.nextNode(); node; node = walker.nextNode()) last = node;
+	document.getSelection().collapse(last, last.length);
+}
+
+/**
+ * キャレットの root 内テキストオフセット
+ */
+function caretOffset(root) {
+	const range = document.getSelection().getRangeAt(0);
+	const before = document.createRange();
+	before.selectNodeContents(root);
+	before.setEnd(range.startContainer, range.startOffset);
+	return before.toString().length;
+}
+
+describe('editors.js', () => {
+	beforeEach(() => {
+		document.body.innerHTML = '';
+		document.getSelection().removeAllRanges();
+	});
+
+	describe('getEditorAdapter', () => {
+		it('should pick the textarea an event landed in', () => {
+			document.body.innerHTML = '<textarea></textarea>';
+
+			expect(getEditorAdapter(document.querySelector('textarea')).kind).toBe('textarea');
+		});
+
+		it('should pick the editing host of a contenteditable region', () => {
+			document.body.innerHTML = '<div contenteditable="true"><p><span>text</span></p></div>';
+
+			expect(getEditorAdapter(document.querySelector('span')).kind).toBe('contenteditable');
+		});
+
+		it('should recognise CodeMirror 6 editors', () => {
+			document.body.innerHTML = `
+				<div class="cm-editor"><div class="cm-scroller">
+					<div class="cm-content" contenteditable="true"><div class="cm-line">code</div></div>
+				</div></div>`;
+
+			expect(getEditorAdapter(document.querySelector('.cm-line')).kind).toBe('codemirror');
+		});
+
+		it('should fall back to the status adapter for CodeMirror 5 and read-only fields', () => {
+			document.body.innerHTML = '<div class="CodeMirror"><div><textarea></textarea></div></div><textarea readonly></textarea>';
+			const [hidden, readOnly] = document.querySelectorAll('textarea');
+
+			expect(getEditorAdapter(hidden).kind).toBe('status');
+			expect(getEditorAdapter(readOnly).kind).toBe('status');
+		});
+
+		it('should try the focused element when the target is not an editor', () => {
+			document.body.innerHTML = '<div id="drop"></div><textarea></textarea>';
+			document.querySelector('textarea').focus();
+
+			expect(getEditorAdapter(document.getElementById('drop')).kind).toBe('textarea');
+		});
+
+		it('should fall back to the status adapter', () => {
+			document.body.innerHTML = '<div id="drop"></div>';
+
+			expect(getEditorAdapter(document.getElementById('drop')).kind).toBe('status');
+		});
+	});
+
+	describe('textarea adapter', () => {
+		let textarea;
+		let editor;
+
+		beforeEach(() => {
+			document.body.innerHTML = '<textarea></textarea>';
+			textarea = document.querySelector('textarea');
+			editor = getEditorAdapter(textarea);
+		});
+
+		afterEach(() => {
+			delete document.execCommand;
+		});
+
+		it('should edit through execCommand while focused, so undo keeps working', () => {
+			document.execCommand = vi.fn(() => true);
+			textarea.focus();
+
+			editor.insert(TOKEN, PLACEHOLDER);
+
+			expect(document.execCommand).toHaveBeenCalledWith('insertText', false, PLACEHOLDER);
+		});
+
+		it('should leave the placeholder alone for progress while focused', () => {
+			// execCommand の呼び出し 1 回が元に戻す (Ctrl+Z) の 1 ステップになる
+			document.execCommand = vi.fn((command, showUI, text = '') => {
+				textarea.setRangeText(command === 'insertText' ? text : '', textarea.selectionStart, textarea.selectionEnd, 'end');
+				return true;
+			});
+			textarea.focus();
+
+			editor.insert(TOKEN, PLACEHOLDER);
+			expect(editor.progress(TOKEN, formatPlaceholder('a.heic', { stage: PROGRESS_STAGES.QUEUED, position: 1, total: 2 }, TOKEN))).toBe(false);
+			expect(editor.progress(TOKEN, PROGRESS)).toBe(false);
+			expect(textarea.value).toBe(PLACEHOLDER);
+			editor.remove(TOKEN);
+
+			expect(textarea.value).toBe('');
+			expect(document.execCommand.mock.calls.map(([command]) => command)).toEqual(['insertText', 'delete']);
+		});
+
+		it('should rewrite the placeholder with progress while not focused', () => {
+			document.execCommand = vi.fn(() => true);
+			editor.insert(TOKEN, PLACEHOLDER);
+
+			expect(editor.progress(TOKEN, PROGRESS)).toBe(true);
+
+			expect(textarea.value).toBe(PROGRESS);
+			expect(document.execCommand).not.toHaveBeenCalled();
+		});
+
+		it('should replace a placeholder through execCommand while focused, so it can be undone', () => {
+			document.execCommand = vi.fn((command, showUI, text = '') => {
+				textarea.setRangeText(command === 'insertText' ? text : '', textarea.selectionStart, textarea.selectionEnd, 'end');
+				return true;
+			});
+			textarea.focus();
+			editor.insert(TOKEN, PLACEHOLDER);
+			const failed = formatFailedPlaceholder('a.heic', TOKEN);
+
+			expect(editor.replace(TOKEN, failed)).toBe(true);
+
+			expect(textarea.value).toBe(failed);
+			expect(document.execCommand.mock.calls.map(([command]) => command)).toEqual(['insertText', 'insertText']);
+		});
+
+		it('should track each placeholder by its token when file names repeat', () => {
+			const other = formatPlaceholder('a.heic', undefined, 'heic-b');
+			editor.insert(TOKEN, PLACEHOLDER);
+			editor.insert('heic-b', other);
+
+			expect(editor.replace('heic-b', formatPlaceholder('a.heic', { stage: PROGRESS_STAGES.DECODING }, 'heic-b'))).toBe(true);
+			editor.remove(TOKEN);
+
+			expect(textarea.value).toBe(formatPlaceholder('a.heic', { stage: PROGRESS_STAGES.DECODING }, 'heic-b'));
+		});
+
+		it('should remove a placeholder exactly once', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+			expect(editor.remove(TOKEN)).toBe(true);
+
+			// 元に戻す (Ctrl+Z) で同じテキストが戻っても、二度目は何もしない
+			textarea.value = PLACEHOLDER;
+
+			expect(editor.remove(TOKEN)).toBe(false);
+			expect(editor.replace(TOKEN, PROGRESS)).toBe(false);
+			expect(editor.contains(TOKEN)).toBe(false);
+			expect(textarea.value).toBe(PLACEHOLDER);
+		});
+
+		it('should report a placeholder the user deleted as gone', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+			expect(editor.contains(TOKEN)).toBe(true);
+
+			textarea.value = '';
+
+			expect(editor.contains(TOKEN)).toBe(false);
+		});
+
+		it('should leave the caret where a retried placeholder was', () => {
+			textarea.value = 'Before\n';
+			textarea.setSelectionRange(7, 7);
+			editor.insert(TOKEN, PLACEHOLDER);
+			textarea.setSelectionRange(0, 0);
+
+			expect(editor.remove(TOKEN, { placeCaret: true })).toBe(true);
+
+			expect(textarea.value).toBe('Before\n');
+			expect(textarea.selectionStart).toBe(7);
+		});
+	});
+
+	describe('contenteditable adapter', () => {
+		let root;
+		let editor;
+
+		beforeEach(() => {
+			document.body.innerHTML = '<div contenteditable="true">Hello world</div>';
+			root = document.body.firstChild;
+			editor = getEditorAdapter(root);
+		});
+
+		it('should insert at the caret without the trailing line break', () => {
+			placeCaret(root, 6);
+
+			editor.insert(TOKEN, PLACEHOLDER);
+
+			expect(root.textContent).toBe('Hello ![Converting a.heic...](heic-a)world');
+		});
+
+		it('should append when the selection is outside the editor', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+
+			expect(root.textContent).toBe('Hello world![Converting a.heic...](heic-a)');
+		});
+
+		it('should announce edits with an input event', () => {
+			const listener = vi.fn();
+			editor.onChange(listener);
+
+			editor.insert(TOKEN, PLACEHOLDER);
+
+			expect(listener).toHaveBeenCalledTimes(1);
+		});
+
+		it('should replace the placeholder and keep a caret after it in place', () => {
+			placeCaret(root, 6);
+			editor.insert(TOKEN, PLACEHOLDER);
+			placeCaretAtEnd(root);
+			const end = caretOffset(root);
+
+			expect(editor.replace(TOKEN, PROGRESS)).toBe(true);
+
+			expect(root.textContent).toBe('Hello ![Converting a.heic (decoding...)](heic-a)world');
+			expect(caretOffset(root)).toBe(end + PROGRESS.length - PLACEHOLDER.length);
+		});
+
+		it('should not touch the editor for progress updates while focused', () => {
+			// false を返すと DOM を直接編集するフォールバックに進む
+			document.execCommand = vi.fn(() => false);
+			root.focus();
+			placeCaret(root, 6);
+			editor.insert(TOKEN, PLACEHOLDER);
+			const listener = vi.fn();
+			editor.onChange(listener);
+
+			expect(editor.progress(TOKEN, PROGRESS)).toBe(false);
+
+			expect(root.textContent).toBe('Hello ![Converting a.heic...](heic-a)world');
+			expect(document.execCommand).toHaveBeenCalledTimes(1);
+			expect(listener).not.toHaveBeenCalled();
+			delete document.execCommand;
+		});
+
+		it('should rewrite the placeholder with progress while not focused', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+
+			expect(editor.progress(TOKEN, PROGRESS)).toBe(true);
+
+			expect(root.textContent).toBe('Hello world![Converting a.heic (decoding...)](heic-a)');
+		});
+
+		it('should remove the placeholder even after the editor split its text node', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+			root.normalize();
+			root.firstChild.splitText(15);
+
+			expect(editor.remove(TOKEN)).toBe(true);
+
+			expect(root.textContent).toBe('Hello world');
+		});
+
+		it('should find the placeholder after the user typed above it', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+			root.insertBefore(document.createTextNode('Intro. '), root.firstChild);
+
+			editor.remove(TOKEN);
+
+			expect(root.textContent).toBe('Intro. Hello world');
+		});
+
+		it('should leave the caret where a retried placeholder was', () => {
+			placeCaret(root, 6);
+			editor.insert(TOKEN, PLACEHOLDER);
+			placeCaretAtEnd(root);
+
+			editor.remove(TOKEN, { placeCaret: true });
+
+			expect(root.textContent).toBe('Hello world');
+			expect(caretOffset(root)).toBe(6);
+		});
+
+		it('should report a placeholder the user deleted as gone', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+			expect(editor.contains(TOKEN)).toBe(true);
+
+			root.textContent = 'Hello world';
+
+			expect(editor.contains(TOKEN)).toBe(false);
+			expect(editor.replace(TOKEN, PROGRESS)).toBe(false);
+		});
+	});
+
+	describe('status adapter', () => {
+		let editor;
+
+		beforeEach(() => {
+			editor = getEditorAdapter(document.body);
+		});
+
+		it('should keep track of placeholders without touching the page', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+
+			expect(document.body.innerHTML).toBe('');
+			expect(editor.contains(TOKEN)).toBe(true);
+			expect(editor.replace(TOKEN, PROGRESS)).toBe(true);
+		});
+
+		it('should remove a placeholder exactly once', () => {
+			editor.insert(TOKEN, PLACEHOLDER);
+
+			expect(editor.remove(TOKEN)).toBe(true);
+			expect(editor.remove(TOKEN)).toBe(false);
+			expect(editor.contains(TOKEN)).toBe(false);
+			expect(editor.replace(TOKEN, PROGRESS)).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { setOrientation, insertExifIntoJpeg, readExif, writeExif } from '../../src/utils/exif.js';
+
+// Little-endian TIFF with one IFD0 entry: Orientation = 6 (rotate 90° CW)
+const TIFF_LE = new Uint8Array([
+	0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00,
+	0x01, 0x00,
+	0x12, 0x01, 0x03, 0x00, 0x01, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 0x00,
+	0x00, 0x00, 0x00, 0x00
+]);
+
+// SOI, JFIF APP0 (length 16), EOI
+const JPEG = new Uint8Array([
+	0xff, 0xd8,
+	0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+	0xff, 0xd9
+]);
+
+describe('exif.js', () => {
+	describe('setOrientation', () => {
+		it('should rewrite the Orientation tag', () => {
+			const result = setOrientation(TIFF_LE, 1);
+
+			expect(result[18]).toBe(1);
+		});
+
+		it('should not modify the input', () => {
+			setOrientation(TIFF_LE, 1);
+
+			expect(TIFF_LE[18]).toBe(6);
+		});
+
+		it('should handle big-endian TIFF', () => {
+			const tiff = new Uint8Array([
+				0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+				0x00, 0x01,
+				0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x08, 0x00, 0x00,
+				0x00, 0x00, 0x00, 0x00
+			]);
+
+			const result = setOrientation(tiff, 1);
+
+			expect([result[18], result[19]]).toEqual([0x00, 0x01]);
+		});
+	});
+
+	describe('insertExifIntoJpeg', () => {
+		it('should insert APP1 after the JFIF segment', () => {
+			const result = insertExifIntoJpeg(JPEG, TIFF_LE);
+
+			expect(Array.from(result.subarray(20, 22))).toEqual([0xff, 0xe1]);
+			expect((result[22] << 8) | result[23]).toBe(2 + 6 + TIFF_LE.length);
+			expect(String.fromCharCode(...result.subarray(24, 28))).toBe('Exif');
+			expect(Array.from(result.subarray(30, 30 + TIFF_LE.length))).toEqual(Array.from(TIFF_LE));
+			expect(Array.from(result.subarray(-2))).toEqual([0xff, 0xd9]);
+		});
+
+		it('should insert right after SOI when there is no JFIF segment', () => {
+			const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+			const result = insertExifIntoJpeg(jpeg, TIFF_LE);
+
+			expect(Array.from(result.subarray(2, 4))).toEqual([0xff, 0xe1]);
+		});
+
+		it('should leave the JPEG alone when the EXIF is too large', () => {
+			const result = insertExifIntoJpeg(JPEG, new Uint8Array(70000));
+
+			expect(result).toBe(JPEG);
+		});
+
+		it('should reject non-JPEG data', () => {
+			expect(() => insertExifIntoJpeg(new Uint8Array([0x89, 0x50]), TIFF_LE)).toThrow('Not a JPEG file');
+		});
+	});
+	describe('readExif', () => {
+		it('should read IFD0 entries with their raw values', () => {
+			const { littleEndian, ifd0, exif, gps } = readExif(TIFF_LE);
+
+			expect(littleEndian).toBe(true);
+			expect(ifd0).toHaveLength(1);
+			expect(ifd0[0]).toMatchObject({ tag: 0x0112, type: 3, count: 1 });
+			expect(Array.from(ifd0[0].value)).toEqual([0x06, 0x00]);
+			expect(exif).toEqual([]);
+			expect(gps).toEqual([]);
+		});
+
+		it('should reject data that is not TIFF', () => {
+			expect(readExif(new Uint8Array([0xff, 0xd8, 0xff, 0xe1, 0, 0, 0, 0]))).toBeNull();
+			expect(readExif(null)).toBeNull();
+		});
+	});
+
+	describe('writeExif', () => {
+		const text = (s) => new TextEncoder().encode(`${s}\0`);
+
+		it('should round-trip entries, sub-IFDs and out-of-line values', () => {
+			const fields = {
+				littleEndian: false,
+				ifd0: [{ tag: 0x0132, type: 2, count: 20, value: text('2024:05:01 12:34:56') }, { tag: 0x0112, type: 3, count: 1, value: new Uint8Array([0, 1]) }],
+				exif: [{ tag: 0x9003, type: 2, count: 20, value: text('2024:05:01 12:34:56') }],
+				gps: [{ tag: 0x0001, type: 2, count: 2, value: text('N') }]
+			};
+
+			const parsed = readExif(writeExif(fields));
+
+			expect(parsed.littleEndian).toBe(false);
+			// Sorted by tag, as TIFF requires
+			expect(parsed.ifd0.map(e => e.tag)).toEqual([0x0112, 0x0132]);
+			expect(new TextDecoder().decode(parsed.ifd0[1].value)).toBe('2024:05:01 12:34:56\0');
+			expect(parsed.exif.map(e => e.tag)).toEqual([0x9003]);
+			expect(Array.from(parsed.gps[0].value)).toEqual(Array.from(text('N')));
+		});
+
+		it('should leave out pointers to empty sub-IFDs', () => {
+			const tiff = writeExif({ littleEndian: true, ifd0: [{ tag: 0x0112, type: 3, count: 1, value: new Uint8Array([1, 0]) }] });
+
+			// Header, one entry, next-IFD offset
+			expect(tiff.length).toBe(8 + 2 + 12 + 4);
+			expect(readExif(tiff).ifd0).toHaveLength(1);
+		});
+	});
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+	sanitizeFileName,
+	fillTemplate,
+	hash8,
+	applyFileNameTemplate
+} from '../../src/utils/fileName.js';
+
+const NOW = new Date(2024, 4, 1, 9, 5, 7);
+
+const jpeg = (name, content = name) => new File([content], name, { type: 'image/jpeg' });
+
+describe('fileName.js', () => {
+	describe('sanitizeFileName', () => {
+		it('should replace reserved characters and whitespace', () => {
+			expect(sanitizeFileName('a/b\\c:d*e?"f"<g>|h')).toBe('a-b-c-d-e-f-g-h');
+			expect(sanitizeFileName('my  screen shot')).toBe('my-screen-shot');
+		});
+
+		it('should collapse separators left by empty tokens', () => {
+			expect(sanitizeFileName('--hello---3-')).toBe('hello-3');
+		});
+
+		it('should fall back to a generic name when nothing is left', () => {
+			expect(sanitizeFileName('///')).toBe('image');
+		});
+
+		it('should cap the length', () => {
+			expect(sanitizeFileName('x'.repeat(500))).toHaveLength(120);
+		});
+	});
+
+	describe('fillTemplate', () => {
+		it('should replace known tokens and keep unknown ones', () => {
+			expect(fillTemplate('{repo}-{index}-{nope}', { repo: 'hello', index: 2 })).toBe('hello-2-{nope}');
+		});
+	});
+
+	describe('hash8', () => {
+		it('should return the first 8 hex digits of the SHA-256', async () => {
+			// SHA-256("abc") = ba7816bf...
+			expect(await hash8(new Blob(['abc']))).toBe('ba7816bf');
+		});
+	});
+
+	describe('applyFileNameTemplate', () => {
+		it('should keep names unchanged with the default template', async () => {
+			const files = [jpeg('image.jpg')];
+
+			const [named] = await applyFileNameTemplate(files, '{name}', { now: NOW });
+
+			expect(named).toBe(files[0]);
+		});
+
+		it('should fill date, time, repo, issue and index', async () => {
+			const files = [jpeg('image.jpg'), jpeg('image-2.jpg')];
+
+			const named = await applyFileNameTemplate(files, '{repo}-{issue}-{date}-{time}-{index}', {
+				repo: 'hello',
+				issue: '42',
+				now: NOW
+			});
+
+			expect(named.map(f => f.name)).toEqual(['hello-42-2024-05-01-090507-1.jpg', 'hello-42-2024-05-01-090507-2.jpg']);
+		});
+
+		it('should keep the type and contents of renamed files', async () => {
+			const [named] = await applyFileNameTemplate([jpeg('a.jpg', 'data')], 'renamed', { now: NOW });
+
+			expect(named.name).toBe('renamed.jpg');
+			expect(named.type).toBe('image/jpeg');
+			expect(new TextDecoder().decode(await named.arrayBuffer())).toBe('data');
+		});
+
+		it('should number names already taken in the same paste', async () => {
+			const files = [jpeg('image.jpg'), jpeg('image.jpg'), jpeg('IMAGE.jpg')];
+
+			const named = await applyFileNameTemplate(files, '{name}', { now: NOW, reserved: ['image-2.jpg'] });
+
+			expect(named.map(f => f.name)).toEqual(['image.jpg', 'image-3.jpg', 'IMAGE-4.jpg']);
+		});
+
+		it('should number a retried file from its place in the paste', async () => {
+			// 1 枚目の変換に失敗し、2 枚目が image-1.jpg になった後で 1 枚目を再試行する
+			const named = await applyFileNameTemplate([jpeg('a.jpg'), jpeg('b.jpg')], 'image-{index}', {
+				now: NOW,
+				firstIndex: 1,
+				reserved: ['image-1.jpg']
+			});
+
+			expect(named.map(f => f.name)).toEqual(['image-1-2.jpg', 'image-2.jpg']);
+		});
+
+		it('should hash each file for {hash8}', async () => {
+			const named = await applyFileNameTemplate([jpeg('x.jpg', 'abc')], 'shot-{hash8}', { now: NOW });
+
+			expect(named[0].name).toBe('shot-ba7816bf.jpg');
+		});
+	});
+});
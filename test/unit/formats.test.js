@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { FORMATS, DECODERS, getFormat, detectFormat, claimedFormat, detectFileFormat } from '../../src/formats.js';
+
+const ascii = (s) => Array.from(s, c => c.charCodeAt(0));
+const u32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+
+function ftyp(major, ...compatible) {
+	const body = [...ascii(major), ...u32(0), ...compatible.flatMap(ascii)];
+	return new Uint8Array([...u32(8 + body.length), ...ascii('ftyp'), ...body]);
+}
+
+const detect = (bytes) => detectFormat(new Uint8Array(bytes))?.id ?? null;
+
+describe('formats.js', () => {
+	describe('FORMATS', () => {
+		it('should give every convertible format a known decoder', () => {
+			const decoders = Object.values(DECODERS);
+			for (const format of FORMATS.filter(f => f.decoder !== null)) {
+				expect(decoders).toContain(format.decoder);
+			}
+		});
+	});
+
+	describe('detectFormat', () => {
+		it.each(['heic', 'heix', 'hevc', 'mif1', 'msf1'])('should detect HEIF with major brand %s', (brand) => {
+			expect(detect(ftyp(brand))).toBe('heif');
+		});
+
+		it('should detect HEIF from a compatible brand', () => {
+			expect(detect(ftyp('isom', 'mif1', 'heic'))).toBe('heif');
+		});
+
+		it('should tell AVIF apart from HEIC', () => {
+			expect(detect(ftyp('avif', 'mif1', 'miaf'))).toBe('avif');
+			expect(detect(ftyp('mif1', 'avif'))).toBe('avif');
+		});
+
+		it('should not treat other ISO-BMFF files (MP4) as images', () => {
+			expect(detect(ftyp('isom', 'iso2', 'mp41'))).toBeNull();
+		});
+
+		it('should detect formats GitHub rejects', () => {
+			expect(detect([...ascii('RIFF'), 0, 0, 0, 0, ...ascii('WEBP')])).toBe('webp');
+			expect(detect([...ascii('BM'), ...new Array(12).fill(0)])).toBe('bmp');
+			expect(detect([0x00, 0x00, 0x01, 0x00, 0x01, 0x00])).toBe('ico');
+			expect(detect([0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0])).toBe('tiff');
+			expect(detect([0x4d, 0x4d, 0x00, 0x2a, 0, 0, 0, 8])).toBe('tiff');
+		});
+
+		it('should detect formats GitHub accepts', () => {
+			expect(detect([0xff, 0xd8, 0xff, 0xe1, 0, 0])).toBe('jpeg');
+			expect(detect([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])).toBe('png');
+			expect(detect(ascii('GIF89a'))).toBe('gif');
+		});
+
+		it('should return null for unknown data', () => {
+			expect(detect(new TextEncoder().encode('hello world, not an image'))).toBeNull();
+		});
+	});
+
+	describe('claimedFormat', () => {
+		it('should use the MIME type or the extension', () => {
+			expect(claimedFormat(new File([], 'scan', { type: 'image/tiff' })).id).toBe('tiff');
+			expect(claimedFormat(new File([], 'IMG_0001.HEIC')).id).toBe('heif');
+			expect(claimedFormat(new File([], 'icon.ico')).id).toBe('ico');
+		});
+
+		it('should return null for unknown files', () => {
+			expect(claimedFormat(new File([], 'notes.txt', { type: 'text/plain' }))).toBeNull();
+		});
+	});
+
+	describe('getFormat', () => {
+		it('should look formats up by id', () => {
+			expect(getFormat('tiff').decoder).toBe(DECODERS.TIFF);
+			expect(getFormat('jpeg').decoder).toBeNull();
+		});
+	});
+
+	describe('detectFileFormat', () => {
+		it('should sniff a HEIC file whose name says JPEG', async () => {
+			const file = new File([ftyp('heic', 'mif1', 'heic'), new Uint8Array(1000)], 'IMG_0001.jpg', { type: 'image/jpeg' });
+
+			expect((await detectFileFormat(file)).id).toBe('heif');
+		});
+	});
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { readBoxes, readItems, extractExif, extractXmp, countTopLevelImages, readColorProperty } from '../../src/utils/heif.js';
+
+const u32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+const u16 = (n) => [(n >> 8) & 0xff, n & 0xff];
+const ascii = (s) => Array.from(s, c => c.charCodeAt(0));
+
+function box(type, ...parts) {
+	const body = parts.flat();
+	return [...u32(8 + body.length), ...ascii(type), ...body];
+}
+
+function fullBox(type, version, ...parts) {
+	return box(type, [version, 0, 0, 0], ...parts);
+}
+
+function infe(id, type, { hidden = false } = {}) {
+	return box('infe', [2, 0, 0, hidden ? 1 : 0], u16(id), u16(0), ascii(type), 0);
+}
+
+/**
+ * Builds a HEIF file with just an item table (no pixel data).
+ * @param {Array<number[]>} entries - infe boxes
+ * @param {Array<number[]>} references - iref children
+ * @returns {ArrayBuffer}
+ */
+function buildItemTable(entries, references = []) {
+	const ftyp = box('ftyp', ascii('heic'), u32(0), ascii('mif1'), ascii('heic'));
+	const meta = fullBox('meta', 0,
+		fullBox('iinf', 0, u16(entries.length), ...entries),
+		fullBox('iref', 0, ...references),
+		fullBox('iloc', 0, u16(0x4400), u16(0))
+	);
+	return new Uint8Array([...ftyp, ...meta]).buffer;
+}
+
+/**
+ * Builds a minimal HEIF file whose only payload is an Exif item (ID 2).
+ * @param {number[]} tiff
+ * @returns {ArrayBuffer}
+ */
+function buildHeif(tiff) {
+	const ftyp = box('ftyp', ascii('heic'), u32(0), ascii('mif1'), ascii('heic'));
+	const exifItem = [...u32(6), ...ascii('Exif'), 0, 0, ...tiff];
+
+	const buildMeta = (exifOffset) => fullBox('meta', 0,
+		fullBox('hdlr', 0, u32(0), ascii('pict'), u32(0), u32(0), u32(0), 0),
+		fullBox('iinf', 0, u16(2),
+			fullBox('infe', 2, u16(1), u16(0), ascii('hvc1'), 0),
+			fullBox('infe', 2, u16(2), u16(0), ascii('Exif'), 0)
+		),
+		// offset_size 4, length_size 4, base_offset_size 0
+		fullBox('iloc', 0, u16(0x4400), u16(1),
+			u16(2), u16(0), u16(1), u32(exifOffset), u32(exifItem.length)
+		)
+	);
+
+	// The meta box has a fixed size, so its length tells us where mdat's payload starts
+	const metaLength = buildMeta(0).length;
+	const exifOffset = ftyp.length + metaLength + 8;
+	const bytes = [...ftyp, ...buildMeta(exifOffset), ...box('mdat', exifItem)];
+	return new Uint8Array(bytes).buffer;
+}
+
+/**
+ * Builds a HEIF file whose primary item (ID 1) has the given properties.
+ * @param {Array<number[]>} properties - ipco children, associated with item 1 in order
+ * @returns {ArrayBuffer}
+ */
+function buildWithProperties(properties) {
+	const ftyp = box('ftyp', ascii('heic'), u32(0), ascii('mif1'), ascii('heic'));
+	const indices = properties.map((_, i) => 0x80 | (i + 1)); // essential, 7-bit index
+	const meta = fullBox('meta', 0,
+		fullBox('pitm', 0, u16(1)),
+		fullBox('iinf', 0, u16(1), infe(1, 'hvc1')),
+		box('iprp',
+			box('ipco', ...properties),
+			fullBox('ipma', 0, u32(1), u16(1), [properties.length], indices)
+		)
+	);
+	return new Uint8Array([...ftyp, ...meta]).buffer;
+}
+
+const TIFF = [0x4d, 0x4d, 0x00, 0x2a, ...u32(8), ...u16(0)];
+
+describe('heif.js', () => {
+	describe('readBoxes', () => {
+		it('should list top-level boxes', () => {
+			const buffer = buildHeif(TIFF);
+
+			const types = readBoxes(new DataView(buffer)).map(b => b.type);
+
+			expect(types).toEqual(['ftyp', 'meta', 'mdat']);
+		});
+
+		it('should stop at a truncated box', () => {
+			const bytes = new Uint8Array([...box('ftyp', ascii('heic')), ...u32(100), ...ascii('mdat')]);
+
+			const types = readBoxes(new DataView(bytes.buffer)).map(b => b.type);
+
+			expect(types).toEqual(['ftyp']);
+		});
+	});
+
+	describe('readItems', () => {
+		it('should read item types and locations', () => {
+			const items = readItems(buildHeif(TIFF));
+
+			expect(items.map(i => i.type)).toEqual(['hvc1', 'Exif']);
+			expect(items[1].location.extents).toHaveLength(1);
+		});
+
+		it('should return nothing without a meta box', () => {
+			const bytes = new Uint8Array(box('ftyp', ascii('heic')));
+
+			expect(readItems(bytes.buffer)).toEqual([]);
+		});
+	});
+
+	describe('countTopLevelImages', () => {
+		it('should count a single image', () => {
+			expect(countTopLevelImages(buildItemTable([infe(1, 'hvc1'), infe(2, 'Exif')]))).toBe(1);
+		});
+
+		it('should skip thumbnails, auxiliary, hidden and tile images', () => {
+			const buffer = buildItemTable([
+				infe(1, 'grid'),
+				infe(2, 'hvc1', { hidden: true }),
+				infe(3, 'hvc1', { hidden: true }),
+				infe(4, 'hvc1'), // thumbnail
+				infe(5, 'hvc1'), // alpha plane
+				infe(6, 'hvc1'), // second image of a burst
+				infe(7, 'Exif')
+			], [
+				box('dimg', u16(1), u16(2), u16(2), u16(3)),
+				box('thmb', u16(4), u16(1), u16(1)),
+				box('auxl', u16(5), u16(1), u16(1))
+			]);
+
+			expect(countTopLevelImages(buffer)).toBe(2);
+		});
+
+		it('should count tiles that are not marked hidden as part of their grid', () => {
+			const buffer = buildItemTable([infe(1, 'grid'), infe(2, 'hvc1'), infe(3, 'hvc1')], [
+				box('dimg', u16(1), u16(2), u16(2), u16(3))
+			]);
+
+			expect(countTopLevelImages(buffer)).toBe(1);
+		});
+
+		it('should return 0 for non-HEIF data', () => {
+			expect(countTopLevelImages(new Uint8Array([1, 2, 3]).buffer)).toBe(0);
+		});
+	});
+
+	describe('extractExif', () => {
+		it('should return the TIFF structure after the Exif header', () => {
+			const exif = extractExif(buildHeif(TIFF));
+
+			expect(Array.from(exif)).toEqual(TIFF);
+		});
+
+		it('should return null for non-HEIF data', () => {
+			const bytes = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0]);
+
+			expect(extractExif(bytes.buffer)).toBeNull();
+		});
+	});
+	describe('extractXmp', () => {
+		it('should read the XMP packet of a mime item', () => {
+			const bytes = readFileSync(path.resolve('./test/fixtures/metadata-full.heif'));
+
+			const xmp = extractXmp(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+
+			expect(xmp).toMatch(/^<x:xmpmeta/);
+			expect(xmp).toContain('<exif:GPSLatitude>');
+		});
+
+		it('should return null without XMP', () => {
+			expect(extractXmp(buildHeif(TIFF))).toBeNull();
+		});
+	});
+	describe('readColorProperty', () => {
+		const ispe = fullBox('ispe', 0, u32(4032), u32(3024));
+		const nclx = box('colr', ascii('nclx'), u16(12), u16(13), u16(6), [0x80]);
+		const icc = box('colr', ascii('prof'), [1, 2, 3, 4]);
+
+		it('should read nclx code points of the primary item', () => {
+			expect(readColorProperty(buildWithProperties([ispe, nclx]))).toEqual({
+				type: 'nclx',
+				colourPrimaries: 12,
+				transferCharacteristics: 13,
+				matrixCoefficients: 6,
+				fullRange: true
+			});
+		});
+
+		it('should prefer an ICC profile over nclx', () => {
+			const colr = readColorProperty(buildWithProperties([nclx, icc]));
+
+			expect(colr.type).toBe('icc');
+			expect(Array.from(colr.profile)).toEqual([1, 2, 3, 4]);
+		});
+
+		it('should return null without colour information', () => {
+			expect(readColorProperty(buildWithProperties([ispe]))).toBeNull();
+			expect(readColorProperty(buildHeif(TIFF))).toBeNull();
+		});
+	});
+});
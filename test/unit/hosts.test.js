@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+	HOST_SCRIPT_ID,
+	parseOrigin,
+	isBuiltInOrigin,
+	originMatchPattern,
+	syncHostContentScripts
+} from '../../src/hosts.js';
+
+const JS = ['assets/content.js-loader.js'];
+
+describe('hosts.js', () => {
+	describe('parseOrigin', () => {
+		it('should accept bare host names and full URLs', () => {
+			expect(parseOrigin('github.example.com')).toBe('https://github.example.com');
+			expect(parseOrigin(' https://github.example.com/login?x=1 ')).toBe('https://github.example.com');
+			expect(parseOrigin('GitHub.Example.com')).toBe('https://github.example.com');
+		});
+
+		it('should keep non-default ports', () => {
+			expect(parseOrigin('https://ghe.internal:8443/')).toBe('https://ghe.internal:8443');
+			expect(parseOrigin('https://ghe.internal:443')).toBe('https://ghe.internal');
+		});
+
+		it('should reject plain-http hosts, which are not secure contexts', () => {
+			expect(parseOrigin('http://ghe.internal:8080/')).toBeNull();
+			expect(parseOrigin('HTTP://github.example.com')).toBeNull();
+		});
+
+		it('should reject other schemes, wildcards and junk', () => {
+			expect(parseOrigin('')).toBeNull();
+			expect(parseOrigin('ftp://ghe.internal')).toBeNull();
+			expect(parseOrigin('*.example.com')).toBeNull();
+			expect(parseOrigin('not a host')).toBeNull();
+		});
+	});
+
+	describe('isBuiltInOrigin', () => {
+		it('should cover github.com and its subdomains over https', () => {
+			expect(isBuiltInOrigin('https://github.com')).toBe(true);
+			expect(isBuiltInOrigin('https://gist.github.com')).toBe(true);
+			expect(isBuiltInOrigin('https://github.example.com')).toBe(false);
+			expect(isBuiltInOrigin('https://notgithub.com')).toBe(false);
+			expect(isBuiltInOrigin('http://github.com')).toBe(false);
+		});
+	});
+
+	describe('originMatchPattern', () => {
+		it('should match every page of the origin', () => {
+			expect(originMatchPattern('https://ghe.internal:8443')).toBe('https://ghe.internal:8443/*');
+		});
+	});
+
+	describe('syncHostContentScripts', () => {
+		it('should register the content script on granted hosts only', async () => {
+			await chrome.permissions.request({ origins: ['https://a.example.com/*'] });
+
+			const origins = await syncHostContentScripts(['https://a.example.com', 'https://b.example.com'], JS);
+
+			expect(origins).toEqual(['https://a.example.com']);
+			expect(await chrome.scripting.getRegisteredContentScripts()).toEqual([
+				expect.objectContaining({ id: HOST_SCRIPT_ID, matches: ['https://a.example.com/*'], js: JS })
+			]);
+		});
+
+		it('should replace an earlier registration', async () => {
+			await chrome.permissions.request({ origins: ['https://a.example.com/*', 'https://b.example.com/*'] });
+			await syncHostContentScripts(['https://a.example.com'], JS);
+
+			await syncHostContentScripts(['https://b.example.com'], JS);
+
+			const scripts = await chrome.scripting.getRegisteredContentScripts();
+			expect(scripts).toHaveLength(1);
+			expect(scripts[0].matches).toEqual(['https://b.example.com/*']);
+		});
+
+		it('should unregister everything once no host is granted', async () => {
+			await chrome.permissions.request({ origins: ['https://a.example.com/*'] });
+			await syncHostContentScripts(['https://a.example.com'], JS);
+			await chrome.permissions.remove({ origins: ['https://a.example.com/*'] });
+
+			expect(await syncHostContentScripts(['https://a.example.com'], JS)).toEqual([]);
+			expect(await chrome.scripting.getRegisteredContentScripts()).toEqual([]);
+		});
+	});
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import {
+	fitWithin,
+	resizeTarget,
+	downscaleSteps,
+	replaceExtension,
+	numberedFileName,
+	byteBudget,
+	nextBudgetAttempt,
+	describeOutput,
+	formatBudgetNotice,
+	lowerMaxDimension,
+	MIN_BUDGET_DIMENSION
+} from '../../src/utils/image.js';
+
+describe('image.js', () => {
+	describe('fitWithin', () => {
+		it('should keep the size when there is no limit', () => {
+			expect(fitWithin(4032, 3024, 0)).toEqual({ width: 4032, height: 3024 });
+		});
+
+		it('should scale the longest edge down to the limit', () => {
+			expect(fitWithin(4032, 3024, 2016)).toEqual({ width: 2016, height: 1512 });
+			expect(fitWithin(3024, 4032, 2016)).toEqual({ width: 1512, height: 2016 });
+		});
+
+		it('should never scale up', () => {
+			expect(fitWithin(800, 600, 2000)).toEqual({ width: 800, height: 600 });
+		});
+	});
+
+	describe('resizeTarget', () => {
+		it('should halve a 2x image', () => {
+			expect(resizeTarget(2880, 1800, { maxDimension: 0, halve: true })).toEqual({ width: 1440, height: 900 });
+		});
+
+		it('should apply maxDimension after halving', () => {
+			expect(resizeTarget(2880, 1800, { maxDimension: 1000, halve: true })).toEqual({ width: 1000, height: 625 });
+			expect(resizeTarget(2880, 1800, { maxDimension: 2000, halve: true })).toEqual({ width: 1440, height: 900 });
+		});
+
+		it('should round odd sizes and never go below 1px', () => {
+			expect(resizeTarget(3, 1, { maxDimension: 0, halve: true })).toEqual({ width: 2, height: 1 });
+		});
+
+		it('should only fit within maxDimension without halving', () => {
+			expect(resizeTarget(4032, 3024, { maxDimension: 2016 })).toEqual({ width: 2016, height: 1512 });
+		});
+	});
+
+	describe('downscaleSteps', () => {
+		it('should draw directly for reductions up to 2x', () => {
+			expect(downscaleSteps(2880, 1800, 1440, 900)).toEqual([]);
+			expect(downscaleSteps(1000, 1000, 800, 800)).toEqual([]);
+		});
+
+		it('should halve until the target is at most 2x away', () => {
+			expect(downscaleSteps(8064, 6048, 1100, 825)).toEqual([
+				{ width: 4032, height: 3024 },
+				{ width: 2016, height: 1512 }
+			]);
+		});
+
+		it('should not step when upscaling or keeping the size', () => {
+			expect(downscaleSteps(100, 100, 200, 200)).toEqual([]);
+			expect(downscaleSteps(100, 100, 100, 100)).toEqual([]);
+		});
+	});
+
+	describe('replaceExtension', () => {
+		it('should swap the extension', () => {
+			expect(replaceExtension('IMG_0001.HEIC', 'jpg')).toBe('IMG_0001.jpg');
+		});
+
+		it('should add an extension when there is none', () => {
+			expect(replaceExtension('image', 'png')).toBe('image.png');
+		});
+
+		it('should only replace the last extension', () => {
+			expect(replaceExtension('photo.v2.heic', 'jpg')).toBe('photo.v2.jpg');
+		});
+	});
+
+	describe('numberedFileName', () => {
+		it('should keep the plain name for a single output', () => {
+			expect(numberedFileName('IMG_0001.heic', 'jpg', 0, 1)).toBe('IMG_0001.jpg');
+		});
+
+		it('should number each output', () => {
+			expect(numberedFileName('IMG_0001.heic', 'jpg', 0, 3)).toBe('IMG_0001-1.jpg');
+			expect(numberedFileName('IMG_0001.heic', 'jpg', 2, 3)).toBe('IMG_0001-3.jpg');
+		});
+
+		it('should pad numbers so names sort correctly', () => {
+			expect(numberedFileName('burst.heic', 'png', 4, 12)).toBe('burst-05.png');
+		});
+
+		it('should keep dots inside the name', () => {
+			expect(numberedFileName('photo.v2.heic', 'jpg', 0, 2)).toBe('photo.v2-1.jpg');
+		});
+	});
+	describe('byteBudget', () => {
+		it('should convert MB to bytes and subtract what is added later', () => {
+			expect(byteBudget(10)).toBe(10000000);
+			expect(byteBudget(10, 2000)).toBe(9998000);
+		});
+
+		it('should mean no limit for 0', () => {
+			expect(byteBudget(0, 2000)).toBe(0);
+		});
+	});
+
+	describe('nextBudgetAttempt', () => {
+		it('should step JPEG quality down first', () => {
+			const attempt = { quality: 0.8, width: 8064, height: 6048 };
+
+			expect(nextBudgetAttempt('jpeg', attempt, 14e6, 10e6)).toEqual({ quality: 0.7, width: 8064, height: 6048 });
+			expect(nextBudgetAttempt('jpeg', { ...attempt, quality: 0.55 }, 14e6, 10e6).quality).toBe(0.5);
+		});
+
+		it('should scale down once quality is at its floor', () => {
+			const next = nextBudgetAttempt('jpeg', { quality: 0.5, width: 8000, height: 6000 }, 20e6, 10e6);
+
+			// sqrt(0.5) * 0.95 ≈ 0.67
+			expect(next).toEqual({ quality: 0.5, width: 5374, height: 4030 });
+		});
+
+		it('should scale PNG down straight away, by at least 10%', () => {
+			const next = nextBudgetAttempt('png', { quality: 0.8, width: 1000, height: 500 }, 10.1e6, 10e6);
+
+			expect(next).toEqual({ quality: 0.8, width: 900, height: 450 });
+		});
+
+		it('should give up below the minimum dimension', () => {
+			const size = MIN_BUDGET_DIMENSION;
+
+			expect(nextBudgetAttempt('png', { quality: 0.8, width: size, height: size }, 20e6, 10e6)).toBeNull();
+		});
+	});
+
+	describe('lowerMaxDimension', () => {
+		it('should halve the maximum dimension', () => {
+			expect(lowerMaxDimension(4096)).toBe(2048);
+			expect(lowerMaxDimension(3001)).toBe(1500);
+		});
+
+		it('should cap an unlimited dimension', () => {
+			expect(lowerMaxDimension(0)).toBe(2048);
+		});
+
+		it('should not go below the minimum', () => {
+			expect(lowerMaxDimension(600)).toBe(512);
+			expect(lowerMaxDimension(512)).toBe(512);
+		});
+	});
+
+	describe('describeOutput', () => {
+		it('should list dimensions and JPEG quality', () => {
+			expect(describeOutput({ width: 4032, height: 3024, quality: 0.7 })).toBe('4032×3024 at 70% quality');
+			expect(describeOutput({ width: 800, height: 600, quality: null })).toBe('800×600');
+			expect(describeOutput({ width: null, height: null, quality: null })).toBe('');
+		});
+	});
+
+	describe('formatBudgetNotice', () => {
+		it('should report the final dimensions and quality of reduced outputs', () => {
+			const outputs = [{ width: 6000, height: 4500, quality: 0.6, reduced: true }];
+
+			expect(formatBudgetNotice('IMG_0001.heic', outputs, 10)).toBe('IMG_0001.heic reduced to fit 10 MB: 6000×4500 at 60% quality');
+		});
+
+		it('should warn when an output could not be made to fit', () => {
+			const outputs = [{ reduced: true, overBudget: true }];
+
+			expect(formatBudgetNotice('anim.heic', outputs, 10)).toBe('anim.heic is still larger than 10 MB; GitHub may reject it');
+		});
+
+		it('should stay quiet when everything fit', () => {
+			expect(formatBudgetNotice('a.heic', [{ width: 10, height: 10, quality: 0.8, reduced: false }], 10)).toBeNull();
+		});
+	});
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { analyzePixels, chooseOutputFormat, sampleRowStep } from '../../src/utils/imageAnalysis.js';
+
+/**
+ * Builds RGBA pixel data from a per-pixel color function.
+ */
+function makePixels(width, height, colorAt) {
+	const data = new Uint8ClampedArray(width * height * 4);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			data.set(colorAt(x, y), (y * width + x) * 4);
+		}
+	}
+	return data;
+}
+
+// Deterministic noise standing in for camera sensor noise
+function noise(x, y, channel) {
+	return (Math.imul(x * 73856093 ^ y * 19349663 ^ channel * 83492791, 2654435761) >>> 24);
+}
+
+describe('imageAnalysis.js', () => {
+	describe('analyzePixels', () => {
+		it('should detect transparency', () => {
+			const data = makePixels(64, 64, (x) => [255, 0, 0, x < 32 ? 255 : 0]);
+
+			expect(analyzePixels(data, 64, 64).hasAlpha).toBe(true);
+		});
+
+		it('should treat flat UI-like content as a screenshot', () => {
+			// White background with a few dark "text" runs
+			const data = makePixels(200, 100, (x, y) => (y % 10 === 0 && x % 7 < 3) ? [36, 41, 47, 255] : [255, 255, 255, 255]);
+
+			const analysis = analyzePixels(data, 200, 100);
+
+			expect(analysis.hasAlpha).toBe(false);
+			expect(analysis.isScreenshot).toBe(true);
+		});
+
+		it('should treat noisy content as a photo', () => {
+			const data = makePixels(200, 100, (x, y) => [noise(x, y, 0), noise(x, y, 1), noise(x, y, 2), 255]);
+
+			const analysis = analyzePixels(data, 200, 100);
+
+			expect(analysis.isScreenshot).toBe(false);
+			expect(analysis.flatNeighbourRatio).toBeLessThan(0.1);
+			expect(analysis.distinctColors).toBeGreaterThan(256);
+		});
+	});
+
+	describe('sampleRowStep', () => {
+		it('should read every row of small images', () => {
+			expect(sampleRowStep(100, 100)).toBe(1);
+		});
+
+		it('should skip rows of large images', () => {
+			// 48MP: 32 rows of 8064 pixels, every 189th row
+			expect(sampleRowStep(8064, 6048)).toBeGreaterThan(100);
+		});
+	});
+
+	describe('chooseOutputFormat', () => {
+		it('should pick PNG for transparency or screenshots', () => {
+			expect(chooseOutputFormat({ hasAlpha: true, isScreenshot: false })).toBe('png');
+			expect(chooseOutputFormat({ hasAlpha: false, isScreenshot: true })).toBe('png');
+		});
+
+		it('should pick JPEG for photos', () => {
+			expect(chooseOutputFormat({ hasAlpha: false, isScreenshot: false })).toBe('jpeg');
+		});
+	});
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { saveImage, getImage, clearAllImages, createJob, getJob, getAllJobs, deleteJob } from '../../src/db.js';
+import { sweepJobs, JOB_TTL_MS } from '../../src/jobSweeper.js';
+
+describe('jobSweeper.js', () => {
+	beforeEach(async () => {
+		await clearAllImages();
+		for (const job of await getAllJobs()) {
+			await deleteJob(job.jobId);
+		}
+	});
+
+	it('should keep live jobs and their images', async () => {
+		await createJob({ jobId: 'live' });
+		await saveImage('request_live', { data: 'in' });
+
+		const removed = await sweepJobs();
+
+		expect(removed).toEqual({ jobs: [], images: [] });
+		expect(await getImage('request_live')).toBeDefined();
+	});
+
+	it('should remove jobs older than the TTL', async () => {
+		const job = await createJob({ jobId: 'old' });
+		await saveImage('request_old', { data: 'in' });
+
+		const removed = await sweepJobs({ now: job.createdAt + JOB_TTL_MS + 1 });
+
+		expect(removed.jobs).toEqual(['old']);
+		expect(await getJob('old')).toBeUndefined();
+		expect(await getImage('request_old')).toBeUndefined();
+	});
+
+	it('should remove orphaned jobs but not the others', async () => {
+		await createJob({ jobId: 'orphan', tabId: 1 });
+		await createJob({ jobId: 'owned', tabId: 2 });
+
+		const removed = await sweepJobs({ isOrphaned: job => job.tabId === 1 });
+
+		expect(removed.jobs).toEqual(['orphan']);
+		expect(await getJob('owned')).toBeDefined();
+	});
+
+	it('should remove images that no job owns', async () => {
+		await createJob({ jobId: 'live' });
+		await saveImage('result_live', { data: 'out' });
+		await saveImage('request_gone', { data: 'in' });
+		await saveImage('legacy-key', { data: 'old' });
+
+		const removed = await sweepJobs();
+
+		expect(removed.images.sort()).toEqual(['legacy-key', 'request_gone']);
+		expect(await getImage('result_live')).toBeDefined();
+	});
+
+	it('should support async orphan checks', async () => {
+		await createJob({ jobId: 'job', tabId: 3 });
+
+		const removed = await sweepJobs({ isOrphaned: async () => true });
+
+		expect(removed.jobs).toEqual(['job']);
+	});
+});
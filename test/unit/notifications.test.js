@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { showToast, resolveTheme } from '../../src/notifications.js';
+
+/**
+ * 表示中のトースト要素
+ */
+function toasts() {
+	return [...document.querySelectorAll('[data-heic-toast]')];
+}
+
+/**
+ * ライブリージョンの読み上げテキスト
+ */
+function liveText(politeness) {
+	return document.querySelector(`[data-heic-toasts] [aria-live="${politeness}"]`).textContent;
+}
+
+describe('notifications.js', () => {
+	beforeEach(() => {
+		document.body.innerHTML = '';
+		delete document.documentElement.dataset.colorMode;
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	describe('showToast', () => {
+		it('should stack toasts instead of replacing them', () => {
+			showToast({ status: 'failed', title: 'a.heic', message: 'Failed to convert: one' });
+			showToast({ status: 'failed', title: 'b.heic', message: 'Failed to convert: two' });
+			showToast({ status: 'failed', title: 'c.heic', message: 'Failed to convert: three' });
+
+			expect(toasts().map(toast => toast.textContent)).toEqual([
+				expect.stringContaining('one'),
+				expect.stringContaining('two'),
+				expect.stringContaining('three')
+			]);
+		});
+
+		it('should announce failures assertively and everything else politely', () => {
+			showToast({ status: 'queued', title: 'a.heic', message: 'Waiting to convert' });
+			expect(liveText('polite')).toBe('a.heic: Waiting to convert');
+
+			showToast({ status: 'failed', title: 'b.heic', message: 'Failed to convert: broken' });
+			expect(liveText('assertive')).toBe('b.heic: Failed to convert: broken');
+			expect(document.querySelector('[aria-live="assertive"]').getAttribute('role')).toBe('alert');
+		});
+
+		it('should announce a change of status but not every progress step', () => {
+			const toast = showToast({ status: 'queued', title: 'a.heic', message: 'Waiting to convert' });
+
+			toast.update({ status: 'converting', message: 'Decoding...' });
+			expect(liveText('polite')).toBe('a.heic: Decoding...');
+
+			toast.update({ message: 'Encoding...' });
+			expect(toasts()[0].textContent).toContain('Encoding...');
+			expect(liveText('polite')).toBe('a.heic: Decoding...');
+		});
+
+		it('should dismiss finished toasts on their own and keep failures', () => {
+			const done = showToast({ status: 'converting', title: 'a.heic' });
+			showToast({ status: 'failed', title: 'b.heic' });
+
+			done.update({ status: 'done', message: 'Converted' });
+			vi.advanceTimersByTime(60000);
+
+			expect(toasts().map(toast => toast.dataset.status)).toEqual(['failed']);
+		});
+
+		it('should run actions and replace them on update', () => {
+			const onClick = vi.fn();
+			const toast = showToast({ status: 'queued', title: 'a.heic', actions: [{ label: 'Cancel', onClick }] });
+
+			toasts()[0].querySelector('.heic-toast-actions button').click();
+			expect(onClick).toHaveBeenCalledTimes(1);
+
+			toast.update({ status: 'done', actions: [] });
+			expect(toasts()[0].querySelector('.heic-toast-actions button')).toBeNull();
+		});
+
+		it('should close on the dismiss button and ignore later updates', () => {
+			const toast = showToast({ status: 'failed', title: 'a.heic' });
+
+			toasts()[0].querySelector('[aria-label="Dismiss"]').click();
+			toast.update({ status: 'done' });
+
+			expect(toasts()).toHaveLength(0);
+			expect(liveText('polite')).toBe('');
+		});
+
+		it('should call onClose only when the user closes the toast', () => {
+			const onClose = vi.fn();
+			const toast = showToast({ status: 'failed', title: 'a.heic', onClose });
+			showToast({ status: 'failed', title: 'b.heic', onClose }).dismiss();
+			expect(onClose).not.toHaveBeenCalled();
+
+			toast.update({ message: 'Failed to convert: again' });
+			toasts()[0].querySelector('[aria-label="Dismiss"]').click();
+
+			expect(onClose).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	describe('resolveTheme', () => {
+		it('should follow GitHub\'s color mode', () => {
+			document.documentElement.dataset.colorMode = 'dark';
+			expect(resolveTheme()).toBe('dark');
+
+			document.documentElement.dataset.colorMode = 'light';
+			expect(resolveTheme()).toBe('light');
+		});
+
+		it('should follow the system in auto mode', () => {
+			const doc = {
+				documentElement: { dataset: { colorMode: 'auto' } },
+				defaultView: { matchMedia: (query) => ({ matches: query === '(prefers-color-scheme: dark)' }) }
+			};
+
+			expect(resolveTheme(doc)).toBe('dark');
+		});
+
+		it('should theme the notification center', () => {
+			document.documentElement.dataset.colorMode = 'dark';
+
+			showToast({ status: 'done', title: 'a.heic' });
+
+			expect(document.querySelector('[data-heic-toasts]').dataset.theme).toBe('dark');
+		});
+	});
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { MESSAGE_TYPES, PROGRESS_STAGES } from '../../src/messaging.js';
+
+/**
+ * スロット 1 つだけのサンドボックスプール（iframe の代わりに postMessage を記録する）
+ */
+const sandbox = vi.hoisted(() => ({ postMessage: null, busyWith: null }));
+
+vi.mock('../../src/sandboxPool.js', () => ({
+	getPoolSize: () => 1,
+	createSandboxPool: () => {
+		const slot = { id: 0 };
+		return {
+			size: 1,
+			warmUp: () => Promise.resolve(),
+			slotFor: () => slot,
+			acquire(requestId) {
+				if (sandbox.busyWith) return null;
+				sandbox.busyWith = requestId;
+				return slot;
+			},
+			prepare: () => Promise.resolve({ postMessage: sandbox.postMessage }),
+			release() {
+				sandbox.busyWith = null;
+			},
+			abort() {
+				sandbox.busyWith = null;
+			},
+			busyCount: () => (sandbox.busyWith ? 1 : 0),
+			stats: () => [{ id: 0, busyWith: sandbox.busyWith }]
+		};
+	}
+}));
+
+vi.mock('../../src/db.js', () => ({
+	getImage: () => Promise.resolve({ blob: new Blob(['heic']), fileName: 'a.heic', mimeType: 'image/heic' }),
+	saveImage: () => Promise.resolve()
+}));
+
+/**
+ * バックグラウンドとの接続ポートのモック
+ */
+function createPortMock() {
+	const listeners = [];
+	return {
+		postMessage: vi.fn(),
+		onMessage: { addListener: (listener) => listeners.push(listener) },
+		onDisconnect: { addListener: () => {} },
+		_receive: (message) => listeners.forEach(listener => listener(message))
+	};
+}
+
+/**
+ * サンドボックスからの変換結果を offscreen に届ける
+ */
+function finishInSandbox(requestId) {
+	window.dispatchEvent(new MessageEvent('message', {
+		data: { action: 'CONVERT_RESULT', requestId, success: true, files: [], privacy: null }
+	}));
+}
+
+/**
+ * サンドボックスに送られたリクエスト ID の一覧
+ */
+function sentToSandbox() {
+	return sandbox.postMessage.mock.calls.map(([message]) => message.requestId);
+}
+
+describe('offscreen.js', () => {
+	let port;
+
+	beforeAll(async () => {
+		sandbox.postMessage = vi.fn();
+		port = createPortMock();
+		chrome.runtime.connect = () => port;
+
+		await import('../../src/offscreen.js');
+		// 最初のサンドボックスが準備できてから接続し、ハンドシェイクを送る
+		await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: MESSAGE_TYPES.OFFSCREEN_READY })));
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('should queue requests, run them one per slot and dispatch the next on release', async () => {
+		port._receive({ type: MESSAGE_TYPES.REQUEST, requestId: 'a', settings: {} });
+		port._receive({ type: MESSAGE_TYPES.REQUEST, requestId: 'b', settings: {} });
+
+		await vi.waitFor(() => expect(sentToSandbox()).toEqual(['a']));
+		expect(port.postMessage).toHaveBeenCalledWith({
+			type: MESSAGE_TYPES.PROGRESS,
+			requestId: 'b',
+			stage: PROGRESS_STAGES.QUEUED,
+			position: 1,
+			total: 1
+		});
+
+		finishInSandbox('a');
+
+		await vi.waitFor(() => expect(sentToSandbox()).toEqual(['a', 'b']));
+		expect(port.postMessage).toHaveBeenCalledWith({ type: MESSAGE_TYPES.RESULT, requestId: 'a' });
+
+		finishInSandbox('b');
+
+		await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalledWith({ type: MESSAGE_TYPES.RESULT, requestId: 'b' }));
+		expect(sandbox.busyWith).toBeNull();
+	});
+
+	it('should clear the sandbox timeout once a conversion finishes', async () => {
+		vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+		port._receive({ type: MESSAGE_TYPES.REQUEST, requestId: 'c', settings: {} });
+
+		await vi.waitFor(() => expect(sentToSandbox()).toContain('c'));
+		expect(vi.getTimerCount()).toBe(1);
+
+		finishInSandbox('c');
+
+		await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalledWith({ type: MESSAGE_TYPES.RESULT, requestId: 'c' }));
+		expect(vi.getTimerCount()).toBe(0);
+	});
+});
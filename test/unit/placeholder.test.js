@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { createPlaceholderToken, formatPlaceholder, formatFailedPlaceholder, findPlaceholder } from '../../src/utils/placeholder.js';
+import { PROGRESS_STAGES } from '../../src/messaging.js';
+
+describe('placeholder.js', () => {
+	describe('formatPlaceholder', () => {
+		it('should format the initial placeholder', () => {
+			expect(formatPlaceholder('photo.heic')).toBe('![Converting photo.heic...]()\n');
+		});
+
+		it('should include the queue position', () => {
+			const text = formatPlaceholder('photo.heic', { stage: PROGRESS_STAGES.QUEUED, position: 2, total: 5 });
+
+			expect(text).toBe('![Converting photo.heic (queued 2/5)...]()\n');
+		});
+
+		it('should omit the queue position when unknown', () => {
+			const text = formatPlaceholder('photo.heic', { stage: PROGRESS_STAGES.QUEUED });
+
+			expect(text).toBe('![Converting photo.heic (queued)...]()\n');
+		});
+
+		it('should show the current stage', () => {
+			const text = formatPlaceholder('photo.heic', { stage: PROGRESS_STAGES.DECODING });
+
+			expect(text).toBe('![Converting photo.heic (decoding...)]()\n');
+		});
+
+		it('should put the token where the image URL goes', () => {
+			expect(formatPlaceholder('photo.heic', undefined, 'heic-1')).toBe('![Converting photo.heic...](heic-1)\n');
+		});
+	});
+
+	describe('formatFailedPlaceholder', () => {
+		it('should keep the token so the file can be retried in place', () => {
+			expect(formatFailedPlaceholder('photo.heic', 'heic-1')).toBe('![Failed to convert photo.heic](heic-1)\n');
+		});
+	});
+
+	describe('createPlaceholderToken', () => {
+		it('should make a different token every time', () => {
+			const tokens = new Set(Array.from({ length: 100 }, createPlaceholderToken));
+
+			expect(tokens.size).toBe(100);
+			expect(createPlaceholderToken()).toMatch(/^heic-[0-9a-f]{12}$/);
+		});
+	});
+
+	describe('findPlaceholder', () => {
+		it('should find the placeholder with the token wherever it is', () => {
+			const placeholder = formatPlaceholder('photo.heic', undefined, 'heic-1');
+			const text = `![done](x.png) ${placeholder}![Converting photo.heic...](heic-2)`;
+
+			expect(findPlaceholder(text, 'heic-1')).toEqual({ start: 15, end: 15 + placeholder.length - 1 });
+			expect(findPlaceholder(text, 'heic-2')?.start).toBe(15 + placeholder.length);
+		});
+
+		it('should find a failed placeholder', () => {
+			const text = `Before\n${formatFailedPlaceholder('photo.heic', 'heic-1')}`;
+
+			expect(findPlaceholder(text, 'heic-1')).toEqual({ start: 7, end: text.length - 1 });
+		});
+
+		it('should not find a missing or cut placeholder', () => {
+			expect(findPlaceholder('nothing here', 'heic-1')).toBeNull();
+			expect(findPlaceholder('![Converting a.heic...](x)\nphoto.heic...](heic-1)', 'heic-1')).toBeNull();
+		});
+	});
+});
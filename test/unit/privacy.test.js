@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { extractExif, extractXmp } from '../../src/utils/heif.js';
+import { readExif } from '../../src/utils/exif.js';
+import {
+	findExifCategories,
+	findXmpCategories,
+	scrubExif,
+	createPrivacyReport,
+	formatPrivacyNotice
+} from '../../src/utils/privacy.js';
+
+/**
+ * test/fixtures のHEIFを読み込む（generate-metadata-fixtures.mjs で生成）
+ */
+function loadFixture(name) {
+	const bytes = readFileSync(path.resolve('./test/fixtures', name));
+	return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+const tagsOf = (entries) => entries.map(entry => entry.tag);
+
+describe('privacy.js', () => {
+	const full = loadFixture('metadata-full.heif');
+	const dateOnly = loadFixture('metadata-date-only.heif');
+	const xmpLocation = loadFixture('metadata-xmp-location.heif');
+
+	describe('findExifCategories', () => {
+		it('should find location, device and date in a phone photo', () => {
+			expect([...findExifCategories(extractExif(full))]).toEqual(['location', 'device', 'date']);
+		});
+
+		it('should only find the date when that is all there is', () => {
+			expect([...findExifCategories(extractExif(dateOnly))]).toEqual(['date']);
+		});
+
+		it('should find nothing without EXIF', () => {
+			expect(findExifCategories(null).size).toBe(0);
+		});
+	});
+
+	describe('findXmpCategories', () => {
+		it('should find location, device and date properties', () => {
+			expect([...findXmpCategories(extractXmp(full))]).toEqual(['location', 'device', 'date']);
+		});
+
+		it('should find a location-only packet', () => {
+			expect([...findXmpCategories(extractXmp(xmpLocation))]).toEqual(['location']);
+		});
+	});
+
+	describe('scrubExif', () => {
+		it('should drop everything in strip mode', () => {
+			expect(scrubExif(extractExif(full), 'strip')).toBeNull();
+		});
+
+		it('should keep only capture date and orientation in preserve mode', () => {
+			const scrubbed = readExif(scrubExif(extractExif(full), 'preserve'));
+
+			expect(scrubbed.littleEndian).toBe(false);
+			expect(tagsOf(scrubbed.ifd0)).toEqual([0x0112, 0x0132]);
+			expect(tagsOf(scrubbed.exif)).toEqual([0x9003, 0x9011]);
+			expect(scrubbed.gps).toEqual([]);
+			expect(new TextDecoder().decode(scrubbed.exif[0].value)).toBe('2024:05:01 12:34:56\0');
+		});
+
+		it('should reset the orientation because the pixels are already upright', () => {
+			const scrubbed = readExif(scrubExif(extractExif(dateOnly), 'preserve'));
+			const orientation = scrubbed.ifd0.find(entry => entry.tag === 0x0112);
+
+			expect(Array.from(orientation.value.subarray(0, 2))).toEqual([1, 0]);
+		});
+
+		it('should keep the original tags in keep mode', () => {
+			const kept = readExif(scrubExif(extractExif(full), 'keep'));
+
+			expect(kept.gps).toHaveLength(4);
+			expect(tagsOf(kept.ifd0)).toContain(0x0110);
+		});
+	});
+
+	describe('createPrivacyReport', () => {
+		it('should report what preserve mode removed and kept', () => {
+			const exif = extractExif(full);
+			const report = createPrivacyReport({ exif, xmp: extractXmp(full), embedded: scrubExif(exif, 'preserve') });
+
+			expect(report).toEqual({ removed: ['location', 'device'], kept: ['date'] });
+		});
+
+		it('should count XMP-only metadata as removed, since XMP is never copied', () => {
+			const report = createPrivacyReport({ exif: null, xmp: extractXmp(xmpLocation), embedded: null });
+
+			expect(report).toEqual({ removed: ['location'], kept: [] });
+		});
+
+		it('should report a kept location in keep mode', () => {
+			const exif = extractExif(full);
+			const report = createPrivacyReport({ exif, xmp: null, embedded: scrubExif(exif, 'keep') });
+
+			expect(report).toEqual({ removed: [], kept: ['location', 'device', 'date'] });
+		});
+	});
+
+	describe('formatPrivacyNotice', () => {
+		it('should name what was removed', () => {
+			expect(formatPrivacyNotice('IMG_1234.heic', { removed: ['location'], kept: [] }))
+				.toBe('GPS removed from IMG_1234.heic');
+			expect(formatPrivacyNotice('IMG_1234.heic', { removed: ['location', 'device', 'date'], kept: [] }))
+				.toBe('GPS, device info and capture date removed from IMG_1234.heic');
+		});
+
+		it('should capitalize the first category', () => {
+			expect(formatPrivacyNotice('a.heic', { removed: ['device'], kept: ['date'] })).toBe('Device info removed from a.heic');
+		});
+
+		it('should always mention a kept location', () => {
+			expect(formatPrivacyNotice('a.heic', { removed: [], kept: ['location'] })).toBe('GPS kept in a.heic');
+			expect(formatPrivacyNotice('a.heic', { removed: ['device'], kept: ['location'] })).toBe('Device info removed from a.heic (GPS kept)');
+		});
+
+		it('should stay quiet when there was nothing to remove', () => {
+			expect(formatPrivacyNotice('a.heic', { removed: [], kept: ['date'] })).toBeNull();
+			expect(formatPrivacyNotice('a.heic', undefined)).toBeNull();
+		});
+	});
+});
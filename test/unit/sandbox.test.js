@@ -18,18 +18,6 @@ function getErrorMessage(error) {
 	return 'Unknown error';
 }
 
-/**
- * BlobをBase64文字列に変換する（sandbox.jsと同じロジック）
- */
-function blobToBase64(blob) {
-	return new Promise((resolve, reject) => {
-		const reader = new FileReader();
-		reader.onloadend = () => resolve(reader.result);
-		reader.onerror = () => reject(new Error('Failed to read blob'));
-		reader.readAsDataURL(blob);
-	});
-}
-
 describe('sandbox.js utility functions', () => {
 	describe('getErrorMessage', () => {
 		it('should return string error as-is', () => {
@@ -60,37 +48,4 @@ describe('sandbox.js utility functions', () => {
 			expect(getErrorMessage(undefined)).toBe('Unknown error');
 		});
 	});
-
-	describe('blobToBase64', () => {
-		it('should convert blob to base64 data URL', async () => {
-			const blob = new Blob(['test content'], { type: 'text/plain' });
-			const result = await blobToBase64(blob);
-
-			expect(result).toMatch(/^data:text\/plain;base64,/);
-		});
-
-		it('should convert image blob to base64', async () => {
-			// 1x1 red pixel PNG
-			const pngData = new Uint8Array([
-				0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00,
-				0x00, 0x0d, 0x49, 0x48, 0x44, 0x52, 0x00, 0x00, 0x00, 0x01,
-				0x00, 0x00, 0x00, 0x01, 0x08, 0x02, 0x00, 0x00, 0x00, 0x90,
-				0x77, 0x53, 0xde, 0x00, 0x00, 0x00, 0x0c, 0x49, 0x44, 0x41,
-				0x54, 0x08, 0xd7, 0x63, 0xf8, 0xcf, 0xc0, 0x00, 0x00, 0x00,
-				0x03, 0x00, 0x01, 0x00, 0x05, 0xfe, 0xd4, 0xef, 0x00, 0x00,
-				0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82
-			]);
-			const blob = new Blob([pngData], { type: 'image/png' });
-			const result = await blobToBase64(blob);
-
-			expect(result).toMatch(/^data:image\/png;base64,/);
-		});
-
-		it('should handle empty blob', async () => {
-			const blob = new Blob([], { type: 'application/octet-stream' });
-			const result = await blobToBase64(blob);
-
-			expect(result).toBe('data:application/octet-stream;base64,');
-		});
-	});
 });
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createSandboxPool, getPoolSize, MAX_POOL_SIZE } from '../../src/sandboxPool.js';
+
+describe('sandboxPool.js', () => {
+	describe('getPoolSize', () => {
+		it('should leave one core free', () => {
+			expect(getPoolSize(3, 8)).toBe(2);
+		});
+
+		it('should be limited by device memory', () => {
+			expect(getPoolSize(16, 4)).toBe(2);
+			expect(getPoolSize(16, 2)).toBe(1);
+		});
+
+		it('should never exceed MAX_POOL_SIZE', () => {
+			expect(getPoolSize(64, 8)).toBe(MAX_POOL_SIZE);
+		});
+
+		it('should always return at least one slot', () => {
+			expect(getPoolSize(1, 0.5)).toBe(1);
+		});
+
+		it('should fall back to conservative defaults when values are unknown', () => {
+			expect(getPoolSize(undefined, undefined)).toBe(1);
+		});
+	});
+
+	describe('createSandboxPool', () => {
+		let pool;
+
+		beforeEach(() => {
+			document.body.innerHTML = '';
+			pool = createSandboxPool({ size: 2, url: 'about:blank' });
+		});
+
+		it('should hand out each idle slot once', () => {
+			const a = pool.acquire('a');
+			const b = pool.acquire('b');
+
+			expect(a).not.toBeNull();
+			expect(b).not.toBeNull();
+			expect(a.id).not.toBe(b.id);
+			expect(pool.acquire('c')).toBeNull();
+			expect(pool.busyCount()).toBe(2);
+		});
+
+		it('should make a released slot available again', () => {
+			const a = pool.acquire('a');
+			pool.acquire('b');
+			pool.release(a, true);
+
+			expect(pool.acquire('c').id).toBe(a.id);
+		});
+
+		it('should create one iframe per prepared slot', async () => {
+			const a = pool.acquire('a');
+			const preparing = pool.prepare(a);
+
+			const frames = document.querySelectorAll('iframe');
+			expect(frames).toHaveLength(1);
+			expect(frames[0].dataset.slot).toBe(String(a.id));
+
+			window.dispatchEvent(new MessageEvent('message', {
+				data: { action: 'SANDBOX_READY' },
+				source: frames[0].contentWindow
+			}));
+			await expect(preparing).resolves.toBe(frames[0].contentWindow);
+		});
+
+		it('should reject and reset a slot whose sandbox never becomes ready', async () => {
+			vi.useFakeTimers();
+			const a = pool.acquire('a');
+			const preparing = pool.prepare(a);
+			const assertion = expect(preparing).rejects.toThrow(/did not become ready/);
+
+			await vi.advanceTimersByTimeAsync(10000);
+			await assertion;
+			vi.useRealTimers();
+
+			expect(document.querySelectorAll('iframe')).toHaveLength(0);
+		});
+
+		it('should warm up the first slot without reserving it', () => {
+			pool.warmUp();
+
+			expect(document.querySelectorAll('iframe')).toHaveLength(1);
+			expect(pool.busyCount()).toBe(0);
+		});
+
+		it('should reset only the failed slot', async () => {
+			const a = pool.acquire('a');
+			const b = pool.acquire('b');
+			pool.prepare(a);
+			pool.prepare(b);
+			expect(document.querySelectorAll('iframe')).toHaveLength(2);
+
+			pool.release(a, false);
+
+			const frames = document.querySelectorAll('iframe');
+			expect(frames).toHaveLength(1);
+			expect(frames[0].dataset.slot).toBe(String(b.id));
+		});
+
+		it('should track failures per slot and prefer healthy slots', () => {
+			const a = pool.acquire('a');
+			const b = pool.acquire('b');
+			pool.release(a, false);
+			pool.release(b, true);
+
+			const stats = pool.stats();
+			expect(stats.find(s => s.id === a.id).consecutiveFailures).toBe(1);
+			expect(stats.find(s => s.id === b.id).completed).toBe(1);
+			expect(pool.acquire('c').id).toBe(b.id);
+		});
+
+		it('should free and reset an aborted slot without counting a failure', () => {
+			const a = pool.acquire('a');
+			pool.prepare(a);
+
+			pool.abort(a);
+
+			expect(document.querySelectorAll('iframe')).toHaveLength(0);
+			expect(pool.stats().find(s => s.id === a.id)).toMatchObject({
+				busyWith: null,
+				consecutiveFailures: 0
+			});
+		});
+
+		it('should identify the slot a message came from', () => {
+			const a = pool.acquire('a');
+			pool.prepare(a);
+			const frame = document.querySelector('iframe');
+
+			expect(pool.slotFor(frame.contentWindow)).toBe(a);
+			expect(pool.slotFor(window)).toBeUndefined();
+		});
+	});
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+import { DEFAULT_SETTINGS, conversionSettings, getSettings, normalizeSettings, saveSettings, watchSettings } from '../../src/settings.js';
+
+describe('settings.js', () => {
+	describe('getSettings', () => {
+		it('should return defaults when nothing is stored', async () => {
+			expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+		});
+
+		it('should prefer stored values', async () => {
+			await chrome.storage.sync.set({ offscreenIdleSeconds: 300 });
+
+			const settings = await getSettings();
+
+			expect(settings.offscreenIdleSeconds).toBe(300);
+		});
+
+		it('should ignore unknown stored keys', async () => {
+			await chrome.storage.sync.set({ somethingElse: true });
+
+			expect(await getSettings()).not.toHaveProperty('somethingElse');
+		});
+	});
+
+	describe('normalizeSettings', () => {
+		it('should clamp quality into range', () => {
+			expect(normalizeSettings({ quality: 5 }).quality).toBe(1);
+			expect(normalizeSettings({ quality: 0 }).quality).toBe(0.1);
+		});
+
+		it('should fall back for unknown enum values', () => {
+			const settings = normalizeSettings({ outputFormat: 'bmp', metadata: 'everything', multiImage: 'video', retinaHalving: '3x' });
+
+			expect(settings.outputFormat).toBe(DEFAULT_SETTINGS.outputFormat);
+			expect(settings.metadata).toBe(DEFAULT_SETTINGS.metadata);
+			expect(settings.multiImage).toBe(DEFAULT_SETTINGS.multiImage);
+			expect(settings.retinaHalving).toBe(DEFAULT_SETTINGS.retinaHalving);
+		});
+
+		it('should ignore values of the wrong type', () => {
+			expect(normalizeSettings({ maxDimension: '2000', convertOnPaste: 'no' })).toEqual(DEFAULT_SETTINGS);
+		});
+
+		it('should reject a negative max dimension and round fractions down', () => {
+			expect(normalizeSettings({ maxDimension: -1 }).maxDimension).toBe(0);
+			expect(normalizeSettings({ maxDimension: 1999.7 }).maxDimension).toBe(1999);
+		});
+
+		it('should trim the file name template and fall back when it is empty', () => {
+			expect(normalizeSettings({ fileNameTemplate: '  {repo}-{index} ' }).fileNameTemplate).toBe('{repo}-{index}');
+			expect(normalizeSettings({ fileNameTemplate: '   ' }).fileNameTemplate).toBe(DEFAULT_SETTINGS.fileNameTemplate);
+		});
+
+		it('should reject a negative file size budget but keep fractions', () => {
+			expect(normalizeSettings({ maxFileSizeMB: -5 }).maxFileSizeMB).toBe(DEFAULT_SETTINGS.maxFileSizeMB);
+			expect(normalizeSettings({ maxFileSizeMB: 2.5 }).maxFileSizeMB).toBe(2.5);
+			expect(normalizeSettings({ maxFileSizeMB: 0 }).maxFileSizeMB).toBe(0);
+		});
+
+		it('should keep custom hosts as unique origins, dropping invalid, http and built-in ones', () => {
+			const { customHosts } = normalizeSettings({
+				customHosts: ['github.example.com', 'https://github.example.com/', 'gist.github.com', '*.example.com', 42, 'http://ghe.internal:8080']
+			});
+
+			expect(customHosts).toEqual(['https://github.example.com']);
+			expect(normalizeSettings({ customHosts: { host: 'github.example.com' } }).customHosts).toEqual([]);
+		});
+
+		it('should reject a negative cache size', () => {
+			expect(normalizeSettings({ cacheSizeMB: -1 }).cacheSizeMB).toBe(DEFAULT_SETTINGS.cacheSizeMB);
+			expect(normalizeSettings({ cacheSizeMB: 0 }).cacheSizeMB).toBe(0);
+		});
+	});
+
+	describe('conversionSettings', () => {
+		it('should leave out settings that do not change the output', () => {
+			const picked = conversionSettings(DEFAULT_SETTINGS);
+
+			expect(picked).toHaveProperty('quality', DEFAULT_SETTINGS.quality);
+			expect(picked).toHaveProperty('metadata', DEFAULT_SETTINGS.metadata);
+			expect(picked).not.toHaveProperty('convertOnPaste');
+			expect(picked).not.toHaveProperty('convertOnFileInput');
+			expect(picked).not.toHaveProperty('fileNameTemplate');
+			expect(picked).not.toHaveProperty('cacheSizeMB');
+			expect(picked).not.toHaveProperty('offscreenIdleSeconds');
+		});
+
+		it('should list keys in a stable order regardless of input order', () => {
+			const reordered = Object.fromEntries(Object.entries(DEFAULT_SETTINGS).reverse());
+			expect(JSON.stringify(conversionSettings(reordered))).toBe(JSON.stringify(conversionSettings(DEFAULT_SETTINGS)));
+		});
+	});
+
+	describe('saveSettings', () => {
+		it('should store normalized values', async () => {
+			const settings = await saveSettings({ outputFormat: 'png', quality: 3 });
+
+			expect(settings.outputFormat).toBe('png');
+			expect(settings.quality).toBe(1);
+			expect((await getSettings()).outputFormat).toBe('png');
+		});
+
+		it('should keep previously saved values', async () => {
+			await saveSettings({ maxDimension: 2048 });
+			await saveSettings({ convertOnDrop: false });
+
+			const settings = await getSettings();
+			expect(settings.maxDimension).toBe(2048);
+			expect(settings.convertOnDrop).toBe(false);
+		});
+	});
+
+	describe('watchSettings', () => {
+		it('should report the current settings and later changes', async () => {
+			const callback = vi.fn();
+			const stop = watchSettings(callback);
+
+			await vi.waitFor(() => expect(callback).toHaveBeenCalledWith(DEFAULT_SETTINGS));
+
+			await chrome.storage.sync.set({ quality: 0.5 });
+			await vi.waitFor(() => expect(callback).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, quality: 0.5 }));
+
+			stop();
+		});
+
+		it('should stop after unsubscribing', async () => {
+			const callback = vi.fn();
+			const stop = watchSettings(callback);
+			await vi.waitFor(() => expect(callback).toHaveBeenCalledTimes(1));
+
+			stop();
+			await chrome.storage.sync.set({ quality: 0.5 });
+			await new Promise(resolve => setTimeout(resolve, 0));
+
+			expect(callback).toHaveBeenCalledTimes(1);
+		});
+	});
+});
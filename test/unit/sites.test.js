@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { SITE_ADAPTERS, getSiteAdapter } from '../../src/sites/index.js';
+import { githubSite } from '../../src/sites/github.js';
+import { gitlabSite } from '../../src/sites/gitlab.js';
+import { giteaSite } from '../../src/sites/gitea.js';
+
+/**
+ * test/fixtures のページを現在の document に読み込む（スクリプトは実行されない）
+ */
+function loadFixture(name) {
+	const html = readFileSync(path.resolve('./test/fixtures', name), 'utf-8');
+	document.documentElement.innerHTML = html.replace(/^<!DOCTYPE html>\s*<html>|<\/html>\s*$/g, '');
+}
+
+/**
+ * Dropzone.js と同じく body の末尾に隠しファイル入力を追加する
+ */
+function appendHiddenInput() {
+	const input = document.createElement('input');
+	input.type = 'file';
+	input.className = 'dz-hidden-input';
+	document.body.appendChild(input);
+	return input;
+}
+
+/**
+ * 指定したホスト名のページに見せかける document
+ */
+function documentAt(hostname) {
+	return { location: { hostname }, querySelector: () => null };
+}
+
+describe('sites', () => {
+	beforeEach(() => {
+		document.head.innerHTML = '';
+		document.body.innerHTML = '';
+	});
+
+	describe('getSiteAdapter', () => {
+		it('should recognise the forge fixture pages', () => {
+			loadFixture('gitlab-page.html');
+			expect(getSiteAdapter().id).toBe('gitlab');
+
+			loadFixture('gitea-page.html');
+			expect(getSiteAdapter().id).toBe('gitea');
+		});
+
+		it('should recognise GitHub by host name', () => {
+			expect(getSiteAdapter(documentAt('github.com')).id).toBe('github');
+			expect(getSiteAdapter(documentAt('gist.github.com')).id).toBe('github');
+			expect(getSiteAdapter(documentAt('gitlab.com')).id).toBe('gitlab');
+		});
+
+		it('should fall back to GitHub on pages no adapter recognises', () => {
+			loadFixture('test-page.html');
+
+			expect(SITE_ADAPTERS.some(site => site.detect(document))).toBe(false);
+			expect(getSiteAdapter()).toBe(githubSite);
+		});
+	});
+
+	describe('parseContext', () => {
+		it('should read GitHub repos, issues, pull requests and discussions', () => {
+			expect(githubSite.parseContext('https://github.com/octo/hello/issues/42')).toEqual({ repo: 'hello', issue: '42' });
+			expect(githubSite.parseContext('https://github.com/octo/hello/pull/7/files')).toEqual({ repo: 'hello', issue: '7' });
+			expect(githubSite.parseContext('https://github.com/octo/hello/discussions/3')).toEqual({ repo: 'hello', issue: '3' });
+			expect(githubSite.parseContext('https://github.com/octo/hello/issues/new')).toEqual({ repo: 'hello', issue: '' });
+			expect(githubSite.parseContext('https://github.com/')).toEqual({ repo: '', issue: '' });
+		});
+
+		it('should read GitLab projects in nested groups', () => {
+			expect(gitlabSite.parseContext('https://gitlab.com/group/sub/hello/-/issues/42')).toEqual({ repo: 'hello', issue: '42' });
+			expect(gitlabSite.parseContext('https://gitlab.example.com/octo/hello/-/merge_requests/7/diffs')).toEqual({ repo: 'hello', issue: '7' });
+			expect(gitlabSite.parseContext('https://gitlab.com/octo/hello/-/wikis/home')).toEqual({ repo: 'hello', issue: '' });
+			expect(gitlabSite.parseContext('https://gitlab.com/octo/hello')).toEqual({ repo: '', issue: '' });
+		});
+
+		it('should read Gitea issues and pull requests', () => {
+			expect(giteaSite.parseContext('https://codeberg.org/octo/hello/issues/42')).toEqual({ repo: 'hello', issue: '42' });
+			expect(giteaSite.parseContext('https://gitea.example.com/octo/hello/pulls/7/files')).toEqual({ repo: 'hello', issue: '7' });
+			expect(giteaSite.parseContext('https://gitea.example.com/')).toEqual({ repo: '', issue: '' });
+		});
+	});
+
+	describe('findEditor', () => {
+		it('should use the editor an event landed in', () => {
+			loadFixture('gitlab-page.html');
+
+			const editor = gitlabSite.findEditor(document.getElementById('note-body'));
+			editor.insert('heic-a', '![Converting a.heic...](heic-a)\n');
+
+			expect(editor.kind).toBe('textarea');
+			expect(document.getElementById('note-body').value).toContain('Converting a.heic');
+		});
+
+		it('should find the editor of a toolbar or drop zone the files landed on', () => {
+			loadFixture('gitlab-page.html');
+			expect(gitlabSite.findEditor(document.getElementById('attach-button')).kind).toBe('textarea');
+
+			loadFixture('gitea-page.html');
+			const editor = giteaSite.findEditor(document.getElementById('dropzone'));
+			editor.insert('heic-a', '![Converting a.heic...](heic-a)\n');
+			expect(document.getElementById('comment-body').value).toContain('Converting a.heic');
+		});
+
+		it('should fall back to the status adapter outside any editor', () => {
+			loadFixture('gitlab-page.html');
+
+			expect(gitlabSite.findEditor(document.querySelector('h1')).kind).toBe('status');
+		});
+	});
+
+	describe('findInputEditor', () => {
+		it('should use the editor around the file input', () => {
+			loadFixture('test-page.html');
+			const editor = githubSite.findInputEditor(document.getElementById('file-input'));
+			editor.insert('heic-a', '![Converting a.heic...](heic-a)\n');
+
+			expect(document.getElementById('attachment-area').value).toContain('Converting a.heic');
+			expect(document.getElementById('paste-area').value).toBe('');
+		});
+
+		it('should use the focused editor for a Dropzone input outside it', () => {
+			loadFixture('gitea-page.html');
+			const input = appendHiddenInput();
+			document.getElementById('comment-body').focus();
+
+			const editor = giteaSite.findInputEditor(input);
+			editor.insert('heic-a', '![Converting a.heic...](heic-a)\n');
+
+			expect(document.getElementById('comment-body').value).toContain('Converting a.heic');
+		});
+
+		it('should fall back to the status adapter when no editor is known', () => {
+			loadFixture('gitlab-page.html');
+
+			expect(gitlabSite.findInputEditor(appendHiddenInput()).kind).toBe('status');
+		});
+	});
+});
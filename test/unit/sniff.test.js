@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { readFtyp } from '../../src/utils/sniff.js';
+
+const ascii = (s) => Array.from(s, c => c.charCodeAt(0));
+const u32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+
+function ftyp(major, ...compatible) {
+	const body = [...ascii(major), ...u32(0), ...compatible.flatMap(ascii)];
+	return new Uint8Array([...u32(8 + body.length), ...ascii('ftyp'), ...body]);
+}
+
+describe('sniff.js', () => {
+	describe('readFtyp', () => {
+		it('should read major and compatible brands', () => {
+			expect(readFtyp(ftyp('heic', 'mif1', 'heic'))).toEqual({
+				majorBrand: 'heic',
+				minorVersion: 0,
+				compatibleBrands: ['mif1', 'heic']
+			});
+		});
+
+		it('should return null without an ftyp box', () => {
+			expect(readFtyp(new Uint8Array(32))).toBeNull();
+		});
+
+		it('should stop at the end of the bytes read', () => {
+			const bytes = ftyp('heic', 'mif1', 'heic', 'hevc');
+
+			expect(readFtyp(bytes.subarray(0, 20)).compatibleBrands).toEqual(['mif1']);
+		});
+	});
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import UTIF from 'utif';
+import { decodeTiff } from '../../src/utils/tiff.js';
+
+/**
+ * 単色のRGBA画像からTIFFを生成する
+ */
+function makeTiff(width, height, [r, g, b, a]) {
+	const rgba = new Uint8Array(width * height * 4);
+	for (let i = 0; i < rgba.length; i += 4) {
+		rgba.set([r, g, b, a], i);
+	}
+	return UTIF.encodeImage(rgba, width, height);
+}
+
+describe('tiff.js', () => {
+	describe('decodeTiff', () => {
+		it('should decode a page to RGBA pixels', () => {
+			const [page] = decodeTiff(makeTiff(3, 2, [255, 0, 0, 255]));
+
+			expect(page.width).toBe(3);
+			expect(page.height).toBe(2);
+			expect(page.data).toBeInstanceOf(Uint8ClampedArray);
+			expect(page.data.length).toBe(3 * 2 * 4);
+			expect(Array.from(page.data.subarray(0, 4))).toEqual([255, 0, 0, 255]);
+		});
+
+		it('should only decode the first page unless asked for all', () => {
+			const buffer = makeTiff(2, 2, [0, 0, 255, 255]);
+
+			expect(decodeTiff(buffer, { allPages: false })).toHaveLength(1);
+		});
+
+		it('should reject data without an image', () => {
+			// Little-endian header whose first IFD has no entries
+			const empty = new Uint8Array([0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0, 0, 0, 0, 0, 0, 0]).buffer;
+
+			expect(() => decodeTiff(empty)).toThrow('TIFF file contains no image');
+		});
+	});
+});